@@ -0,0 +1,337 @@
+/**
+ * Batch Estimation Module
+ * Parses CSV or JSON transaction lists and estimates every row with a concurrency limit
+ *
+ * Each row is an ETH transfer, an ERC-20 transfer or a raw call (to / data / value).
+ * A failing row is recorded with its error and never stops the rest of the batch.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { estimateEthTransfer, estimateContractCall, estimateTokenTransaction } from './estimator.js';
+import { ValidationError, ERROR_CODES, toEstimatorError } from './errors.js';
+import { formatEthFromWei, formatFiat, formatInteger } from './utils.js';
+
+/**
+ * Supported row types
+ */
+export const BATCH_TYPES = ['transfer', 'token-transfer', 'call'];
+
+/**
+ * Default number of rows estimated at the same time
+ */
+export const DEFAULT_BATCH_CONCURRENCY = 5;
+
+/**
+ * Highest accepted concurrency, to stay within public RPC rate limits
+ */
+export const MAX_BATCH_CONCURRENCY = 50;
+
+/**
+ * Columns (CSV) or keys (JSON) read from each row
+ */
+const ROW_FIELDS = ['type', 'to', 'value', 'token', 'amount', 'from', 'data'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, CRLF)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ * @throws {ValidationError} If a quoted field is never closed
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, 'Malformed CSV: unterminated quoted field');
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse a batch file into raw rows
+ * CSV needs a header row naming the columns; JSON is an array of objects or
+ * an object with a "transactions" array
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<{line: number, fields: Object}>} Rows with their 1-based row number in the file
+ * @throws {ValidationError} If the file cannot be parsed or has no rows
+ *
+ * @example
+ * parseBatchInput('to,value\n0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e,0.1', 'csv');
+ * // [{ line: 1, fields: { to: '0x742D...', value: '0.1' } }]
+ */
+export function parseBatchInput(text, format) {
+  let rows;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.FILE_ERROR, `Malformed JSON: ${error.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.transactions;
+    if (!Array.isArray(list)) {
+      throw new ValidationError(ERROR_CODES.FILE_ERROR, 'Batch JSON must be an array of transactions or { "transactions": [...] }');
+    }
+    rows = list.map((item, index) => ({ line: index + 1, fields: item && typeof item === 'object' ? item : {} }));
+  } else if (format === 'csv') {
+    const [header, ...records] = parseCsvRows(text);
+    const columns = (header || []).map((name) => name.trim());
+    const unknown = columns.filter((name) => !ROW_FIELDS.includes(name));
+    if (unknown.length) {
+      throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unknown CSV column "${unknown[0]}"`, {
+        hint: `Supported columns: ${ROW_FIELDS.join(', ')}`
+      });
+    }
+    rows = records.map((values, index) => {
+      const fields = {};
+      columns.forEach((name, column) => {
+        const value = (values[column] || '').trim();
+        if (value !== '') {
+          fields[name] = value;
+        }
+      });
+      return { line: index + 1, fields };
+    });
+  } else {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unsupported batch format "${format}"`, {
+      hint: 'Use a .csv or .json file'
+    });
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, 'Batch file contains no transactions');
+  }
+  return rows;
+}
+
+/**
+ * Validate a row and work out its type
+ * Rows without a type are token transfers when they name a token, calls when they carry
+ * data and ETH transfers otherwise
+ *
+ * @param {Object} fields - Raw row fields
+ * @param {Object} [defaults] - Values for fields the row leaves out
+ * @param {string} [defaults.from] - Sender for rows without one
+ * @returns {{type: string, to: string, value: (string|undefined), token: (string|undefined), amount: (string|undefined), from: (string|undefined), data: (string|undefined)}} Normalized row
+ * @throws {ValidationError} If the type is unknown or a required field is missing
+ */
+export function normalizeBatchRow(fields, { from } = {}) {
+  const text = (value) => (value === undefined || value === null || value === '' ? undefined : String(value).trim());
+  const row = {};
+  for (const name of ROW_FIELDS) {
+    row[name] = text(fields[name]);
+  }
+  row.from = row.from || from;
+
+  if (!row.type) {
+    row.type = row.token ? 'token-transfer' : row.data ? 'call' : 'transfer';
+  }
+  if (!BATCH_TYPES.includes(row.type)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unknown transaction type "${row.type}"`, {
+      hint: `Supported types: ${BATCH_TYPES.join(', ')}`
+    });
+  }
+
+  const required = {
+    'transfer': ['to', 'value'],
+    'token-transfer': ['token', 'to', 'amount', 'from'],
+    'call': ['to']
+  }[row.type];
+  const missing = required.filter((name) => row[name] === undefined);
+  if (missing.length) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Missing ${missing.join(', ')} for ${row.type}`);
+  }
+
+  return row;
+}
+
+/**
+ * Run an async task for every item with at most `concurrency` running at once
+ *
+ * @param {Array} items - Items to process
+ * @param {function(*, number): Promise<*>} task - Called with each item and its index
+ * @param {number} concurrency - Maximum tasks in flight
+ * @returns {Promise<Array>} Task results in item order
+ */
+async function mapWithConcurrency(items, task, concurrency) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Estimate every row of a batch
+ * Rows fail independently: each result carries either an estimation or a structured error
+ *
+ * @param {Array<{line: number, fields: Object}>} rows - Result of parseBatchInput
+ * @param {Object} params - Batch parameters and Connection settings (see estimator.js)
+ * @param {number} [params.concurrency] - Rows estimated at once, defaults to DEFAULT_BATCH_CONCURRENCY
+ * @param {string} [params.from] - Sender for rows without a from field
+ * @param {string} params.network - Network name used for token registry lookups
+ * @param {function(number, number): void} [params.onProgress] - Called with rows done and total rows
+ * @returns {Promise<Array<{line: number, fields: Object, row: (Object|null), estimation: (Object|null), error: (EstimatorError|null)}>>} Results in file order;
+ *   row is null when the row failed validation
+ * @throws {ValidationError} If the concurrency is out of range
+ *
+ * @example
+ * const results = await estimateBatch(parseBatchInput(text, 'csv'), { network: 'base', rpcUrl: 'https://mainnet.base.org' });
+ * const { totalWei, failed } = summarizeBatch(results);
+ */
+export async function estimateBatch(rows, { concurrency = DEFAULT_BATCH_CONCURRENCY, from, network, onProgress, ...params }) {
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid concurrency "${concurrency}"`, {
+      hint: `Please provide a whole number between 1 and ${MAX_BATCH_CONCURRENCY}`
+    });
+  }
+
+  let done = 0;
+  return mapWithConcurrency(rows, async ({ line, fields }) => {
+    let row = null;
+    try {
+      row = normalizeBatchRow(fields, { from });
+
+      let estimation;
+      if (row.type === 'transfer') {
+        estimation = await estimateEthTransfer({ ...params, to: row.to, valueEth: row.value, from: row.from });
+      } else if (row.type === 'token-transfer') {
+        estimation = await estimateTokenTransaction({
+          ...params,
+          token: row.token,
+          method: 'transfer',
+          to: row.to,
+          amount: row.amount,
+          from: row.from,
+          network
+        });
+      } else {
+        estimation = await estimateContractCall({
+          ...params,
+          to: row.to,
+          data: row.data || '0x',
+          valueEth: row.value || '0',
+          from: row.from
+        });
+      }
+      return { line, fields, row, estimation, error: null };
+    } catch (error) {
+      return { line, fields, row, estimation: null, error: toEstimatorError(error) };
+    } finally {
+      done++;
+      if (onProgress) {
+        onProgress(done, rows.length);
+      }
+    }
+  }, concurrency);
+}
+
+/**
+ * Aggregate batch results
+ *
+ * @param {Array<Object>} results - Result of estimateBatch
+ * @returns {{rows: number, succeeded: number, failed: number, gasUnits: number, l2FeeWei: bigint, l1FeeWei: bigint, totalWei: bigint}} Totals over the rows that succeeded
+ *
+ * @example
+ * summarizeBatch(results); // { rows: 3, succeeded: 2, failed: 1, totalWei: 44000000000n, ... }
+ */
+export function summarizeBatch(results) {
+  const summary = { rows: results.length, succeeded: 0, failed: 0, gasUnits: 0, l2FeeWei: 0n, l1FeeWei: 0n, totalWei: 0n };
+  for (const { estimation } of results) {
+    if (!estimation) {
+      summary.failed++;
+      continue;
+    }
+    summary.succeeded++;
+    summary.gasUnits += estimation.gasUnits;
+    summary.l2FeeWei += estimation.l2FeeWei;
+    summary.l1FeeWei += estimation.l1FeeWei;
+    summary.totalWei += estimation.totalWei;
+  }
+  return summary;
+}
+
+/**
+ * Render batch results and their total as lines of text
+ *
+ * @param {Array<Object>} results - Result of estimateBatch
+ * @param {Object} [options] - Rendering options
+ * @param {{price: (number|null), currency: string}} [options.quote] - ETH price for fiat costs
+ * @returns {Array<string>} Batch lines
+ *
+ * @example
+ * console.log(formatBatch(results, { quote }).join('\n'));
+ */
+export function formatBatch(results, { quote } = {}) {
+  const toFiat = (ethText) => (quote && quote.price !== null ? ` (~${formatFiat(parseFloat(ethText) * quote.price, quote.currency)})` : '');
+  const shorten = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.length > 13 ? `${text.slice(0, 6)}…${text.slice(-4)}` : text;
+  };
+
+  const lines = [];
+  for (const { line, fields, row, estimation, error } of results) {
+    // Rows that failed validation are shown as written in the file
+    const { type, to, token } = row || fields;
+    const label = `  ${`#${line}`.padEnd(6)}${String(type || '?').padEnd(16)}${shorten(token || to).padEnd(15)}`;
+    if (estimation) {
+      lines.push(`${label}${`${formatInteger(estimation.gasUnits)} gas`.padEnd(14)}${estimation.totalText} ETH${toFiat(estimation.totalText)}`);
+    } else {
+      lines.push(`${label}FAILED [${error.code}] ${error.message}`);
+    }
+  }
+
+  const summary = summarizeBatch(results);
+  const totalText = formatEthFromWei(summary.totalWei);
+  const failedNote = summary.failed ? ` (${summary.failed} of ${summary.rows} failed, not included)` : '';
+  lines.push('', `Total: ${totalText} ETH${toFiat(totalText)} for ${summary.succeeded} transaction${summary.succeeded === 1 ? '' : 's'}${failedNote}`);
+
+  return lines;
+}
@@ -0,0 +1,140 @@
+/**
+ * Budget Module
+ * Cost and gas price limits for gating scripts and CI jobs on the estimated cost
+ *
+ * A budget holds up to three limits: the total cost in ETH, the total cost in the quote
+ * currency and the effective gas price in Gwei. Every limit that is set must hold.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, PriceError, ERROR_CODES } from './errors.js';
+import { isPositiveNumber, formatFiat } from './utils.js';
+
+/**
+ * Process exit code of the CLI when an estimate is over budget
+ * 1 stays reserved for errors, so scripts can tell "failed" from "too expensive"
+ */
+export const BUDGET_EXIT_CODE = 3;
+
+/**
+ * Convert a positive decimal limit to base units
+ *
+ * @param {string|number} value - Limit as given by the user
+ * @param {string} unit - ethers unit name
+ * @param {string} label - Name of the limit for error messages
+ * @returns {bigint} Limit in base units
+ * @throws {ValidationError} If the value is not a positive number with at most the unit's decimals
+ */
+function parseLimit(value, unit, label) {
+  if (!isPositiveNumber(value)) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid ${label} "${value}"`, {
+      hint: 'Please provide a positive number (e.g., 0.001)'
+    });
+  }
+  try {
+    return ethers.parseUnits(String(value), unit);
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid ${label} "${value}": too many decimals`);
+  }
+}
+
+/**
+ * Validate budget limits
+ *
+ * @param {Object} [limits] - Limits; omitted ones are not checked
+ * @param {string|number} [limits.maxCostEth] - Highest acceptable total cost in ETH
+ * @param {string|number} [limits.maxCostFiat] - Highest acceptable total cost in the quote currency
+ * @param {string|number} [limits.maxGwei] - Highest acceptable effective gas price in Gwei
+ * @returns {{maxCostWei: (bigint|null), maxCostFiat: (number|null), maxGasPriceWei: (bigint|null)}} Parsed budget
+ * @throws {ValidationError} If a limit is not a positive number
+ *
+ * @example
+ * parseBudget({ maxCostEth: '0.001', maxGwei: '0.05' });
+ * // { maxCostWei: 1000000000000000n, maxCostFiat: null, maxGasPriceWei: 50000000n }
+ */
+export function parseBudget({ maxCostEth, maxCostFiat, maxGwei } = {}) {
+  const budget = { maxCostWei: null, maxCostFiat: null, maxGasPriceWei: null };
+
+  if (maxCostEth !== undefined) {
+    budget.maxCostWei = parseLimit(maxCostEth, 'ether', 'ETH cost limit');
+  }
+  if (maxCostFiat !== undefined) {
+    if (!isPositiveNumber(maxCostFiat)) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid fiat cost limit "${maxCostFiat}"`, {
+        hint: 'Please provide a positive number (e.g., 0.50)'
+      });
+    }
+    budget.maxCostFiat = parseFloat(maxCostFiat);
+  }
+  if (maxGwei !== undefined) {
+    budget.maxGasPriceWei = parseLimit(maxGwei, 'gwei', 'gas price limit');
+  }
+
+  return budget;
+}
+
+/**
+ * Whether a budget sets any limit
+ *
+ * @param {Object} budget - Result of parseBudget
+ * @returns {boolean} True when at least one limit is set
+ */
+export function hasBudget(budget) {
+  return budget.maxCostWei !== null || budget.maxCostFiat !== null || budget.maxGasPriceWei !== null;
+}
+
+/**
+ * Check a cost against a budget
+ *
+ * @param {Object} cost - Cost to check
+ * @param {bigint} cost.totalWei - Total cost in wei
+ * @param {bigint} cost.gasPriceWei - Effective gas price in wei
+ * @param {Object} budget - Result of parseBudget
+ * @param {Object} [quote] - ETH price, needed only for a fiat limit
+ * @param {number|null} [quote.price] - ETH price in the quote currency
+ * @param {string} [quote.currency] - Quote currency, defaults to 'usdc'
+ * @returns {{withinBudget: boolean, breaches: Array<{limit: string, message: string}>}} Result; limit is
+ *   'maxCostEth', 'maxCostFiat' or 'maxGwei'
+ * @throws {PriceError} If a fiat limit is set but no ETH price is available
+ *
+ * @example
+ * const { withinBudget, breaches } = checkBudget(estimation, parseBudget({ maxGwei: '0.01' }));
+ * breaches[0].message; // 'Gas price 0.012 Gwei is above the limit of 0.01 Gwei'
+ */
+export function checkBudget({ totalWei, gasPriceWei }, budget, { price = null, currency = 'usdc' } = {}) {
+  const breaches = [];
+
+  if (budget.maxCostWei !== null && totalWei > budget.maxCostWei) {
+    breaches.push({
+      limit: 'maxCostEth',
+      message: `Total cost ${ethers.formatEther(totalWei)} ETH is above the limit of ${ethers.formatEther(budget.maxCostWei)} ETH`
+    });
+  }
+
+  if (budget.maxCostFiat !== null) {
+    if (price === null) {
+      throw new PriceError('A fiat cost limit needs an ETH price, and none could be fetched', {
+        hint: 'Check the price sources, pass --price, or use --max-cost-eth instead'
+      });
+    }
+    const totalFiat = parseFloat(ethers.formatEther(totalWei)) * price;
+    if (totalFiat > budget.maxCostFiat) {
+      breaches.push({
+        limit: 'maxCostFiat',
+        message: `Total cost ${formatFiat(totalFiat, currency)} is above the limit of ${formatFiat(budget.maxCostFiat, currency)}`
+      });
+    }
+  }
+
+  if (budget.maxGasPriceWei !== null && gasPriceWei > budget.maxGasPriceWei) {
+    breaches.push({
+      limit: 'maxGwei',
+      message: `Gas price ${ethers.formatUnits(gasPriceWei, 'gwei')} Gwei is above the limit of ${ethers.formatUnits(budget.maxGasPriceWei, 'gwei')} Gwei`
+    });
+  }
+
+  return { withinBudget: breaches.length === 0, breaches };
+}
@@ -0,0 +1,166 @@
+/**
+ * Cache Module
+ * On-disk cache for ETH prices, chain IDs and recent fee data, shared across CLI invocations
+ *
+ * Entries live in one JSON file (~/.base-gas/cache.json by default) and expire after a TTL
+ * that depends on their kind. The cache is best effort: an unreadable file counts as empty
+ * and a failed write never fails an estimate.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { ValidationError, ERROR_CODES } from './errors.js';
+
+/**
+ * Cache file path, relative to the home directory
+ */
+export const CACHE_FILE = join('.base-gas', 'cache.json');
+
+/**
+ * Kinds of cached data and how long each stays fresh, in seconds
+ * Expired prices are kept as a fallback for when every price source fails
+ */
+export const DEFAULT_CACHE_TTLS = {
+  price: 60,
+  chainId: 86400,
+  fees: 10
+};
+
+/**
+ * Entries older than this are ignored and dropped on the next write, whatever their kind
+ */
+const MAX_ENTRY_AGE_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * Validate cache TTLs and merge them with the defaults
+ *
+ * @param {Object<string, number>} [ttls] - TTLs in seconds keyed by kind; 0 disables caching of that kind
+ * @returns {{price: number, chainId: number, fees: number}} Complete TTLs
+ * @throws {ValidationError} If a kind is unknown or a TTL is not a non-negative number
+ *
+ * @example
+ * resolveCacheTtls({ price: 300 }); // { price: 300, chainId: 86400, fees: 10 }
+ */
+export function resolveCacheTtls(ttls = {}) {
+  if (!ttls || typeof ttls !== 'object' || Array.isArray(ttls)) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, 'Cache TTLs must be an object keyed by kind');
+  }
+
+  for (const [kind, seconds] of Object.entries(ttls)) {
+    if (!(kind in DEFAULT_CACHE_TTLS)) {
+      throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Unknown cache kind "${kind}"`, {
+        hint: `Supported kinds: ${Object.keys(DEFAULT_CACHE_TTLS).join(', ')}`
+      });
+    }
+    if (typeof seconds !== 'number' || !isFinite(seconds) || seconds < 0) {
+      throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Cache TTL for "${kind}" must be a non-negative number of seconds`);
+    }
+  }
+
+  return { ...DEFAULT_CACHE_TTLS, ...ttls };
+}
+
+/**
+ * Read every entry from a cache file
+ *
+ * @param {string} file - Cache file path
+ * @returns {Object<string, {kind: string, storedAt: number, value: *}>} Entries keyed by cache key; empty when missing or unreadable
+ */
+function readEntries(file) {
+  try {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    return parsed && typeof parsed.entries === 'object' && !Array.isArray(parsed.entries) ? parsed.entries : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Create a cache backed by a JSON file
+ * The file is re-read on every access so concurrent invocations see each other's entries,
+ * and written through a temporary file so a reader never sees half a file.
+ *
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.file] - Cache file, defaults to ~/.base-gas/cache.json
+ * @param {Object<string, number>} [options.ttls] - TTLs in seconds keyed by kind (see DEFAULT_CACHE_TTLS)
+ * @param {function(): number} [options.now] - Clock in milliseconds, defaults to Date.now
+ * @returns {{file: string, ttls: Object<string, number>, get: function(string, string): (Object|null), set: function(string, string, *): void, clear: function(): number}} Cache
+ * @throws {ValidationError} If a TTL is invalid
+ *
+ * @example
+ * const cache = createCache({ ttls: { price: 300 } });
+ * cache.set('price', 'coingecko:usd', { price: 3450.25, source: 'coingecko' });
+ * cache.get('price', 'coingecko:usd'); // { value: {...}, ageSeconds: 0, fresh: true }
+ */
+export function createCache({ file = join(homedir(), CACHE_FILE), ttls, now = Date.now } = {}) {
+  const resolvedTtls = resolveCacheTtls(ttls);
+
+  return {
+    file,
+    ttls: resolvedTtls,
+
+    /**
+     * Look up an entry, fresh or expired
+     * @param {string} kind - Kind of data (see DEFAULT_CACHE_TTLS)
+     * @param {string} key - Cache key
+     * @returns {{value: *, ageSeconds: number, fresh: boolean}|null} Entry, or null when missing, older than a week or the kind is disabled
+     */
+    get(kind, key) {
+      if (resolvedTtls[kind] === 0) {
+        return null;
+      }
+      const entry = readEntries(file)[`${kind}:${key}`];
+      if (!entry || now() - entry.storedAt >= MAX_ENTRY_AGE_MS) {
+        return null;
+      }
+      const ageSeconds = Math.max(0, Math.floor((now() - entry.storedAt) / 1000));
+      return { value: entry.value, ageSeconds, fresh: ageSeconds < resolvedTtls[kind] };
+    },
+
+    /**
+     * Store an entry, dropping entries too old to be useful
+     * @param {string} kind - Kind of data (see DEFAULT_CACHE_TTLS)
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     */
+    set(kind, key, value) {
+      if (resolvedTtls[kind] === 0) {
+        return;
+      }
+      const storedAt = now();
+      const entries = {};
+      for (const [entryKey, entry] of Object.entries(readEntries(file))) {
+        if (storedAt - entry.storedAt < MAX_ENTRY_AGE_MS) {
+          entries[entryKey] = entry;
+        }
+      }
+      entries[`${kind}:${key}`] = { kind, storedAt, value };
+
+      try {
+        mkdirSync(dirname(file), { recursive: true });
+        const temporary = `${file}.${process.pid}.tmp`;
+        writeFileSync(temporary, JSON.stringify({ entries }));
+        renameSync(temporary, file);
+      } catch (error) {
+        // A read-only home directory only costs the next invocation a request
+      }
+    },
+
+    /**
+     * Delete the cache file
+     * @returns {number} Number of entries removed
+     */
+    clear() {
+      if (!existsSync(file)) {
+        return 0;
+      }
+      const count = Object.keys(readEntries(file)).length;
+      rmSync(file, { force: true });
+      return count;
+    }
+  };
+}
@@ -8,25 +8,550 @@
  * @license MIT
  */
 
-import { Command } from 'commander';
-import { estimateEthTransfer } from './estimator.js';
-import { getEthUsdPrice } from './price.js';
-import { isValidAddress, isPositiveNumber, getRpcUrl } from './utils.js';
+import { readFileSync, writeFileSync } from 'fs';
+import { extname } from 'path';
+import { Command, Option } from 'commander';
+import {
+  estimateEthTransfer,
+  estimateContractCall,
+  estimateTokenTransaction,
+  estimateDeployment,
+  estimateRawTransaction,
+  getGasDashboard,
+  analyzeFeeHistory,
+  encodeFunctionCall
+} from './estimator.js';
+import {
+  PRICE_SOURCES,
+  normalizeCurrency,
+  createFixedPriceProvider,
+  createPriceProviders,
+  fetchEthPrice
+} from './price.js';
+import { isValidAddress, isPositiveNumber, isNonNegativeNumber, formatEthFromWei, formatFiat, formatGasPrice, formatInteger } from './utils.js';
+import { loadConfig, resolveNetwork } from './config.js';
+import { createCache } from './cache.js';
+import { BUDGET_EXIT_CODE, parseBudget, hasBudget, checkBudget } from './budget.js';
+import { checkSendReadiness } from './readiness.js';
+import { DEFAULT_RPC_OPTIONS } from './rpc.js';
+import { FEE_SPEEDS, DEFAULT_FEE_WINDOW, validateFeeWindow } from './fees.js';
+import { ValidationError, ERROR_CODES, toEstimatorError } from './errors.js';
+import { formatDashboard } from './dashboard.js';
+import { formatHistory } from './history.js';
+import { parseBalanceOverride, buildStateOverrides } from './simulation.js';
+import { DEFAULT_COMPARE_NETWORKS, compareNetworks, formatComparison } from './compare.js';
+import { PROJECTION_PERIODS, DEFAULT_PROJECTION_BLOCKS, projectWorkload, formatProjection } from './projection.js';
+import { DEFAULT_SERVER_HOST, DEFAULT_SERVER_PORT, createEstimationServer } from './server.js';
+import { EMIT_FORMATS, DEFAULT_GAS_BUFFER_PERCENT, validateGasBuffer, buildUnsignedTransaction, formatUnsignedTransaction } from './transaction.js';
+import { DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY, parseBatchInput, estimateBatch, summarizeBatch, formatBatch } from './batch.js';
+import {
+  OUTPUT_FORMATS,
+  buildReport,
+  buildDashboardReport,
+  buildHistoryReport,
+  buildHistoryRows,
+  buildBatchReport,
+  buildComparisonReport,
+  buildProjectionReport,
+  formatCsv,
+  formatJson,
+  formatErrorPayload
+} from './output.js';
 
 const program = new Command();
 
+/**
+ * How often watch mode refreshes the ETH price, independent of the fee refresh interval
+ */
+const PRICE_REFRESH_MS = 60000;
+
 /**
  * Format and display gas estimation results
  * @param {Object} estimation - Gas estimation results
- * @param {number} ethPrice - Current ETH price in USD (used as USDC equivalent)
+ * @param {{price: (number|null), currency: string}} quote - ETH price in the quote currency, null if unavailable
  */
-function displayResults(estimation, ethPrice) {
-  const { gasUnits, gasPriceWei, totalWei, gasText, totalText } = estimation;
-  const totalUsdc = (parseFloat(totalText) * ethPrice).toFixed(6);
+function displayResults(estimation, quote) {
+  const { gasUnits, gasText, l2FeeText, l1FeeText, totalText, token, initCodeSize, rawTransaction, feeTiers, speed } = estimation;
+  const toFiat = (ethText) => (quote.price === null
+    ? `N/A ${quote.currency.toUpperCase()}`
+    : formatFiat(parseFloat(ethText) * quote.price, quote.currency));
+  const totalFiat = toFiat(totalText);
+
+  if (token) {
+    console.log(`Token: ${token.symbol || token.address} (${token.address}, ${token.decimals} decimals)`);
+  }
+  if (initCodeSize !== undefined) {
+    console.log(`Init Code Size: ${initCodeSize.toLocaleString()} bytes`);
+  }
+  if (rawTransaction) {
+    displayRawTransaction(estimation, toFiat);
+  }
   
   console.log(`Gas Units: ${gasUnits.toLocaleString()}`);
+
+  if (feeTiers) {
+    const { changePercent, direction } = estimation.baseFeeTrend;
+    const sign = changePercent > 0 ? '+' : '';
+    console.log(`Fee Tiers (base fee ${direction} ${sign}${changePercent}% over ${estimation.feeWindow} blocks):`);
+    for (const [tier, fees] of Object.entries(feeTiers)) {
+      const marker = tier === speed ? ' ← selected' : '';
+      console.log(`  ${`${tier}:`.padEnd(10)}${fees.gasText} → ${fees.totalText} ETH (~${toFiat(fees.totalText)})${marker}`);
+    }
+  }
+
   console.log(`Gas Price: ${gasText}`);
-  console.log(`Total Cost: ${totalText} ETH (~${totalUsdc} USDC)`);
+  console.log(`L2 Execution Fee: ${l2FeeText} ETH`);
+  console.log(`L1 Data Fee: ${l1FeeText} ETH`);
+  console.log(`Total Cost: ${totalText} ETH (~${totalFiat})`);
+
+  if (estimation.accessList) {
+    displayAccessList(estimation, toFiat);
+  }
+  if (estimation.sender) {
+    displaySender(estimation.sender, toFiat);
+  }
+}
+
+/**
+ * Print whether the sender can afford the transaction at the worst-case fee
+ * @param {Object} sender - Readiness check of the estimate (see checkSendReadiness)
+ * @param {function(string): string} toFiat - Converts an ETH amount to a fiat label
+ */
+function displaySender(sender, toFiat) {
+  console.log('');
+  console.log(`Sender: ${sender.address} · Next Nonce: ${sender.nonce}`);
+  console.log(`Balance: ${sender.balanceText} ETH (~${toFiat(sender.balanceText)})`);
+  console.log(`Required: ${sender.requiredText} ETH (value plus a worst-case fee of ${sender.worstCaseFeeText} ETH)`);
+  console.log(sender.canSend
+    ? 'Ready to Send: ✓ the balance covers the worst case'
+    : `Ready to Send: ✗ missing ${sender.missingText} ETH (~${toFiat(sender.missingText)})`);
+  console.log(`Max Sendable: ${sender.maxSendableText} ETH (send-all value after the worst-case fee)`);
+}
+
+/**
+ * Print the access-list comparison of a call estimate
+ * @param {Object} estimation - Result of estimateContractCall with generateAccessList
+ * @param {function(string): string} toFiat - Converts an ETH amount to a fiat label
+ */
+function displayAccessList({ accessList: list, gasUnits, l1FeeText, totalText }, toFiat) {
+  const savedText = formatEthFromWei(list.savingsWei < 0n ? -list.savingsWei : list.savingsWei);
+
+  console.log('');
+  console.log(`Access List: ${list.addresses} address${list.addresses === 1 ? '' : 'es'}, ${list.storageKeys} storage key${list.storageKeys === 1 ? '' : 's'}`);
+  for (const entry of list.entries) {
+    console.log(`  ${entry.address}${entry.storageKeys.length ? ` (${entry.storageKeys.length} key${entry.storageKeys.length === 1 ? '' : 's'})` : ''}`);
+  }
+  console.log(`Gas Units: ${formatInteger(gasUnits)} without → ${formatInteger(list.gasUnits)} with the list (${list.gasSavedUnits >= 0 ? `${formatInteger(list.gasSavedUnits)} saved` : `${formatInteger(-list.gasSavedUnits)} more`})`);
+  console.log(`L1 Data Fee: ${l1FeeText} ETH without → ${list.l1FeeText} ETH with the list (+${list.extraL1FeeText} ETH)`);
+  console.log(`Total Cost: ${totalText} ETH without → ${list.totalText} ETH with the list (~${toFiat(list.totalText)})`);
+  console.log(list.worthIt
+    ? `Worth including: saves ${savedText} ETH (~${toFiat(savedText)})`
+    : `Not worth including: costs ${savedText} ETH (~${toFiat(savedText)}) more`);
+}
+
+/**
+ * Print the decoded transaction of an estimate-raw result and check its own gas limit and fee cap
+ * @param {Object} estimation - Result of estimateRawTransaction
+ * @param {function(string): string} toFiat - Converts an ETH amount to a fiat label
+ */
+function displayRawTransaction({ rawTransaction: tx, checks, gasUnits, nextBaseFeeWei, ownGasPriceWei, ownCostText }, toFiat) {
+  const check = (ok) => (ok ? '✓' : '✗');
+  const signer = tx.signed ? `signed by ${tx.from}` : `unsigned${tx.from ? `, estimated from ${tx.from}` : ''}`;
+
+  console.log(`Transaction: ${tx.typeName} (type ${tx.type}), ${signer}`);
+  if (tx.hash) {
+    console.log(`Hash: ${tx.hash}`);
+  }
+  console.log(`To: ${tx.to || 'contract creation'} · Nonce: ${tx.nonce} · Chain: ${tx.chainId || 'any (pre-EIP-155)'}`);
+  console.log(`Size: ${formatInteger(tx.serializedSize)} bytes (${formatInteger(tx.dataSize)} bytes of calldata)`);
+  console.log(`Gas Limit: ${formatInteger(tx.gasLimit)} ${check(checks.gasLimitSufficient)} ${checks.gasLimitSufficient ? 'covers' : 'is below'} the ${formatInteger(gasUnits)} estimated`);
+  console.log(`${tx.type === 2 ? 'Max Fee' : 'Gas Price'}: ${formatGasPrice(tx.feeCapWei)} ${check(checks.feeCapSufficient)} ${checks.feeCapSufficient ? 'covers' : 'is below'} the next base fee of ${formatGasPrice(nextBaseFeeWei)}`);
+  console.log(`At Its Own Fees: ${formatGasPrice(ownGasPriceWei)} → ${ownCostText} ETH (~${toFiat(ownCostText)})`);
+}
+
+/**
+ * Print estimation results in the format selected by the global --output option,
+ * then check them against the budget limits
+ * With --emit-tx only the unsigned transaction goes to stdout, so it can be piped to a signer
+ * @param {string} command - Command that produced the estimate
+ * @param {Object} estimation - Gas estimation results
+ * @param {{price: (number|null), source: (string|null), currency: string}} quote - ETH price, its source and currency
+ * @param {string} network - Network name
+ * @param {Object} budget - Budget limits (see budgetFor)
+ * @param {Object|null} [emit] - Transaction output options (see emitFor), null to print the estimate
+ */
+function outputResults(command, estimation, quote, network, budget, emit = null) {
+  const format = program.opts().output;
+  const check = hasBudget(budget) ? checkBudget(estimation, budget, quote) : null;
+
+  if (emit) {
+    const tx = buildUnsignedTransaction(estimation, { gasBufferPercent: emit.gasBufferPercent });
+    const output = formatUnsignedTransaction(tx, emit.format, { abi: emit.abi });
+    if (tx.nonce === null && emit.format === 'rlp') {
+      console.error('Warning: no --from given, so the transaction is encoded with nonce 0; set the nonce before signing');
+    }
+    if (estimation.sender) {
+      // The buffered gas limit raises the worst case the sender signs for; an L1 share counted
+      // in the gas limit (Arbitrum) is not billed again
+      const { address, balanceWei, nonce } = estimation.sender;
+      const readiness = checkSendReadiness({ address, balanceWei, nonce }, {
+        valueWei: tx.value,
+        gasLimit: tx.gasLimit,
+        maxFeePerGas: tx.maxFeePerGas,
+        l1FeeWei: estimation.l1GasUnits > 0 ? 0n : estimation.l1FeeWei
+      });
+      if (!readiness.canSend) {
+        console.error(`Warning: the sender's balance does not cover this transaction's worst case of ${readiness.requiredText} ETH; ${readiness.missingText} ETH is missing`);
+      }
+    }
+    console.log(output);
+  } else if (format === 'table') {
+    displayResults(estimation, quote);
+  } else {
+    const report = {
+      ...buildReport(estimation, {
+        command,
+        network,
+        ethPrice: quote.price,
+        priceSource: quote.source,
+        priceStale: quote.stale,
+        fiatCurrency: quote.currency.toUpperCase()
+      }),
+      ...budgetFields(check)
+    };
+    console.log(format === 'json' ? formatJson(report) : formatCsv([report]));
+  }
+
+  reportBudget(check ? [check] : [], !emit && format === 'table');
+}
+
+/**
+ * Read the --emit-tx and --gas-buffer options of an estimate command
+ * @param {Object} options - Command options
+ * @param {Array} [abi] - ABI of the called function, so an EIP-681 URI can name it and type its arguments
+ * @returns {{format: string, gasBufferPercent: number, abi: (Array|undefined)}|null} Transaction output
+ *   options, null without --emit-tx
+ */
+function emitFor(options, abi) {
+  const gasBufferPercent = validateGasBuffer(options.gasBuffer);
+  return options.emitTx ? { format: options.emitTx, gasBufferPercent, abi } : null;
+}
+
+/**
+ * Parse the global --max-cost-eth, --max-cost-fiat and --max-gwei options
+ * @returns {Object} Budget limits (see parseBudget); no limits when none were given
+ */
+function budgetFor() {
+  const { maxCostEth, maxCostFiat, maxGwei } = program.opts();
+  return parseBudget({ maxCostEth, maxCostFiat, maxGwei });
+}
+
+/**
+ * Report fields for a budget check, empty when no limits were given
+ * @param {Object|null} check - Result of checkBudget
+ * @returns {Object} withinBudget and budgetBreaches (comma-separated limit names)
+ */
+function budgetFields(check) {
+  if (!check) {
+    return {};
+  }
+  return {
+    withinBudget: check.withinBudget,
+    budgetBreaches: check.breaches.length ? check.breaches.map((breach) => breach.limit).join(',') : null
+  };
+}
+
+/**
+ * Explain breached budget limits and set the over-budget exit code
+ * Table output reports on stdout; JSON, CSV and emitted transactions keep stdout machine-readable and report on stderr
+ * @param {Array<Object>} checks - checkBudget results, each with an optional label naming what was checked
+ * @param {boolean} [table] - Whether stdout carries a table, defaults to --output table
+ */
+function reportBudget(checks, table = program.opts().output === 'table') {
+  if (checks.length === 0) {
+    return;
+  }
+  const print = table ? console.log : console.error;
+  const breaches = checks.flatMap(({ label, breaches: found }) => found.map((breach) => `${label ? `${label}: ` : ''}${breach.message}`));
+
+  if (breaches.length === 0) {
+    if (table) {
+      console.log('Budget: ✓ within every limit');
+    }
+    return;
+  }
+
+  print(`Budget: ✗ over budget (exit code ${BUDGET_EXIT_CODE})`);
+  for (const breach of breaches) {
+    print(`  ${breach}`);
+  }
+  process.exitCode = BUDGET_EXIT_CODE;
+}
+
+/**
+ * Report an error in the selected output format and exit with a non-zero code
+ * JSON mode writes a structured { error: { code, message } } object to stdout
+ * @param {Error} error - Error to report
+ */
+function exitWithError(error) {
+  const structured = toEstimatorError(error);
+
+  if (program.opts().output === 'json') {
+    console.log(formatJson(formatErrorPayload(structured)));
+  } else {
+    console.error('Error:', structured.message);
+    if (structured.hint) {
+      console.error(structured.hint);
+    }
+  }
+
+  process.exit(1);
+}
+
+/**
+ * Build the price providers selected by the global --price, --price-source and --currency options
+ * @param {Object} chain - Resolved network (supplies the Chainlink feed and its RPC endpoints)
+ * @returns {Array<Object>} Price providers in fallback order
+ */
+function selectPriceProviders(chain) {
+  const { price, priceSource, currency } = program.opts();
+
+  // Reject a malformed --currency before any network request is made
+  normalizeCurrency(currency);
+
+  if (price !== undefined) {
+    if (!isPositiveNumber(price)) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH price override', {
+        hint: 'Please provide a positive number (e.g., --price 3450.25)'
+      });
+    }
+    return [createFixedPriceProvider(parseFloat(price))];
+  }
+
+  const names = priceSource.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !PRICE_SOURCES.includes(name));
+  if (unknown.length || names.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid price source "${unknown.join(', ') || priceSource}"`, {
+      hint: `Supported price sources: ${PRICE_SOURCES.join(', ')}`
+    });
+  }
+
+  const { rpcUrl, rpcUrls, chainId, rpcOptions } = connectionFor(chain);
+  return createPriceProviders(names, { rpcUrl, rpcUrls, chainId, rpcOptions, feedAddress: chain.ethUsdFeed });
+}
+
+/**
+ * Open the on-disk cache with the TTLs from the config files, unless --no-cache was given
+ * @returns {Object|undefined} Cache (see createCache)
+ */
+function cacheFor() {
+  return program.opts().cache ? createCache({ ttls: loadConfig().cacheTtls }) : undefined;
+}
+
+/**
+ * Fetch the ETH price in the global --currency, degrading to ETH-only output when every provider fails
+ * Prices are cached unless --price or --no-cache is given; a stale cached price is reported on stderr
+ * Throws an INVALID_ARGUMENT error for malformed currency codes
+ * @param {Array<Object>} providers - Price providers in fallback order
+ * @returns {Promise<{price: (number|null), source: (string|null), currency: string, stale: boolean}>} ETH price, its source and currency
+ */
+async function fetchPrice(providers) {
+  const { currency: code, price } = program.opts();
+  const currency = normalizeCurrency(code);
+
+  try {
+    const quote = await fetchEthPrice(providers, { currency, cache: price === undefined ? cacheFor() : undefined });
+    if (quote.stale) {
+      const age = quote.ageSeconds < 120 ? `${quote.ageSeconds}s` : `${Math.floor(quote.ageSeconds / 60)} min`;
+      console.error(`Warning: every price source failed. Using the cached ${quote.source} price from ${age} ago.`);
+    }
+    return quote;
+  } catch (error) {
+    console.error(`Warning: ${error.message}. Showing ETH-only costs.`);
+    return { price: null, source: null, currency, stale: false };
+  }
+}
+
+/**
+ * Resolve the network option to its chain ID, RPC URL and contract addresses
+ * Applies the global --rpc-url option, the BASE_GAS_RPC_URL env var and config-file networks
+ * @param {string} network - Network name from CLI options
+ * @returns {Object} Resolved network (see resolveNetwork)
+ */
+function resolveChain(network) {
+  return resolveNetwork(network, { config: loadConfig(), rpcUrl: program.opts().rpcUrl });
+}
+
+/**
+ * Build estimator connection and fee parameters from a resolved network and the global
+ * --rpc-timeout, --rpc-retries, --verbose, --no-cache, --speed and --fee-window options
+ * @param {Object} chain - Resolved network
+ * @returns {Object} speed, feeWindow, rpcUrl, rpcUrls, chainId, feeModel, gasPriceOracle and rpcOptions for the estimator
+ */
+function connectionFor(chain) {
+  const { rpcTimeout, rpcRetries, verbose, speed, feeWindow } = program.opts();
+
+  const timeoutMs = Number(rpcTimeout);
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid RPC timeout "${rpcTimeout}"`, {
+      hint: 'Please provide a positive number of milliseconds (e.g., --rpc-timeout 5000)'
+    });
+  }
+
+  const retries = Number(rpcRetries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid RPC retry count "${rpcRetries}"`, {
+      hint: 'Please provide a whole number (e.g., --rpc-retries 3)'
+    });
+  }
+
+  validateFeeWindow(Number(feeWindow));
+
+  return {
+    speed,
+    feeWindow: Number(feeWindow),
+    rpcUrl: chain.rpcUrl,
+    rpcUrls: chain.rpcUrls,
+    chainId: chain.chainId,
+    feeModel: chain.feeModel,
+    gasPriceOracle: chain.gasPriceOracle,
+    rpcOptions: {
+      timeoutMs,
+      retries,
+      log: verbose ? (message) => console.error(`[rpc] ${message}`) : undefined,
+      cache: cacheFor()
+    }
+  };
+}
+
+/**
+ * Build simulation state overrides from the global --overrides and --override-balance options
+ * @returns {Object|undefined} Normalized state overrides, undefined when none were given
+ */
+function stateOverridesFor() {
+  const { overrides, overrideBalance } = program.opts();
+
+  let fileOverrides = {};
+  if (overrides) {
+    try {
+      fileOverrides = JSON.parse(readFileSync(overrides, 'utf8'));
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read state overrides file "${overrides}": ${error.message}`);
+    }
+  }
+
+  return buildStateOverrides(fileOverrides, overrideBalance.map(parseBalanceOverride));
+}
+
+/**
+ * Load a contract ABI from a JSON file
+ * Accepts a bare ABI array or a compiled artifact with an "abi" field
+ * @param {string} path - Path to the ABI or artifact file
+ * @returns {Array} Contract ABI
+ */
+function loadAbi(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read ABI file "${path}": ${error.message}`);
+  }
+
+  const abi = Array.isArray(parsed) ? parsed : parsed.abi;
+  if (!Array.isArray(abi)) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `ABI file "${path}" does not contain an ABI array`);
+  }
+  return abi;
+}
+
+/**
+ * Load creation bytecode and ABI from a Hardhat or Foundry artifact
+ * Hardhat stores bytecode as a hex string, Foundry as { object: '0x...' }
+ * @param {string} path - Path to the artifact JSON file
+ * @returns {{abi: Array, bytecode: string}} Contract ABI and bytecode
+ */
+function loadArtifact(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read artifact file "${path}": ${error.message}`);
+  }
+
+  const bytecode = typeof parsed.bytecode === 'string' ? parsed.bytecode : parsed.bytecode && parsed.bytecode.object;
+  if (!bytecode || bytecode === '0x') {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `Artifact "${path}" has no creation bytecode (is it an interface or abstract contract?)`);
+  }
+
+  return { abi: Array.isArray(parsed.abi) ? parsed.abi : [], bytecode };
+}
+
+/**
+ * Read hex data (bytecode, a serialized transaction) given inline or as a path to a file containing hex
+ * @param {string} value - Hex string or file path
+ * @param {string} label - What the hex is, for error messages
+ * @returns {string} Hex string
+ */
+function loadHex(value, label) {
+  if (/^(0x)?[0-9a-fA-F]+$/.test(value)) {
+    return value;
+  }
+
+  try {
+    return readFileSync(value, 'utf8').trim();
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read ${label} file "${value}": ${error.message}`);
+  }
+}
+
+/**
+ * Validate the transaction described by the --to, --value, --from and --sig / --abi / --data
+ * options of compare and project, encoding the call when a function is given
+ * @param {Object} options - Command options
+ * @returns {{to: string, valueEth: string, data: (string|undefined), from: (string|undefined)}} Transaction to estimate
+ * @throws {ValidationError} If an address or the value is invalid, or more than one calldata option is given
+ */
+function resolveCallSpec(options) {
+  // Validate recipient / contract address
+  if (!isValidAddress(options.to)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address', {
+      hint: 'Please provide a valid Ethereum address (0x... format)'
+    });
+  }
+
+  // Validate sender address
+  if (options.from !== undefined && !isValidAddress(options.from)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+      hint: 'Please provide a valid Ethereum address (0x... format)'
+    });
+  }
+
+  // Validate ETH value (zero is allowed for calls)
+  if (!isNonNegativeNumber(options.value)) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+      hint: 'Please provide zero or a positive number (e.g., 0, 0.1, 1.5)'
+    });
+  }
+
+  if ([options.sig, options.abi, options.data].filter(Boolean).length > 1) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Provide only one of --sig, --abi or --data', {
+      hint: 'Example: --sig "transfer(address,uint256)" --args 0x... 1000000'
+    });
+  }
+
+  let data = options.data;
+  if (options.sig || options.abi) {
+    data = encodeFunctionCall({
+      signature: options.sig,
+      abi: options.abi ? loadAbi(options.abi) : undefined,
+      functionName: options.function,
+      args: options.args
+    });
+  } else if (data !== undefined) {
+    data = loadHex(data, 'calldata');
+  }
+
+  return { to: options.to, valueEth: options.value, data, from: options.from };
 }
 
 /**
@@ -37,45 +562,726 @@ async function handleTransfer(options) {
   try {
     // Validate recipient address
     if (!isValidAddress(options.to)) {
-      console.error('Error: Invalid recipient address');
-      console.error('Please provide a valid Ethereum address (0x... format)');
-      process.exit(1);
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
     }
 
     // Validate ETH value
     if (!isPositiveNumber(options.value)) {
-      console.error('Error: Invalid ETH value');
-      console.error('Please provide a positive number (e.g., 0.1, 1.5)');
-      process.exit(1);
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+        hint: 'Please provide a positive number (e.g., 0.1, 1.5)'
+      });
     }
 
-    // Validate network
-    const validNetworks = ['base', 'base-sepolia'];
-    if (!validNetworks.includes(options.network)) {
-      console.error(`Error: Invalid network "${options.network}"`);
-      console.error(`Supported networks: ${validNetworks.join(', ')}`);
-      process.exit(1);
+    // Validate sender address
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
     }
 
-    // Get RPC URL for the network
-    const rpcUrl = getRpcUrl(options.network);
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const emit = emitFor(options);
     
     // Fetch ETH price and gas estimation in parallel
-    const [ethPrice, estimation] = await Promise.all([
-      getEthUsdPrice(),
+    const [quote, estimation] = await Promise.all([
+      fetchPrice(priceProviders),
       estimateEthTransfer({
         to: options.to,
         valueEth: options.value,
-        rpcUrl: rpcUrl
+        from: options.from,
+        stateOverrides: stateOverridesFor(),
+        ...connectionFor(chain)
       })
     ]);
 
     // Display results
-    displayResults(estimation, ethPrice);
+    outputResults('transfer', estimation, quote, options.network, budget, emit);
 
   } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle call command
+ * @param {Object} options - Command options
+ */
+async function handleCall(options) {
+  try {
+    // Validate contract address
+    if (!isValidAddress(options.to)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid contract address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    // Validate sender address
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    // Validate ETH value (zero is allowed for non-payable calls)
+    if (!isNonNegativeNumber(options.value)) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+        hint: 'Please provide zero or a positive number (e.g., 0, 0.1, 1.5)'
+      });
+    }
+
+    // Require exactly one way of describing the function
+    if (!options.sig === !options.abi) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Provide either --sig or --abi', {
+        hint: 'Example: --sig "transfer(address,uint256)" or --abi ./Token.json --function transfer'
+      });
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const abi = options.abi ? loadAbi(options.abi) : undefined;
+    const emit = emitFor(options, abi || [options.sig.trim().startsWith('function ') ? options.sig.trim() : `function ${options.sig.trim()}`]);
+
+    const [quote, estimation] = await Promise.all([
+      fetchPrice(priceProviders),
+      estimateContractCall({
+        to: options.to,
+        signature: options.sig,
+        abi,
+        functionName: options.function,
+        args: options.args,
+        valueEth: options.value,
+        from: options.from,
+        stateOverrides: stateOverridesFor(),
+        generateAccessList: options.accessList,
+        ...connectionFor(chain)
+      })
+    ]);
+
+    outputResults('call', estimation, quote, options.network, budget, emit);
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle token-transfer and token-approve commands
+ * @param {string} method - ERC-20 method ('transfer' or 'approve')
+ * @param {Object} options - Command options
+ */
+async function handleToken(method, options) {
+  try {
+    const target = method === 'approve' ? options.spender : options.to;
+    const label = method === 'approve' ? 'spender' : 'recipient';
+
+    // Validate recipient or spender address
+    if (!isValidAddress(target)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, `Invalid ${label} address`, {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    // Validate token holder address
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid holder address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    // Validate token amount ('max' is allowed for approvals)
+    const isMaxApproval = method === 'approve' && options.amount === 'max';
+    if (!isMaxApproval && !isPositiveNumber(options.amount)) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid token amount', {
+        hint: 'Please provide a positive number (e.g., 10, 2.5)'
+      });
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const emit = emitFor(options, [`function ${method}(address,uint256)`]);
+
+    const [quote, estimation] = await Promise.all([
+      fetchPrice(priceProviders),
+      estimateTokenTransaction({
+        token: options.token,
+        method,
+        to: target,
+        amount: options.amount,
+        from: options.from,
+        network: options.network,
+        stateOverrides: stateOverridesFor(),
+        ...connectionFor(chain)
+      })
+    ]);
+
+    outputResults(`token-${method}`, estimation, quote, options.network, budget, emit);
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle deploy command
+ * @param {Object} options - Command options
+ */
+async function handleDeploy(options) {
+  try {
+    // Require exactly one bytecode source
+    if (!options.artifact === !options.bytecode) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Provide either --artifact or --bytecode', {
+        hint: 'Example: --artifact ./out/Token.sol/Token.json or --bytecode 0x6080...'
+      });
+    }
+
+    // Validate deployer address
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid deployer address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    // Validate ETH value (zero for non-payable constructors)
+    if (!isNonNegativeNumber(options.value)) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+        hint: 'Please provide zero or a positive number (e.g., 0, 0.1, 1.5)'
+      });
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const emit = emitFor(options);
+
+    let { abi, bytecode } = options.artifact
+      ? loadArtifact(options.artifact)
+      : { abi: [], bytecode: loadHex(options.bytecode, 'bytecode') };
+
+    // A constructor signature overrides the artifact ABI for raw bytecode
+    if (options.constructorSig) {
+      abi = [options.constructorSig.trim()];
+    }
+
+    const [quote, estimation] = await Promise.all([
+      fetchPrice(priceProviders),
+      estimateDeployment({
+        bytecode,
+        abi,
+        args: options.args,
+        valueEth: options.value,
+        from: options.from,
+        stateOverrides: stateOverridesFor(),
+        ...connectionFor(chain)
+      })
+    ]);
+
+    outputResults('deploy', estimation, quote, options.network, budget, emit);
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle estimate-raw command: decode a serialized transaction and estimate it as-is
+ * @param {Object} options - Command options
+ */
+async function handleEstimateRaw(options) {
+  try {
+    // Validate sender address for unsigned transactions
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+
+    const [quote, estimation] = await Promise.all([
+      fetchPrice(priceProviders),
+      estimateRawTransaction({
+        serialized: loadHex(options.tx, 'transaction'),
+        from: options.from,
+        abi: options.abi ? loadAbi(options.abi) : undefined,
+        stateOverrides: stateOverridesFor(),
+        ...connectionFor(chain)
+      })
+    ]);
+
+    outputResults('estimate-raw', estimation, quote, options.network, budget);
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle gas command: show current fees once, or refresh them in place with --watch
+ * @param {Object} options - Command options
+ */
+async function handleGas(options) {
+  try {
+    let intervalMs = null;
+    if (options.watch !== undefined) {
+      const seconds = Number(options.watch);
+      if (!isFinite(seconds) || seconds < 1) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid watch interval "${options.watch}"`, {
+          hint: 'Please provide a refresh interval of at least 1 second (e.g., --watch 5)'
+        });
+      }
+      intervalMs = seconds * 1000;
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const connection = connectionFor(chain);
+    if (intervalMs !== null) {
+      // Every refresh must see new blocks
+      connection.rpcOptions.cache = undefined;
+    }
+    const format = program.opts().output;
+    // Refresh in place only on a terminal; pipes get one frame after another
+    const interactive = Boolean(process.stdout.isTTY) && intervalMs !== null;
+    const color = interactive && !process.env.NO_COLOR;
+
+    let quote = null;
+    let quotedAt = 0;
+    let previous = null;
+    let printedLines = 0;
+
+    const refresh = async () => {
+      const [dashboard, latestQuote] = await Promise.all([
+        getGasDashboard(connection),
+        quote && Date.now() - quotedAt < PRICE_REFRESH_MS ? quote : fetchPrice(priceProviders)
+      ]);
+      if (latestQuote !== quote) {
+        quote = latestQuote;
+        quotedAt = Date.now();
+      }
+
+      if (format === 'table') {
+        const lines = formatDashboard(dashboard, { previous, quote, network: chain.name, color });
+        if (interactive) {
+          // Move back over the previous frame and clear it
+          if (printedLines) {
+            process.stdout.write(`\u001b[${printedLines}F\u001b[0J`);
+          }
+          lines.push(`Refreshing every ${options.watch}s, Ctrl+C to stop`);
+          printedLines = lines.length;
+        } else if (previous) {
+          console.log('');
+        }
+        console.log(lines.join('\n'));
+      } else {
+        const report = buildDashboardReport(dashboard, {
+          network: options.network,
+          ethPrice: quote.price,
+          priceSource: quote.source,
+          priceStale: quote.stale,
+          fiatCurrency: quote.currency.toUpperCase()
+        });
+        if (format === 'json') {
+          // Watch mode streams one JSON object per line
+          console.log(intervalMs === null ? formatJson(report) : JSON.stringify(report));
+        } else {
+          const [header, row] = formatCsv([report]).split('\n');
+          console.log(previous ? row : `${header}\n${row}`);
+        }
+      }
+
+      previous = dashboard;
+    };
+
+    await refresh();
+    if (intervalMs === null) {
+      return;
+    }
+
+    // Keep watching through transient failures; the last good frame stays on screen
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      try {
+        await refresh();
+      } catch (error) {
+        const message = `Refresh failed at ${new Date().toISOString()}: ${toEstimatorError(error).message}`;
+        if (interactive && format === 'table') {
+          process.stdout.write(`\u001b[1F\u001b[0J${message}\n`);
+        } else {
+          console.error(message);
+        }
+      }
+    }
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Parse a block number or block count option
+ * @param {string|undefined} value - Option value
+ * @param {string} option - Option name for error messages
+ * @returns {number|undefined} Parsed number, undefined when the option is absent
+ */
+function parseBlockOption(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid ${option} "${value}"`, {
+      hint: 'Please provide a whole number (e.g., 1800)'
+    });
+  }
+  return Number(value);
+}
+
+/**
+ * Handle history command: fee statistics over a block range, optionally exported per block
+ * @param {Object} options - Command options
+ */
+async function handleHistory(options) {
+  try {
+    const range = {
+      blocks: parseBlockOption(options.blocks, '--blocks'),
+      fromBlock: parseBlockOption(options.fromBlock, '--from-block'),
+      toBlock: parseBlockOption(options.toBlock, '--to-block')
+    };
+    if (range.toBlock !== undefined && range.fromBlock === undefined) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, '--to-block requires --from-block');
+    }
+
+    const chain = resolveChain(options.network);
+    const format = program.opts().output;
+    // Long ranges take a while; show progress on an interactive terminal only
+    const showProgress = Boolean(process.stderr.isTTY) && format === 'table';
+
+    const history = await analyzeFeeHistory({
+      ...range,
+      ...connectionFor(chain),
+      onProgress: showProgress
+        ? (fetched, total) => process.stderr.write(`\rFetching fee history: ${fetched.toLocaleString()}/${total.toLocaleString()} blocks`)
+        : undefined
+    });
+    if (showProgress) {
+      process.stderr.write('\r\u001b[2K');
+    }
+
+    if (options.csv) {
+      try {
+        writeFileSync(options.csv, `${formatCsv(buildHistoryRows(history))}\n`);
+      } catch (error) {
+        throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to write CSV file "${options.csv}": ${error.message}`);
+      }
+      console.error(`Wrote ${history.blocks.toLocaleString()} blocks to ${options.csv}`);
+    }
+
+    if (format === 'table') {
+      console.log(formatHistory(history, { network: chain.name }).join('\n'));
+    } else {
+      const report = buildHistoryReport(history, { network: options.network });
+      console.log(format === 'json' ? formatJson({ ...report, hourly: history.hourly }) : formatCsv([report]));
+    }
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle batch command: estimate every transaction in a CSV or JSON file
+ * Failed rows are reported individually; the exit code is 1 when any row failed,
+ * otherwise 3 when the batch total is over budget
+ * @param {Object} options - Command options
+ */
+async function handleBatch(options) {
+  try {
+    // Validate default sender address
+    if (options.from !== undefined && !isValidAddress(options.from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+        hint: 'Please provide a valid Ethereum address (0x... format)'
+      });
+    }
+
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid concurrency "${options.concurrency}"`, {
+        hint: `Please provide a whole number between 1 and ${MAX_BATCH_CONCURRENCY} (e.g., --concurrency 5)`
+      });
+    }
+
+    let text;
+    try {
+      text = readFileSync(options.file, 'utf8');
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read batch file "${options.file}": ${error.message}`);
+    }
+    const rows = parseBatchInput(text, extname(options.file).slice(1).toLowerCase());
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const format = program.opts().output;
+    const showProgress = Boolean(process.stderr.isTTY) && format === 'table';
+
+    const [quote, results] = await Promise.all([
+      fetchPrice(priceProviders),
+      estimateBatch(rows, {
+        concurrency,
+        from: options.from,
+        network: options.network,
+        stateOverrides: stateOverridesFor(),
+        onProgress: showProgress
+          ? (done, total) => process.stderr.write(`\rEstimating: ${done}/${total} transactions`)
+          : undefined,
+        ...connectionFor(chain)
+      })
+    ]);
+    if (showProgress) {
+      process.stderr.write('\r\u001b[2K');
+    }
+
+    const summary = summarizeBatch(results);
+    // Limits apply to the batch as a whole: its total cost and its highest gas price
+    const estimations = results.filter((result) => result.estimation).map((result) => result.estimation);
+    const check = hasBudget(budget) && estimations.length
+      ? checkBudget({
+        totalWei: summary.totalWei,
+        gasPriceWei: estimations.reduce((highest, estimation) => (estimation.gasPriceWei > highest ? estimation.gasPriceWei : highest), 0n)
+      }, budget, quote)
+      : null;
+
+    if (format === 'table') {
+      console.log(formatBatch(results, { quote }).join('\n'));
+    } else {
+      const { rows: records, total } = buildBatchReport(results, summary, {
+        network: options.network,
+        ethPrice: quote.price,
+        priceSource: quote.source,
+        priceStale: quote.stale,
+        fiatCurrency: quote.currency.toUpperCase()
+      });
+      Object.assign(total, budgetFields(check));
+      console.log(format === 'json' ? formatJson({ rows: records, total }) : formatCsv([...records, total]));
+    }
+
+    reportBudget(check ? [check] : []);
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle compare command: estimate one transaction on several networks
+ * Networks are resolved without --rpc-url or BASE_GAS_RPC_URL, which name a single endpoint;
+ * the exit code is 1 when any network failed, otherwise 3 when any network is over budget
+ * @param {Object} options - Command options
+ */
+async function handleCompare(options) {
+  try {
+    if (program.opts().rpcUrl) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, '--rpc-url cannot be used with compare', {
+        hint: 'Set each network\'s rpcUrls in ~/.base-gas/config.json or .basegasrc instead'
+      });
+    }
+
+    const transaction = resolveCallSpec(options);
+
+    const config = loadConfig();
+    const chains = options.networks.split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((name) => resolveNetwork(name, { config, env: {} }));
+    if (chains.length === 0) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'No networks to compare', {
+        hint: `Example: --networks ${DEFAULT_COMPARE_NETWORKS.join(',')}`
+      });
+    }
+
+    // Every compared network pays in ETH; use the first one's Chainlink feed
+    const priceProviders = selectPriceProviders(chains[0]);
+    const budget = budgetFor();
+    const { speed, feeWindow, rpcOptions } = connectionFor(chains[0]);
+
+    const [quote, results] = await Promise.all([
+      fetchPrice(priceProviders),
+      compareNetworks(
+        transaction,
+        chains,
+        { baseline: options.baseline, speed, feeWindow, rpcOptions, stateOverrides: stateOverridesFor() }
+      )
+    ]);
+
+    // Each network is checked on its own
+    const checks = hasBudget(budget)
+      ? results.map((result) => (result.estimation ? { label: result.name, ...checkBudget(result.estimation, budget, quote) } : null))
+      : results.map(() => null);
+
+    const format = program.opts().output;
+    if (format === 'table') {
+      console.log(formatComparison(results, { quote }).join('\n'));
+    } else {
+      const rows = buildComparisonReport(results, {
+        ethPrice: quote.price,
+        priceSource: quote.source,
+        priceStale: quote.stale,
+        fiatCurrency: quote.currency.toUpperCase()
+      }).map((row, index) => ({ ...row, ...budgetFields(checks[index]) }));
+      const baseline = results.find((result) => result.baseline).network;
+      console.log(format === 'json' ? formatJson({ baseline, rows }) : formatCsv(rows));
+    }
+
+    if (format === 'table' && checks.some(Boolean)) {
+      console.log('');
+    }
+    reportBudget(checks.filter(Boolean));
+    if (results.some((result) => result.error)) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle project command: monthly cost of a recurring transaction, with bands from recent fee history
+ * @param {Object} options - Command options
+ */
+async function handleProject(options) {
+  try {
+    const transaction = resolveCallSpec(options);
+    const blocks = parseBlockOption(options.blocks, '--blocks');
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const budget = budgetFor();
+    const format = program.opts().output;
+    // Long fee histories take a while; show progress on an interactive terminal only
+    const showProgress = Boolean(process.stderr.isTTY) && format === 'table';
+
+    const [quote, projection] = await Promise.all([
+      fetchPrice(priceProviders),
+      projectWorkload(
+        transaction,
+        {
+          volume: options.volume,
+          period: options.per,
+          blocks,
+          stateOverrides: stateOverridesFor(),
+          onProgress: showProgress
+            ? (fetched, total) => process.stderr.write(`\rFetching fee history: ${fetched.toLocaleString()}/${total.toLocaleString()} blocks`)
+            : undefined,
+          ...connectionFor(chain)
+        }
+      )
+    ]);
+    if (showProgress) {
+      process.stderr.write('\r\u001b[2K');
+    }
+
+    // Limits apply to the typical month: its total cost and the median gas price
+    const { typical } = projection.bands;
+    const check = hasBudget(budget)
+      ? { label: 'Typical month', ...checkBudget({ totalWei: typical.monthlyWei, gasPriceWei: typical.gasPriceWei }, budget, quote) }
+      : null;
+
+    if (format === 'table') {
+      console.log(formatProjection(projection, { quote, network: chain.name }).join('\n'));
+    } else {
+      const report = buildProjectionReport(projection, {
+        network: options.network,
+        ethPrice: quote.price,
+        priceSource: quote.source,
+        priceStale: quote.stale,
+        fiatCurrency: quote.currency.toUpperCase()
+      });
+      Object.assign(report, budgetFields(check));
+      console.log(format === 'json' ? formatJson(report) : formatCsv([report]));
+    }
+
+    reportBudget(check ? [check] : []);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle serve command: answer estimate, fee and health requests over HTTP until stopped
+ * @param {Object} options - Command options
+ */
+async function handleServe(options) {
+  try {
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid port "${options.port}"`, {
+        hint: `Please provide a port between 0 and 65535 (e.g., --port ${DEFAULT_SERVER_PORT})`
+      });
+    }
+
+    const chain = resolveChain(options.network);
+    const priceProviders = selectPriceProviders(chain);
+    const connection = connectionFor(chain);
+    const { price, currency, verbose } = program.opts();
+
+    const server = createEstimationServer({
+      connection,
+      network: options.network,
+      priceProviders,
+      currency: normalizeCurrency(currency),
+      // One cache behind every request; a fixed --price needs none
+      cache: price === undefined ? connection.rpcOptions.cache : undefined,
+      log: verbose ? (message) => console.error(`[http] ${message}`) : undefined
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', (error) => reject(new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unable to listen on ${options.host}:${port}: ${error.message}`)));
+      server.listen(port, options.host, resolve);
+    });
+
+    const { port: boundPort } = server.address();
+    const url = `http://${options.host.includes(':') ? `[${options.host}]` : options.host}:${boundPort}`;
+    if (program.opts().output === 'json') {
+      console.log(JSON.stringify({ url, network: options.network, chainId: chain.chainId }));
+    } else {
+      console.log(`Serving ${chain.name} estimates on ${url}, Ctrl+C to stop`);
+      console.log('  GET  /health  GET  /fees  POST /estimate/transfer  POST /estimate/call');
+    }
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => server.close(() => process.exit(0)));
+    }
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Handle cache clear command: delete the on-disk cache, even when --no-cache is given
+ */
+function handleCacheClear() {
+  try {
+    const cache = createCache({ ttls: loadConfig().cacheTtls });
+    const cleared = cache.clear();
+
+    if (program.opts().output === 'json') {
+      console.log(formatJson({ file: cache.file, cleared }));
+    } else {
+      console.log(`Cleared ${cleared} cached entr${cleared === 1 ? 'y' : 'ies'} from ${cache.file}`);
+    }
+  } catch (error) {
+    exitWithError(error);
   }
 }
 
@@ -83,7 +1289,42 @@ async function handleTransfer(options) {
 program
   .name('base-gas')
   .description('A free, open-source CLI to estimate gas costs on Base network')
-  .version('0.1.0');
+  .version('0.1.0')
+  .addOption(
+    new Option('-o, --output <format>', 'Output format')
+      .choices(OUTPUT_FORMATS)
+      .default('table')
+  )
+  .option('--currency <code>', 'Quote currency: any ISO 4217 code (usd, eur, gbp, ...) or usdc', 'usdc')
+  .option('--price <amount>', 'Use a fixed ETH price (in --currency) instead of fetching one')
+  .option('--rpc-url <urls>', 'RPC endpoint(s) to use instead of the network default, comma-separated for failover (or set BASE_GAS_RPC_URL)')
+  .option('--rpc-timeout <ms>', 'Per-request RPC timeout in milliseconds', String(DEFAULT_RPC_OPTIONS.timeoutMs))
+  .option('--rpc-retries <count>', 'Retries per RPC endpoint before failing over', String(DEFAULT_RPC_OPTIONS.retries))
+  .option('--verbose', 'Report RPC retries, failovers and which endpoint answered')
+  .addOption(
+    new Option('--speed <tier>', 'Fee tier used for the total cost')
+      .choices(FEE_SPEEDS)
+      .default('standard')
+  )
+  .option('--fee-window <blocks>', 'Recent blocks sampled for fee tiers', String(DEFAULT_FEE_WINDOW))
+  .option('--price-source <sources>', 'Comma-separated price sources in fallback order', PRICE_SOURCES.join(','))
+  .option('--overrides <file>', 'State overrides JSON file applied when simulating estimates')
+  .option('--override-balance <address=eth>', 'Simulate an account with this ETH balance (repeatable; defaults to 1,000,000 ETH)', (value, list) => [...list, value], [])
+  .option('--no-cache', 'Always fetch prices, chain IDs and fee data instead of reusing cached ones')
+  .option('--max-cost-eth <amount>', `Exit with code ${BUDGET_EXIT_CODE} when the total cost exceeds this many ETH`)
+  .option('--max-cost-fiat <amount>', `Exit with code ${BUDGET_EXIT_CODE} when the total cost exceeds this amount in --currency`)
+  .option('--max-gwei <gwei>', `Exit with code ${BUDGET_EXIT_CODE} when the gas price exceeds this many Gwei`)
+  .configureOutput({
+    // Report usage errors as structured JSON when --output json was requested
+    outputError: (message, write) => {
+      if (program.opts().output === 'json') {
+        const error = new ValidationError(ERROR_CODES.INVALID_ARGUMENT, message.replace(/^error: /, '').trim());
+        process.stdout.write(`${formatJson(formatErrorPayload(error))}\n`);
+      } else {
+        write(message);
+      }
+    }
+  });
 
 // Transfer command
 program
@@ -91,9 +1332,162 @@ program
   .description('Estimate gas cost for ETH transfer')
   .requiredOption('--to <address>', 'Recipient Ethereum address')
   .requiredOption('--value <amount>', 'Amount of ETH to transfer')
-  .option('--network <network>', 'Network to use (base, base-sepolia)', 'base')
+  .option('--from <address>', 'Sender address to estimate against')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .addOption(new Option('--emit-tx <format>', 'Print the unsigned transaction to sign instead of the estimate').choices(EMIT_FORMATS))
+  .option('--gas-buffer <percent>', 'Percentage added to the estimated gas limit of the emitted transaction', String(DEFAULT_GAS_BUFFER_PERCENT))
   .action(handleTransfer);
 
+// Call command
+program
+  .command('call')
+  .description('Estimate gas cost for a contract call')
+  .requiredOption('--to <address>', 'Contract address')
+  .option('--sig <signature>', 'Function signature, e.g. "transfer(address,uint256)"')
+  .option('--abi <file>', 'ABI JSON file or compiled artifact (use with --function)')
+  .option('--function <name>', 'Function name to call from the ABI')
+  .option('--args <values...>', 'Function arguments (arrays and tuples as JSON)')
+  .option('--value <amount>', 'Amount of ETH to send with the call', '0')
+  .option('--from <address>', 'Sender address to estimate against')
+  .option('--access-list', 'Also estimate with an access list from eth_createAccessList and compare the costs')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .addOption(new Option('--emit-tx <format>', 'Print the unsigned transaction to sign instead of the estimate').choices(EMIT_FORMATS))
+  .option('--gas-buffer <percent>', 'Percentage added to the estimated gas limit of the emitted transaction', String(DEFAULT_GAS_BUFFER_PERCENT))
+  .action(handleCall);
+
+// Token transfer command
+program
+  .command('token-transfer')
+  .description('Estimate gas cost for an ERC-20 token transfer')
+  .requiredOption('--token <symbol|address>', 'Token symbol (USDC, DAI, WETH, ...) or contract address')
+  .requiredOption('--to <address>', 'Recipient address')
+  .requiredOption('--amount <amount>', 'Amount of tokens to transfer')
+  .requiredOption('--from <address>', 'Token holder to estimate from')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .addOption(new Option('--emit-tx <format>', 'Print the unsigned transaction to sign instead of the estimate').choices(EMIT_FORMATS))
+  .option('--gas-buffer <percent>', 'Percentage added to the estimated gas limit of the emitted transaction', String(DEFAULT_GAS_BUFFER_PERCENT))
+  .action((options) => handleToken('transfer', options));
+
+// Token approve command
+program
+  .command('token-approve')
+  .description('Estimate gas cost for an ERC-20 token approval')
+  .requiredOption('--token <symbol|address>', 'Token symbol (USDC, DAI, WETH, ...) or contract address')
+  .requiredOption('--spender <address>', 'Spender address')
+  .requiredOption('--amount <amount>', 'Amount of tokens to approve, or "max" for unlimited')
+  .option('--from <address>', 'Token holder to estimate from')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .addOption(new Option('--emit-tx <format>', 'Print the unsigned transaction to sign instead of the estimate').choices(EMIT_FORMATS))
+  .option('--gas-buffer <percent>', 'Percentage added to the estimated gas limit of the emitted transaction', String(DEFAULT_GAS_BUFFER_PERCENT))
+  .action((options) => handleToken('approve', options));
+
+// Deploy command
+program
+  .command('deploy')
+  .description('Estimate gas cost for a contract deployment')
+  .option('--artifact <file>', 'Hardhat or Foundry artifact JSON')
+  .option('--bytecode <hex|file>', 'Raw creation bytecode, inline or from a file')
+  .option('--constructor-sig <signature>', 'Constructor signature for raw bytecode, e.g. "constructor(string,uint8)"')
+  .option('--args <values...>', 'Constructor arguments (arrays and tuples as JSON)')
+  .option('--value <amount>', 'Amount of ETH to send to a payable constructor', '0')
+  .option('--from <address>', 'Deployer address to estimate against')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .addOption(new Option('--emit-tx <format>', 'Print the unsigned transaction to sign instead of the estimate').choices(EMIT_FORMATS))
+  .option('--gas-buffer <percent>', 'Percentage added to the estimated gas limit of the emitted transaction', String(DEFAULT_GAS_BUFFER_PERCENT))
+  .action(handleDeploy);
+
+// Raw transaction command
+program
+  .command('estimate-raw')
+  .description('Estimate a serialized transaction (legacy, EIP-2930 or EIP-1559), signed or unsigned')
+  .requiredOption('--tx <hex|file>', 'Serialized transaction, inline or from a file')
+  .option('--from <address>', 'Sender to estimate against when the transaction is unsigned')
+  .option('--abi <file>', 'ABI JSON file or compiled artifact of the called contract, to decode custom errors')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleEstimateRaw);
+
+// Gas dashboard command
+program
+  .command('gas')
+  .description('Show current base, priority and L1 fees with reference transaction costs')
+  .option('--watch <seconds>', 'Refresh every N seconds, highlighting changes')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleGas);
+
+// Fee history command
+program
+  .command('history')
+  .description('Analyze base, priority and L1 fees over a block range')
+  .option('--blocks <count>', 'Analyze the most recent N blocks')
+  .option('--from-block <number>', 'First block of the range')
+  .option('--to-block <number>', 'Last block of the range (defaults to the latest block)')
+  .option('--csv <file>', 'Also write per-block fee data to a CSV file')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleHistory);
+
+// Batch command
+program
+  .command('batch')
+  .description('Estimate every transaction in a CSV or JSON file, with a total')
+  .requiredOption('--file <path>', 'CSV or JSON file of transactions (transfers, token transfers or raw calls)')
+  .option('--concurrency <count>', 'Transactions estimated at the same time', String(DEFAULT_BATCH_CONCURRENCY))
+  .option('--from <address>', 'Sender for rows without a from column')
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleBatch);
+
+// Compare command
+program
+  .command('compare')
+  .description('Estimate one transaction on several networks and compare the costs')
+  .requiredOption('--to <address>', 'Recipient or contract address')
+  .option('--value <amount>', 'Amount of ETH to send', '0')
+  .option('--sig <signature>', 'Function signature to call, e.g. "transfer(address,uint256)"')
+  .option('--abi <file>', 'ABI JSON file or compiled artifact (use with --function)')
+  .option('--function <name>', 'Function name to call from the ABI')
+  .option('--args <values...>', 'Function arguments (arrays and tuples as JSON)')
+  .option('--data <hex|file>', 'Raw calldata, inline or from a file')
+  .option('--from <address>', 'Sender address to estimate against')
+  .option('--networks <names>', 'Comma-separated networks to compare', DEFAULT_COMPARE_NETWORKS.join(','))
+  .option('--baseline <network>', 'Network the savings are measured against (defaults to ethereum, or the first network)')
+  .action(handleCompare);
+
+// Project command
+program
+  .command('project')
+  .description('Project the monthly cost of a recurring transaction from recent fee history')
+  .requiredOption('--to <address>', 'Recipient or contract address')
+  .requiredOption('--volume <count>', 'Number of transactions per --per period')
+  .addOption(new Option('--per <period>', 'Period the volume is given per').choices(PROJECTION_PERIODS).default('month'))
+  .option('--value <amount>', 'Amount of ETH sent with each transaction', '0')
+  .option('--sig <signature>', 'Function signature to call, e.g. "mint(address)"')
+  .option('--abi <file>', 'ABI JSON file or compiled artifact (use with --function)')
+  .option('--function <name>', 'Function name to call from the ABI')
+  .option('--args <values...>', 'Function arguments (arrays and tuples as JSON)')
+  .option('--data <hex|file>', 'Raw calldata, inline or from a file')
+  .option('--from <address>', 'Sender address to estimate against')
+  .option('--blocks <count>', 'Recent blocks of fee history the bands are drawn from', String(DEFAULT_PROJECTION_BLOCKS))
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleProject);
+
+// Serve command
+program
+  .command('serve')
+  .description('Run a local HTTP server answering estimate, fee and health requests with JSON')
+  .option('--port <port>', 'Port to listen on', String(DEFAULT_SERVER_PORT))
+  .option('--host <host>', 'Address to bind to', DEFAULT_SERVER_HOST)
+  .option('--network <network>', 'Network to use (base, base-sepolia, ethereum, optimism, arbitrum or one defined in your config file)', 'base')
+  .action(handleServe);
+
+// Cache command
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the local price and fee cache');
+
+cacheCommand
+  .command('clear')
+  .description('Delete every cached price, chain ID and fee entry')
+  .action(handleCacheClear);
+
 // Spotlight command
 program
   .command('spotlight')
@@ -0,0 +1,188 @@
+/**
+ * Network Comparison Module
+ * Estimates one transaction on several networks and measures the savings against a baseline
+ *
+ * Each network is estimated on its own endpoint with its own fee model. A network that fails
+ * (an unreachable endpoint, a revert) is reported with its error and left out of the savings.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { estimateEthTransfer, estimateContractCall } from './estimator.js';
+import { ValidationError, ERROR_CODES, toEstimatorError } from './errors.js';
+import { formatFiat, formatGasPrice, formatInteger } from './utils.js';
+
+/**
+ * Networks compared when none are given
+ */
+export const DEFAULT_COMPARE_NETWORKS = ['base', 'ethereum', 'optimism', 'arbitrum'];
+
+/**
+ * Preferred baseline: the cost of doing the same thing on Ethereum L1
+ */
+const DEFAULT_BASELINE = 'ethereum';
+
+/**
+ * Percentage saved relative to a baseline cost, with two decimals
+ *
+ * @param {bigint} totalWei - Cost on the compared network
+ * @param {bigint} baselineWei - Cost on the baseline network
+ * @returns {number|null} Savings in percent (negative when more expensive), null when the baseline is free
+ *
+ * @example
+ * savingsPercent(25n, 100n); // 75
+ */
+export function savingsPercent(totalWei, baselineWei) {
+  if (baselineWei <= 0n) {
+    return null;
+  }
+  return Number(((baselineWei - totalWei) * 10000n) / baselineWei) / 100;
+}
+
+/**
+ * Estimate one transaction on every network and compare the total costs with a baseline network
+ * Transactions without calldata are estimated as ETH transfers, the rest as contract calls
+ *
+ * @param {Object} transaction - Transaction to compare
+ * @param {string} transaction.to - Recipient or contract address
+ * @param {string} [transaction.valueEth] - ETH sent with the transaction, defaults to '0'
+ * @param {string} [transaction.data] - Hex calldata
+ * @param {string} [transaction.from] - Sender address to estimate against
+ * @param {Array<Object>} chains - Networks to compare, as returned by resolveNetwork
+ * @param {Object} [params] - Settings shared by every network: speed, feeWindow and rpcOptions as in
+ *   Connection (see estimator.js), plus the following
+ * @param {string} [params.baseline] - Network key the savings are measured against; defaults to
+ *   ethereum when it is compared, otherwise the first network
+ * @param {Object} [params.stateOverrides] - State overrides applied on every network
+ * @returns {Promise<Array<{network: string, name: string, feeModel: string, baseline: boolean, estimation: (Object|null), effectiveGasPriceWei: (bigint|null), savingsPercent: (number|null), error: (EstimatorError|null)}>>} One result per network, in the given order
+ * @throws {ValidationError} If no networks are given, a network is repeated or the baseline is not compared
+ *
+ * @example
+ * const results = await compareNetworks(
+ *   { to: '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e', valueEth: '0.1' },
+ *   ['base', 'ethereum'].map((network) => resolveNetwork(network))
+ * );
+ * results[0].savingsPercent; // 99.7
+ */
+export async function compareNetworks({ to, valueEth = '0', data, from }, chains, { baseline, ...params } = {}) {
+  const keys = chains.map((chain) => chain.key);
+  if (keys.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'No networks to compare');
+  }
+  const repeated = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (repeated) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Network "${repeated}" is listed more than once`);
+  }
+
+  const baselineKey = baseline || (keys.includes(DEFAULT_BASELINE) ? DEFAULT_BASELINE : keys[0]);
+  if (!keys.includes(baselineKey)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Baseline network "${baselineKey}" is not being compared`, {
+      hint: `Choose one of: ${keys.join(', ')}`
+    });
+  }
+
+  const results = await Promise.all(chains.map(async (chain) => {
+    const connection = {
+      ...params,
+      rpcUrl: chain.rpcUrl,
+      rpcUrls: chain.rpcUrls,
+      chainId: chain.chainId,
+      feeModel: chain.feeModel,
+      gasPriceOracle: chain.gasPriceOracle
+    };
+    const result = {
+      network: chain.key,
+      name: chain.name,
+      feeModel: chain.feeModel,
+      baseline: chain.key === baselineKey,
+      estimation: null,
+      effectiveGasPriceWei: null,
+      savingsPercent: null,
+      error: null
+    };
+
+    try {
+      result.estimation = data && data !== '0x'
+        ? await estimateContractCall({ ...connection, to, data, valueEth, from })
+        : await estimateEthTransfer({ ...connection, to, valueEth, from });
+
+      // All-in price per unit of gas, L1 data included
+      const { gasUnits, l1GasUnits, totalWei } = result.estimation;
+      result.effectiveGasPriceWei = totalWei / BigInt(gasUnits + l1GasUnits);
+    } catch (error) {
+      result.error = toEstimatorError(error);
+    }
+    return result;
+  }));
+
+  const reference = results.find((result) => result.baseline).estimation;
+  if (reference) {
+    for (const result of results) {
+      if (result.estimation) {
+        result.savingsPercent = savingsPercent(result.estimation.totalWei, reference.totalWei);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Render a network comparison as a table
+ *
+ * @param {Array<Object>} results - Result of compareNetworks
+ * @param {Object} [options] - Rendering options
+ * @param {{price: (number|null), currency: string}} [options.quote] - ETH price for fiat costs
+ * @returns {Array<string>} Table lines
+ *
+ * @example
+ * console.log(formatComparison(results, { quote }).join('\n'));
+ */
+export function formatComparison(results, { quote } = {}) {
+  const toFiat = (ethText) => (quote && quote.price !== null ? ` (~${formatFiat(parseFloat(ethText) * quote.price, quote.currency)})` : '');
+  const columns = [22, 12, 18, 22, 34];
+  const row = (cells) => cells.map((cell, index) => (index < columns.length ? cell.padEnd(columns[index]) : cell)).join('').trimEnd();
+
+  const baseline = results.find((result) => result.baseline);
+  const estimated = results.find((result) => result.estimation);
+  const lines = [
+    `Compared at ${estimated ? estimated.estimation.speed : 'standard'} speed against ${baseline.name}`,
+    '',
+    row(['Network', 'Gas Units', 'Effective Price', 'L1 Data Fee', 'Total Cost', 'Savings'])
+  ];
+
+  for (const result of results) {
+    const { name, feeModel, estimation, error } = result;
+    if (!estimation) {
+      lines.push(row([name, `FAILED [${error.code}] ${error.message}`]));
+      continue;
+    }
+
+    let savings = 'baseline';
+    if (!result.baseline) {
+      if (result.savingsPercent === null) {
+        savings = 'n/a';
+      } else if (result.savingsPercent >= 0) {
+        savings = `${result.savingsPercent}% cheaper`;
+      } else {
+        savings = `${-result.savingsPercent}% more`;
+      }
+    }
+
+    lines.push(row([
+      name,
+      formatInteger(estimation.gasUnits),
+      formatGasPrice(result.effectiveGasPriceWei),
+      feeModel === 'none' ? '—' : `${estimation.l1FeeText} ETH`,
+      `${estimation.totalText} ETH${toFiat(estimation.totalText)}`,
+      savings
+    ]));
+  }
+
+  if (!baseline.estimation) {
+    lines.push('', `Savings unavailable: the baseline ${baseline.name} could not be estimated`);
+  }
+
+  return lines;
+}
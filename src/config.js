@@ -0,0 +1,283 @@
+/**
+ * Configuration Module
+ * Loads user-defined networks and cache settings from config files and resolves the RPC endpoint for a network
+ *
+ * Config files are read from ~/.base-gas/config.json and a project-local .basegasrc;
+ * project settings win over user settings, which win over the built-in networks.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { GAS_PRICE_ORACLE_ADDRESS } from './l1fee.js';
+import { FEE_MODELS, getNetworkConfig, listNetworks } from './utils.js';
+import { resolveCacheTtls } from './cache.js';
+import { ValidationError, ERROR_CODES } from './errors.js';
+
+/**
+ * Environment variable that overrides the RPC URL of the selected network
+ */
+export const RPC_URL_ENV_VAR = 'BASE_GAS_RPC_URL';
+
+/**
+ * Project-local config file name, looked up in the working directory
+ */
+export const PROJECT_CONFIG_FILE = '.basegasrc';
+
+/**
+ * User config file path, relative to the home directory
+ */
+export const USER_CONFIG_FILE = join('.base-gas', 'config.json');
+
+/**
+ * Validate an RPC URL
+ *
+ * @param {*} url - URL to validate
+ * @returns {boolean} True for http(s) URLs
+ */
+function isValidRpcUrl(url) {
+  return typeof url === 'string' && /^https?:\/\/\S+$/i.test(url);
+}
+
+/**
+ * Split and validate an RPC URL override
+ *
+ * @param {string|Array<string>|undefined} value - URL, comma-separated URLs or a list of URLs
+ * @returns {Array<string>} URLs in failover order (empty when no override is set)
+ * @throws {ValidationError} If any URL is not an http(s) URL
+ */
+function parseRpcUrlList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const urls = (Array.isArray(value) ? value : String(value).split(','))
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+  const invalid = urls.find((url) => !isValidRpcUrl(url));
+  if (invalid) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid RPC URL "${invalid}"`, {
+      hint: 'Please provide an http(s) URL (e.g., https://base-mainnet.example.com)'
+    });
+  }
+  return urls;
+}
+
+/**
+ * Validate and normalize one network entry from a config file
+ * Only the fields that are present are checked; required fields are checked after merging
+ *
+ * @param {string} key - Network key, e.g. 'zora'
+ * @param {Object} entry - Raw entry from the config file
+ * @param {string} file - Config file path for error messages
+ * @returns {Object} Normalized entry with only the fields that were set
+ * @throws {ValidationError} If the entry is malformed
+ */
+function parseNetworkEntry(key, entry, file) {
+  const invalid = (problem) => new ValidationError(ERROR_CODES.INVALID_CONFIG, `Invalid network "${key}" in ${file}: ${problem}`, {
+    hint: 'Each network needs a chainId and an rpcUrls list; see the README for the config file format'
+  });
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+    throw invalid('names may only contain lower-case letters, digits and dashes');
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw invalid('expected an object');
+  }
+
+  const parsed = {};
+
+  if (entry.name !== undefined) {
+    if (typeof entry.name !== 'string' || entry.name.length === 0) {
+      throw invalid('name must be a non-empty string');
+    }
+    parsed.name = entry.name;
+  }
+
+  if (entry.chainId !== undefined) {
+    if (!Number.isSafeInteger(entry.chainId) || entry.chainId <= 0) {
+      throw invalid('chainId must be a positive integer');
+    }
+    parsed.chainId = entry.chainId;
+  }
+
+  if (entry.rpcUrls !== undefined) {
+    if (!Array.isArray(entry.rpcUrls) || entry.rpcUrls.length === 0 || !entry.rpcUrls.every(isValidRpcUrl)) {
+      throw invalid('rpcUrls must be a non-empty list of http(s) URLs');
+    }
+    parsed.rpcUrls = [...entry.rpcUrls];
+  }
+
+  if (entry.feeModel !== undefined) {
+    if (!FEE_MODELS.includes(entry.feeModel)) {
+      throw invalid(`feeModel must be one of ${FEE_MODELS.join(', ')}`);
+    }
+    parsed.feeModel = entry.feeModel;
+  }
+
+  for (const field of ['gasPriceOracle', 'ethUsdFeed']) {
+    if (entry[field] !== undefined) {
+      if (!ethers.isAddress(entry[field])) {
+        throw invalid(`${field} must be a contract address`);
+      }
+      parsed[field] = ethers.getAddress(entry[field]);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Read and validate a single config file
+ *
+ * @param {string} file - Path to the config file
+ * @returns {{networks: Object<string, Object>, cacheTtls: Object<string, number>}} Normalized networks and cache TTLs defined by the file
+ * @throws {ValidationError} If the file cannot be parsed or is malformed
+ */
+function readConfigFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.FILE_ERROR, `Unable to read config file ${file}: ${error.message}`, { cause: error });
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Config file ${file} must contain a JSON object`);
+  }
+
+  const networks = parsed.networks || {};
+  if (typeof networks !== 'object' || Array.isArray(networks)) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `"networks" in ${file} must be an object keyed by network name`);
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(networks)) {
+    result[key] = parseNetworkEntry(key, entry, file);
+  }
+
+  const cache = parsed.cache || {};
+  if (typeof cache !== 'object' || Array.isArray(cache)) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `"cache" in ${file} must be an object`);
+  }
+  const cacheTtls = cache.ttl || {};
+  try {
+    resolveCacheTtls(cacheTtls);
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Invalid cache.ttl in ${file}: ${error.message}`, { hint: error.hint });
+  }
+
+  return { networks: result, cacheTtls };
+}
+
+/**
+ * Load the user and project config files
+ * Missing files are skipped; project-local entries override user entries field by field,
+ * so a project file may change only the RPC URLs of a network defined in the user file
+ *
+ * @param {Object} [options] - Lookup locations
+ * @param {string} [options.cwd] - Directory searched for .basegasrc, defaults to process.cwd()
+ * @param {string} [options.homeDir] - Home directory holding .base-gas/config.json, defaults to os.homedir()
+ * @returns {{networks: Object<string, Object>, cacheTtls: Object<string, number>, files: Array<string>}} Merged networks, cache TTLs in seconds and the files that were read
+ * @throws {ValidationError} If a config file exists but is malformed
+ *
+ * @example
+ * const config = loadConfig();
+ * Object.keys(config.networks); // ['zora']
+ */
+export function loadConfig({ cwd = process.cwd(), homeDir = homedir() } = {}) {
+  const candidates = [join(homeDir, USER_CONFIG_FILE), join(cwd, PROJECT_CONFIG_FILE)];
+  const config = { networks: {}, cacheTtls: {}, files: [] };
+
+  for (const file of candidates) {
+    if (!existsSync(file)) {
+      continue;
+    }
+
+    const { networks, cacheTtls } = readConfigFile(file);
+    for (const [key, entry] of Object.entries(networks)) {
+      config.networks[key] = { ...config.networks[key], ...entry };
+    }
+    Object.assign(config.cacheTtls, cacheTtls);
+    config.files.push(file);
+  }
+
+  // Networks that are not built in must end up with a chain ID and endpoints
+  for (const [key, entry] of Object.entries(config.networks)) {
+    if (listNetworks().includes(key)) {
+      continue;
+    }
+    const missing = ['chainId', 'rpcUrls'].filter((field) => entry[field] === undefined);
+    if (missing.length) {
+      throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Invalid network "${key}" in ${config.files.join(', ')}: ${missing.join(' and ')} required`, {
+        hint: 'Each network needs a chainId and an rpcUrls list; see the README for the config file format'
+      });
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Resolve a network name to its chain ID, RPC endpoint and contract addresses
+ * The RPC URLs come from, in order: the rpcUrl argument (--rpc-url), the BASE_GAS_RPC_URL
+ * environment variable, the config file, then the built-in public endpoint.
+ *
+ * @param {string} network - Network name (built-in or defined in a config file)
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.config] - Result of loadConfig(); only built-in networks without it
+ * @param {string|Array<string>} [options.rpcUrl] - Explicit RPC URL override; a list or comma-separated string enables failover
+ * @param {Object} [options.env] - Environment variables, defaults to process.env
+ * @returns {{key: string, name: string, chainId: number, rpcUrl: string, rpcUrls: Array<string>, feeModel: string, gasPriceOracle: string, ethUsdFeed: (string|null)}} Resolved network
+ * @throws {ValidationError} If the network is unknown, incomplete or the RPC URL is invalid
+ *
+ * @example
+ * resolveNetwork('base', { rpcUrl: 'https://base.example.com' });
+ * // { key: 'base', chainId: 8453, rpcUrl: 'https://base.example.com', ... }
+ */
+export function resolveNetwork(network, { config = { networks: {} }, rpcUrl, env = process.env } = {}) {
+  const custom = (config.networks || {})[network];
+  const builtIn = listNetworks().includes(network) ? getNetworkConfig(network) : null;
+
+  if (!builtIn && !custom) {
+    const names = [...new Set([...listNetworks(), ...Object.keys(config.networks || {})])];
+    throw new ValidationError(ERROR_CODES.INVALID_NETWORK, `Unsupported network: ${network}`, {
+      hint: `Supported networks: ${names.join(', ')}`
+    });
+  }
+
+  const merged = {
+    name: network,
+    // Networks from config files are OP Stack chains unless they say otherwise
+    feeModel: 'op-stack',
+    gasPriceOracle: GAS_PRICE_ORACLE_ADDRESS,
+    ethUsdFeed: null,
+    ...(builtIn && { ...builtIn, rpcUrls: [builtIn.rpcUrl] }),
+    ...custom
+  };
+
+  const override = parseRpcUrlList(rpcUrl || env[RPC_URL_ENV_VAR]);
+  if (override.length) {
+    merged.rpcUrls = override;
+  }
+
+  if (!Number.isSafeInteger(merged.chainId) || !Array.isArray(merged.rpcUrls) || merged.rpcUrls.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_CONFIG, `Network "${network}" needs a chainId and at least one RPC URL`);
+  }
+
+  return {
+    key: network,
+    name: merged.name,
+    chainId: merged.chainId,
+    rpcUrl: merged.rpcUrls[0],
+    rpcUrls: merged.rpcUrls,
+    feeModel: merged.feeModel,
+    gasPriceOracle: merged.gasPriceOracle,
+    ethUsdFeed: merged.ethUsdFeed
+  };
+}
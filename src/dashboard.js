@@ -0,0 +1,75 @@
+/**
+ * Gas Dashboard Module
+ * Renders the `gas` dashboard; the costs it shows come from reference.js
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { formatGasPrice, formatFiat, formatInteger } from './utils.js';
+
+/**
+ * ANSI colors used to highlight changed values
+ */
+const COLORS = {
+  up: '\u001b[31m',
+  down: '\u001b[32m',
+  reset: '\u001b[0m'
+};
+
+/**
+ * Render the dashboard as lines of text
+ * With a previous dashboard, values that changed are marked ▲ or ▼ (and colored when enabled)
+ *
+ * @param {Object} dashboard - Result of getGasDashboard
+ * @param {Object} [options] - Rendering options
+ * @param {Object} [options.previous] - Dashboard from the previous refresh
+ * @param {{price: (number|null), currency: string}} [options.quote] - ETH price for fiat costs
+ * @param {string} [options.network] - Network name shown in the header
+ * @param {boolean} [options.color] - Use ANSI colors for changes
+ * @returns {Array<string>} Dashboard lines
+ *
+ * @example
+ * console.log(formatDashboard(dashboard, { network: 'Base Mainnet' }).join('\n'));
+ */
+export function formatDashboard(dashboard, { previous, quote, network, color = false } = {}) {
+  // Render a value and mark it when it moved since the previous refresh
+  const mark = (text, current, before) => {
+    if (before === undefined || before === null || current === before) {
+      return text;
+    }
+    const direction = current > before ? 'up' : 'down';
+    const marked = `${text} ${direction === 'up' ? '▲' : '▼'}`;
+    return color ? `${COLORS[direction]}${marked}${COLORS.reset}` : marked;
+  };
+  const prior = previous || {};
+  const priorTiers = prior.feeTiers || {};
+  const priorReferences = prior.references || {};
+
+  const time = dashboard.timestamp ? new Date(dashboard.timestamp * 1000).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'unknown time';
+  const { changePercent, direction } = dashboard.baseFeeTrend;
+  const sign = changePercent > 0 ? '+' : '';
+
+  const lines = [
+    `${network || `Chain ${dashboard.chainId}`} · Block ${mark(formatInteger(dashboard.blockNumber), dashboard.blockNumber, prior.blockNumber)} · ${time}`,
+    `Base Fee:      ${mark(formatGasPrice(dashboard.baseFeeWei), dashboard.baseFeeWei, prior.baseFeeWei)} (next ${formatGasPrice(dashboard.nextBaseFeeWei)}, ${direction} ${sign}${changePercent}% over ${dashboard.feeWindow} blocks)`,
+    'Priority Fee:'
+  ];
+
+  for (const [tier, fees] of Object.entries(dashboard.feeTiers)) {
+    const before = priorTiers[tier] && priorTiers[tier].priorityFeeWei;
+    lines.push(`  ${`${tier}:`.padEnd(10)}${mark(formatGasPrice(fees.priorityFeeWei), fees.priorityFeeWei, before)} (p${fees.percentile})`);
+  }
+
+  lines.push(`L1 Base Fee:   ${mark(formatGasPrice(dashboard.l1BaseFeeWei), dashboard.l1BaseFeeWei, prior.l1BaseFeeWei)}`);
+  lines.push(`Blob Base Fee: ${mark(formatGasPrice(dashboard.blobBaseFeeWei), dashboard.blobBaseFeeWei, prior.blobBaseFeeWei)}`);
+  lines.push(`Reference Costs (${dashboard.speed}):`);
+
+  for (const [key, cost] of Object.entries(dashboard.references)) {
+    const fiat = quote && quote.price !== null ? ` (~${formatFiat(parseFloat(cost.totalText) * quote.price, quote.currency)})` : '';
+    const before = priorReferences[key] && priorReferences[key].totalWei;
+    lines.push(`  ${`${cost.label}:`.padEnd(15)}${mark(`${cost.totalText} ETH${fiat}`, cost.totalWei, before)} [${formatInteger(cost.gasUnits)} gas]`);
+  }
+
+  return lines;
+}
@@ -0,0 +1,153 @@
+/**
+ * Errors Module
+ * Structured error classes with stable, machine-readable error codes
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+/**
+ * Stable error codes reported in JSON output
+ * Codes are part of the public interface: add new ones, never rename existing ones
+ */
+export const ERROR_CODES = {
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_VALUE: 'INVALID_VALUE',
+  INVALID_NETWORK: 'INVALID_NETWORK',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  UNKNOWN_TOKEN: 'UNKNOWN_TOKEN',
+  FILE_ERROR: 'FILE_ERROR',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  CHAIN_ID_MISMATCH: 'CHAIN_ID_MISMATCH',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  EXECUTION_REVERTED: 'EXECUTION_REVERTED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  RPC_ERROR: 'RPC_ERROR',
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+/**
+ * Error raised by the estimator, price and CLI modules
+ *
+ * @example
+ * throw new EstimatorError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address', {
+ *   hint: 'Please provide a valid Ethereum address (0x... format)'
+ * });
+ */
+export class EstimatorError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.hint] - Suggestion for fixing the problem
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'EstimatorError';
+    this.code = code;
+    if (hint) {
+      this.hint = hint;
+    }
+  }
+
+  /**
+   * Serialize the error for JSON output
+   * @returns {{code: string, message: string, hint: (string|undefined)}}
+   */
+  toJSON() {
+    return { code: this.code, message: this.message, hint: this.hint };
+  }
+}
+
+/**
+ * Invalid user input: addresses, amounts, networks, ABIs, files
+ *
+ * @example
+ * throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value');
+ */
+export class ValidationError extends EstimatorError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The RPC endpoint could not be reached
+ */
+export class NetworkError extends EstimatorError {
+  constructor(message, options) {
+    super(ERROR_CODES.NETWORK_ERROR, message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The RPC endpoint answered with an error or unusable data
+ */
+export class RpcError extends EstimatorError {
+  constructor(message, options) {
+    super(ERROR_CODES.RPC_ERROR, message, options);
+    this.name = 'RpcError';
+  }
+}
+
+/**
+ * The sender cannot pay for the transaction
+ */
+export class InsufficientFundsError extends EstimatorError {
+  constructor(message, options) {
+    super(ERROR_CODES.INSUFFICIENT_FUNDS, message, options);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+/**
+ * The transaction would revert during simulation
+ */
+export class RevertError extends EstimatorError {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.reason] - Revert reason, when known
+   * @param {string} [options.data] - Raw revert data, when returned by the node
+   * @param {string} [options.hint] - Suggestion for fixing the problem
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { reason, data, ...options } = {}) {
+    super(ERROR_CODES.EXECUTION_REVERTED, message, options);
+    this.name = 'RevertError';
+    this.reason = reason || null;
+    this.data = data || null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), reason: this.reason, data: this.data };
+  }
+}
+
+/**
+ * The ETH price could not be fetched
+ */
+export class PriceError extends EstimatorError {
+  constructor(message, options) {
+    super(ERROR_CODES.PRICE_UNAVAILABLE, message, options);
+    this.name = 'PriceError';
+  }
+}
+
+/**
+ * Wrap any thrown value in an EstimatorError, keeping existing codes
+ *
+ * @param {*} error - Thrown value
+ * @returns {EstimatorError} Structured error
+ */
+export function toEstimatorError(error) {
+  if (error instanceof EstimatorError) {
+    return error;
+  }
+  const message = error && error.message ? error.message : String(error);
+  return new EstimatorError(ERROR_CODES.UNKNOWN_ERROR, message, { cause: error });
+}
@@ -8,15 +8,66 @@
 
 import { ethers } from 'ethers';
 import { formatGweiFromWei, formatEthFromWei } from './utils.js';
+import { LOCAL_L1_FEE_FORMULAS, estimateL1Fee, getL1FeeParams, computeL1Fee, estimateArbitrumL1Gas } from './l1fee.js';
+import { resolveToken } from './tokens.js';
+import { createRpcProvider, classifyRpcError } from './rpc.js';
+import { DEFAULT_OVERRIDE_BALANCE_ETH, simulateGas, createAccessList, buildStateOverrides } from './simulation.js';
+import { checkSendReadiness } from './readiness.js';
+import { priceReferenceTransactions, quoteReferenceL1Fees } from './reference.js';
+import { resolveBlockRange, fetchBlockFees, sampleL1FeeParams, summarizeFeeHistory } from './feehistory.js';
+import { FEE_SPEEDS, DEFAULT_FEE_WINDOW, getFeeHistory, computeFeeTiers, validateSpeed } from './fees.js';
+import { ERROR_CODES, ValidationError, RpcError } from './errors.js';
+
+/**
+ * Minimal ERC-20 ABI used for token estimates
+ */
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  // ERC-6093 errors used by OpenZeppelin 5 tokens, for revert decoding
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)'
+];
+
+/**
+ * Serialized transaction types accepted by estimateRawTransaction
+ */
+const RAW_TRANSACTION_TYPES = {
+  0: 'legacy',
+  1: 'eip-2930',
+  2: 'eip-1559'
+};
+
+/**
+ * Connection settings accepted by every function that talks to the network
+ * (cli.js connectionFor and createEstimator build them from a resolved network)
+ *
+ * @typedef {Object} Connection
+ * @property {string} rpcUrl - RPC URL for the network
+ * @property {Array<string>} [rpcUrls] - RPC URLs in failover order (overrides rpcUrl)
+ * @property {Object} [rpcOptions] - Retry, timeout, backoff, log and cache settings (see createRpcProvider)
+ * @property {number} [chainId] - Expected chain ID; the RPC endpoint is rejected if it differs
+ * @property {string} [feeModel] - How the network charges for L1 data: 'op-stack' (default), 'arbitrum' or 'none'
+ * @property {string} [gasPriceOracle] - GasPriceOracle address, defaults to the OP Stack predeploy
+ * @property {string} [speed] - Fee tier used for the headline cost: 'slow', 'standard' (default) or 'fast'
+ * @property {number} [feeWindow] - Blocks sampled by eth_feeHistory for fee tiers, defaults to 20
+ */
 
 /**
  * Estimate gas cost for ETH transfer on Base network
  * 
- * @param {Object} params - Estimation parameters
+ * @param {Object} params - Estimation parameters and Connection settings
  * @param {string} params.to - Recipient address
  * @param {string} params.valueEth - Amount in ETH to transfer
- * @param {string} params.rpcUrl - RPC URL for the network
- * @returns {Promise<Object>} Gas estimation results
+ * @param {string} [params.from] - Sender address the transfer is estimated from; its balance and pending
+ *   nonce are checked against the worst-case cost and reported as sender
+ * @param {Object} [params.stateOverrides] - State overrides for the simulation (see buildStateOverrides)
+ * @returns {Promise<Object>} Gas estimation results, including L2 execution and L1 data fees
  * 
  * @example
  * const result = await estimateEthTransfer({
@@ -25,16 +76,17 @@ import { formatGweiFromWei, formatEthFromWei } from './utils.js';
  *   rpcUrl: 'https://mainnet.base.org'
  * });
  */
-export async function estimateEthTransfer({ to, valueEth, rpcUrl }) {
+export async function estimateEthTransfer({ to, valueEth, from, stateOverrides, speed, feeWindow, ...connection }) {
+  let provider;
   try {
     // Validate recipient address first
     if (!to || typeof to !== 'string') {
-      throw new Error('Invalid recipient address');
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address');
     }
     
     // Basic address format validation
     if (!to.match(/^0x[a-fA-F0-9]{40}$/)) {
-      throw new Error('Invalid recipient address');
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address');
     }
 
     // Validate and parse ETH value
@@ -42,22 +94,20 @@ export async function estimateEthTransfer({ to, valueEth, rpcUrl }) {
     try {
       weiValue = ethers.parseEther(valueEth.toString());
     } catch (error) {
-      throw new Error('Invalid ETH value');
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value');
     }
 
     // Validate that the value is not negative
     if (weiValue < 0n) {
-      throw new Error('ETH value cannot be negative');
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'ETH value cannot be negative');
     }
 
-    // Create provider
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    if (from !== undefined && !ethers.isAddress(from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address');
+    }
 
-    // Create a dummy wallet for estimation (private key doesn't matter for estimation)
-    const dummyWallet = new ethers.Wallet(
-      '0x0000000000000000000000000000000000000000000000000000000000000001',
-      provider
-    );
+    // Connect and verify the chain ID before estimating
+    provider = await connectProvider(connection);
 
     // Prepare transaction object for gas estimation
     const transaction = {
@@ -67,49 +117,1132 @@ export async function estimateEthTransfer({ to, valueEth, rpcUrl }) {
       data: '0x'
     };
 
-    // Get current fee data (EIP-1559 compatible)
-    const feeData = await provider.getFeeData();
-    
-    // Estimate gas limit
-    const gasLimit = await provider.estimateGas(transaction);
+    if (from) {
+      transaction.from = from;
+    }
 
-    // Use maxFeePerGas for calculation (EIP-1559)
-    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
-    
-    if (!gasPrice) {
-      throw new Error('Unable to fetch gas price from network');
+    return await estimateTransaction(provider, transaction, {
+      feeModel: connection.feeModel,
+      gasPriceOracle: connection.gasPriceOracle,
+      stateOverrides,
+      speed,
+      feeWindow
+    });
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Estimate gas cost for an arbitrary contract call on Base network
+ * Calldata is ABI-encoded from either a function signature or a parsed ABI, or given raw
+ *
+ * @param {Object} params - Estimation parameters and Connection settings
+ * @param {string} params.to - Contract address
+ * @param {string} [params.signature] - Function signature, e.g. 'transfer(address,uint256)'
+ * @param {Array} [params.abi] - Contract ABI (used with functionName)
+ * @param {string} [params.functionName] - Function name to call when an ABI is given
+ * @param {Array<string>} [params.args] - Function arguments as strings
+ * @param {string} [params.data] - Raw hex calldata, instead of a signature or ABI
+ * @param {string} [params.valueEth] - Amount of ETH to send with the call
+ * @param {string} [params.from] - Sender address the call is estimated against
+ * @param {Object} [params.stateOverrides] - State overrides for the simulation (see buildStateOverrides)
+ * @param {boolean} [params.generateAccessList] - Also re-estimate with the list from eth_createAccessList and report it as accessList
+ * @returns {Promise<Object>} Gas estimation results, including L2 execution and L1 data fees
+ *
+ * @example
+ * const result = await estimateContractCall({
+ *   to: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+ *   signature: 'transfer(address,uint256)',
+ *   args: ['0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e', '1000000'],
+ *   from: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+ *   rpcUrl: 'https://mainnet.base.org'
+ * });
+ */
+export async function estimateContractCall({
+  to,
+  signature,
+  abi,
+  functionName,
+  args = [],
+  data: rawData,
+  valueEth = '0',
+  from,
+  stateOverrides,
+  generateAccessList = false,
+  speed,
+  feeWindow,
+  ...connection
+}) {
+  let provider;
+  try {
+    if (!to || typeof to !== 'string' || !ethers.isAddress(to)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid contract address');
+    }
+
+    if (rawData !== undefined && (typeof rawData !== 'string' || !ethers.isHexString(rawData.startsWith('0x') ? rawData : `0x${rawData}`, true))) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid calldata: expected a hex string');
+    }
+
+    if (from !== undefined && !ethers.isAddress(from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address');
+    }
+
+    let weiValue;
+    try {
+      weiValue = ethers.parseEther(valueEth.toString());
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value');
+    }
+
+    if (weiValue < 0n) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'ETH value cannot be negative');
+    }
+
+    const data = rawData !== undefined
+      ? (rawData.startsWith('0x') ? rawData : `0x${rawData}`)
+      : encodeFunctionCall({ signature, abi, functionName, args });
+
+    provider = await connectProvider(connection);
+
+    const transaction = {
+      to,
+      value: weiValue,
+      data
+    };
+
+    if (from) {
+      transaction.from = from;
+    }
+
+    // Custom errors can only be decoded with a full ABI
+    const options = {
+      feeModel: connection.feeModel,
+      gasPriceOracle: connection.gasPriceOracle,
+      abi: Array.isArray(abi) ? abi : [],
+      stateOverrides
+    };
+    const estimation = await estimateTransaction(provider, transaction, { ...options, speed, feeWindow });
+
+    if (generateAccessList) {
+      estimation.accessList = await estimateAccessList(provider, transaction, estimation, options);
+    }
+
+    return estimation;
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Estimate gas cost for an ERC-20 transfer or approve on Base network
+ * The amount is converted to base units using the token's decimals()
+ *
+ * @param {Object} params - Estimation parameters and Connection settings
+ * @param {string} params.token - Token symbol from the bundled registry or token address
+ * @param {string} params.method - ERC-20 method to estimate ('transfer' or 'approve')
+ * @param {string} params.to - Recipient (transfer) or spender (approve) address
+ * @param {string} params.amount - Token amount in whole units, or 'max' for an unlimited approval
+ * @param {string} [params.from] - Token holder the transaction is estimated from
+ * @param {Object} [params.stateOverrides] - State overrides for the simulation (see buildStateOverrides)
+ * @param {string} params.network - Network name used for registry lookups
+ * @returns {Promise<Object>} Gas estimation results with token details
+ *
+ * @example
+ * const result = await estimateTokenTransaction({
+ *   token: 'USDC',
+ *   method: 'transfer',
+ *   to: '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e',
+ *   amount: '25',
+ *   from: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+ *   network: 'base',
+ *   rpcUrl: 'https://mainnet.base.org'
+ * });
+ */
+export async function estimateTokenTransaction({
+  token,
+  method,
+  to,
+  amount,
+  from,
+  network,
+  stateOverrides,
+  speed,
+  feeWindow,
+  ...connection
+}) {
+  let provider;
+  try {
+    if (method !== 'transfer' && method !== 'approve') {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unsupported token method: ${method}`);
+    }
+
+    if (!to || typeof to !== 'string' || !ethers.isAddress(to)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, method === 'approve' ? 'Invalid spender address' : 'Invalid recipient address');
+    }
+
+    if (from !== undefined && !ethers.isAddress(from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address');
+    }
+
+    const { address, symbol } = resolveToken(token, network);
+
+    provider = await connectProvider(connection);
+    const contract = new ethers.Contract(address, ERC20_ABI, provider);
+
+    let decimals;
+    try {
+      decimals = Number(await contract.decimals());
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+        throw new ValidationError(ERROR_CODES.UNKNOWN_TOKEN, `Address ${address} does not look like an ERC-20 token`);
+      }
+      throw error;
+    }
+
+    // Convert the whole-unit amount into token base units
+    let amountUnits;
+    if (method === 'approve' && amount === 'max') {
+      amountUnits = ethers.MaxUint256;
+    } else {
+      try {
+        amountUnits = ethers.parseUnits(amount.toString(), decimals);
+      } catch (error) {
+        throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid token amount');
+      }
+      if (amountUnits < 0n) {
+        throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Token amount cannot be negative');
+      }
     }
 
-    // Calculate total cost in wei
-    const totalWei = gasLimit * gasPrice;
+    const transaction = {
+      to: address,
+      value: 0n,
+      data: contract.interface.encodeFunctionData(method, [to, amountUnits])
+    };
 
-    // Format results for display
-    const gasUnits = Number(gasLimit);
-    const gasPriceWei = gasPrice;
-    const gasText = `${formatGweiFromWei(gasPrice)} Gwei (${gasPrice.toString()} wei)`;
-    const totalText = formatEthFromWei(totalWei);
+    if (from) {
+      transaction.from = from;
+    }
+
+    const estimation = await estimateTransaction(provider, transaction, {
+      feeModel: connection.feeModel,
+      gasPriceOracle: connection.gasPriceOracle,
+      abi: ERC20_ABI,
+      stateOverrides,
+      speed,
+      feeWindow
+    });
 
     return {
-      gasUnits,
-      gasPriceWei,
-      totalWei,
-      gasText,
-      totalText
+      ...estimation,
+      token: { address, symbol, decimals },
+      amountUnits
     };
 
   } catch (error) {
-    // Handle specific error cases
-    if (error.message.includes('insufficient funds')) {
-      throw new Error('Insufficient funds for gas estimation');
-    } else if (error.message.includes('invalid address')) {
-      throw new Error('Invalid recipient address');
-    } else if (error.message.includes('network')) {
-      throw new Error('Network connection failed. Please check your internet connection.');
-    } else if (error.code === 'NETWORK_ERROR') {
-      throw new Error('Unable to connect to Base network. Please try again later.');
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Estimate gas cost for deploying a contract on Base network
+ * Creation calldata (bytecode + constructor args) is large, so the L1 data fee
+ * is usually the biggest part of the total
+ *
+ * @param {Object} params - Estimation parameters and Connection settings
+ * @param {string} params.bytecode - Contract creation bytecode (hex)
+ * @param {Array} [params.abi] - Contract ABI (needed for constructor arguments)
+ * @param {Array<string>} [params.args] - Constructor arguments as strings
+ * @param {string} [params.valueEth] - Amount of ETH to send to a payable constructor
+ * @param {string} [params.from] - Deployer address
+ * @param {Object} [params.stateOverrides] - State overrides for the simulation (see buildStateOverrides)
+ * @returns {Promise<Object>} Gas estimation results with init code size
+ *
+ * @example
+ * const result = await estimateDeployment({
+ *   bytecode: artifact.bytecode,
+ *   abi: artifact.abi,
+ *   args: ['My Token', 'MTK'],
+ *   rpcUrl: 'https://mainnet.base.org'
+ * });
+ */
+export async function estimateDeployment({
+  bytecode,
+  abi = [],
+  args = [],
+  valueEth = '0',
+  from,
+  stateOverrides,
+  speed,
+  feeWindow,
+  ...connection
+}) {
+  let provider;
+  try {
+    if (from !== undefined && !ethers.isAddress(from)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address');
+    }
+
+    let weiValue;
+    try {
+      weiValue = ethers.parseEther(valueEth.toString());
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value');
+    }
+
+    if (weiValue < 0n) {
+      throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'ETH value cannot be negative');
+    }
+
+    const data = encodeDeployData({ bytecode, abi, args });
+
+    provider = await connectProvider(connection);
+
+    // Contract creation transactions have no recipient
+    const transaction = {
+      value: weiValue,
+      data
+    };
+
+    if (from) {
+      transaction.from = from;
+    }
+
+    const estimation = await estimateTransaction(provider, transaction, {
+      feeModel: connection.feeModel,
+      gasPriceOracle: connection.gasPriceOracle,
+      abi,
+      stateOverrides,
+      speed,
+      feeWindow
+    });
+
+    return {
+      ...estimation,
+      initCodeSize: ethers.dataLength(data)
+    };
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Build contract creation calldata from bytecode and constructor arguments
+ *
+ * @param {Object} params - Encoding parameters
+ * @param {string} params.bytecode - Contract creation bytecode (hex)
+ * @param {Array} [params.abi] - Contract ABI containing the constructor
+ * @param {Array<string>} [params.args] - Constructor arguments as strings
+ * @returns {string} Hex-encoded creation calldata
+ * @throws {Error} If the bytecode is invalid or arguments do not match the constructor
+ *
+ * @example
+ * encodeDeployData({ bytecode: '0x6080...', abi: ['constructor(uint256 supply)'], args: ['1000'] });
+ */
+export function encodeDeployData({ bytecode, abi = [], args = [] }) {
+  if (typeof bytecode !== 'string' || bytecode.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Missing contract bytecode');
+  }
+
+  const normalized = bytecode.trim().startsWith('0x') ? bytecode.trim() : `0x${bytecode.trim()}`;
+
+  if (normalized.includes('__')) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Bytecode contains unlinked library placeholders. Link libraries before estimating.');
+  }
+
+  if (!ethers.isHexString(normalized) || normalized.length <= 2 || normalized.length % 2 !== 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid contract bytecode');
+  }
+
+  let iface;
+  try {
+    iface = new ethers.Interface(abi);
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid contract ABI: ${error.shortMessage || error.message}`);
+  }
+
+  const inputs = iface.deploy.inputs;
+  if (args.length !== inputs.length) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Constructor expects ${inputs.length} argument(s), got ${args.length}`);
+  }
+
+  const values = inputs.map((input, index) => parseArgument(args[index], input));
+
+  try {
+    return ethers.concat([normalized, iface.encodeDeploy(values)]);
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid constructor arguments: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Estimate gas cost for a serialized transaction, signed or unsigned, on an OP Stack network
+ * The transaction is decoded (legacy, EIP-2930 or EIP-1559), its sender recovered from the
+ * signature, and its own gas limit and fee cap checked against the estimate. The L1 data fee
+ * is priced from the exact serialized bytes.
+ *
+ * @param {Object} params - Estimation parameters and Connection settings
+ * @param {string} params.serialized - Hex-encoded serialized transaction
+ * @param {string} [params.from] - Sender to estimate against when the transaction is unsigned
+ * @param {Array} [params.abi] - ABI of the called contract, used to decode custom errors
+ * @param {Object} [params.stateOverrides] - State overrides for the simulation (see buildStateOverrides)
+ * @returns {Promise<Object>} Gas estimation results with the decoded transaction and sufficiency checks
+ *
+ * @example
+ * const result = await estimateRawTransaction({
+ *   serialized: '0x02f8730182...',
+ *   rpcUrl: 'https://mainnet.base.org'
+ * });
+ * console.log(result.rawTransaction.from, result.checks.gasLimitSufficient);
+ */
+export async function estimateRawTransaction({ serialized, from, abi = [], stateOverrides, speed, feeWindow, ...connection }) {
+  let provider;
+  try {
+    if (typeof serialized !== 'string' || !ethers.isHexString(serialized.startsWith('0x') ? serialized : `0x${serialized}`)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid serialized transaction: expected a hex string');
+    }
+
+    let tx;
+    try {
+      tx = ethers.Transaction.from(serialized.startsWith('0x') ? serialized : `0x${serialized}`);
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid serialized transaction: ${error.shortMessage || error.message}`);
+    }
+
+    const typeName = RAW_TRANSACTION_TYPES[tx.type];
+    if (!typeName) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unsupported transaction type ${tx.type}`, {
+        hint: 'Supported types: legacy (0), EIP-2930 (1) and EIP-1559 (2)'
+      });
+    }
+
+    const signed = tx.isSigned();
+    let sender = from;
+    if (signed) {
+      try {
+        sender = tx.from;
+      } catch (error) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Unable to recover the sender from the transaction signature');
+      }
+      if (from !== undefined && ethers.isAddress(from) && ethers.getAddress(from) !== sender) {
+        throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, `Sender ${from} does not match the transaction signer ${sender}`);
+      }
+    }
+
+    if (sender !== undefined && !ethers.isAddress(sender)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address');
+    }
+
+    provider = await connectProvider(connection);
+
+    // Pre-EIP-155 legacy transactions (chain ID 0) are valid on any chain
+    const network = await provider.getNetwork();
+    if (tx.chainId !== 0n && tx.chainId !== network.chainId) {
+      throw new ValidationError(
+        ERROR_CODES.CHAIN_ID_MISMATCH,
+        `Transaction is for chain ${tx.chainId}, but the RPC endpoint is on chain ${network.chainId}`,
+        { hint: 'Use --network or --rpc-url for the chain the transaction was built for' }
+      );
+    }
+
+    // Fee fields are left out so the node estimates gas without checking the sender's balance for them
+    const transaction = {
+      to: tx.to,
+      value: tx.value,
+      data: tx.data
+    };
+    if (sender) {
+      transaction.from = sender;
+    }
+    if (tx.type > 0) {
+      transaction.accessList = tx.accessList;
+    }
+
+    const feeCapWei = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+    const estimation = await estimateTransaction(provider, transaction, {
+      feeModel: connection.feeModel,
+      gasPriceOracle: connection.gasPriceOracle,
+      abi,
+      stateOverrides,
+      speed,
+      feeWindow,
+      serializedTx: signed ? tx.serialized : tx.unsignedSerialized,
+      signed,
+      signedFees: { gasLimit: tx.gasLimit, maxFeePerGas: feeCapWei }
+    });
+
+    // What the transaction pays with its own fee fields in the next block
+    const ownGasPriceWei = tx.type === 2
+      ? (estimation.nextBaseFeeWei + tx.maxPriorityFeePerGas < feeCapWei ? estimation.nextBaseFeeWei + tx.maxPriorityFeePerGas : feeCapWei)
+      : feeCapWei;
+    const ownCostWei = BigInt(estimation.gasUnits) * ownGasPriceWei + estimation.l1FeeWei;
+
+    return {
+      ...estimation,
+      rawTransaction: {
+        type: tx.type,
+        typeName,
+        signed,
+        hash: signed ? tx.hash : null,
+        from: sender || null,
+        to: tx.to,
+        nonce: tx.nonce,
+        chainId: Number(tx.chainId),
+        gasLimit: tx.gasLimit,
+        feeCapWei,
+        maxPriorityFeePerGasWei: tx.type === 2 ? tx.maxPriorityFeePerGas : null,
+        valueWei: tx.value,
+        dataSize: ethers.dataLength(tx.data),
+        serializedSize: ethers.dataLength(signed ? tx.serialized : tx.unsignedSerialized)
+      },
+      checks: {
+        gasLimitSufficient: tx.gasLimit >= BigInt(estimation.gasUnits + estimation.l1GasUnits),
+        feeCapSufficient: feeCapWei >= estimation.nextBaseFeeWei
+      },
+      ownGasPriceWei,
+      ownCostWei,
+      ownCostText: formatEthFromWei(ownCostWei)
+    };
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Take a snapshot of current L2 and L1 fee parameters on an OP Stack network
+ *
+ * @param {Connection} connection - Connection settings; speed and feeWindow are not used
+ * @returns {Promise<Object>} Current fee parameters
+ *
+ * @example
+ * const snapshot = await getFeeSnapshot({ rpcUrl: 'https://mainnet.base.org' });
+ * console.log(snapshot.baseFeeWei, snapshot.l1BaseFeeWei);
+ */
+export async function getFeeSnapshot(connection) {
+  let provider;
+  try {
+    provider = await connectProvider(connection);
+
+    // Only OP Stack networks have a GasPriceOracle to read
+    const [feeData, network, block, l1Params] = await Promise.all([
+      provider.getFeeData(),
+      provider.getNetwork(),
+      provider.getBlock('latest'),
+      (connection.feeModel || 'op-stack') === 'op-stack'
+        ? getL1FeeParams(provider, connection.gasPriceOracle)
+        : { l1BaseFeeWei: null, blobBaseFeeWei: null, baseFeeScalar: null, blobBaseFeeScalar: null, upgrade: null }
+    ]);
+
+    return {
+      chainId: Number(network.chainId),
+      blockNumber: block ? block.number : null,
+      timestamp: block ? block.timestamp : null,
+      baseFeeWei: block && block.baseFeePerGas !== null ? block.baseFeePerGas : null,
+      priorityFeeWei: feeData.maxPriorityFeePerGas || 0n,
+      maxFeePerGasWei: feeData.maxFeePerGas,
+      gasPriceWei: feeData.gasPrice,
+      l1BaseFeeWei: l1Params.l1BaseFeeWei,
+      blobBaseFeeWei: l1Params.blobBaseFeeWei,
+      baseFeeScalar: l1Params.baseFeeScalar,
+      blobBaseFeeScalar: l1Params.blobBaseFeeScalar,
+      l1FeeFormula: l1Params.upgrade
+    };
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Collect everything shown by the `gas` dashboard: base and priority fees, L1 oracle fees,
+ * the latest block and the cost of reference transactions at the selected speed
+ *
+ * @param {Object} params - Dashboard parameters and Connection settings
+ * @param {string} [params.speed] - Fee tier used to price the reference transactions, defaults to 'standard'
+ * @returns {Promise<Object>} Dashboard data (see formatDashboard)
+ *
+ * @example
+ * const dashboard = await getGasDashboard({ rpcUrl: 'https://mainnet.base.org', speed: 'fast' });
+ * console.log(dashboard.references.swap.totalText);
+ */
+export async function getGasDashboard({ speed = 'standard', feeWindow = DEFAULT_FEE_WINDOW, ...connection }) {
+  let provider;
+  try {
+    validateSpeed(speed);
+    if ((connection.feeModel || 'op-stack') !== 'op-stack') {
+      throw new ValidationError(ERROR_CODES.INVALID_NETWORK, `The gas dashboard needs an OP Stack network (this network's fee model is "${connection.feeModel}")`, {
+        hint: 'Use an OP Stack network such as base or optimism, or compare costs across networks with the compare command'
+      });
+    }
+    provider = await connectProvider(connection);
+
+    const [network, block, feeHistory, l1Params] = await Promise.all([
+      provider.getNetwork(),
+      provider.getBlock('latest'),
+      getFeeHistory(provider, feeWindow),
+      getL1FeeParams(provider, connection.gasPriceOracle)
+    ]);
+
+    if (!block) {
+      throw new RpcError('RPC endpoint returned no latest block');
+    }
+
+    const fees = computeFeeTiers(feeHistory);
+    const selected = fees.tiers[speed];
+
+    const referenceFees = {
+      gasPriceWei: selected.gasPriceWei,
+      // Same ceiling a wallet would sign: twice the next base fee plus the tip
+      maxFeePerGasWei: fees.nextBaseFeeWei * 2n + selected.priorityFeeWei,
+      priorityFeeWei: selected.priorityFeeWei,
+      chainId: network.chainId
+    };
+    // Bedrock oracles have no local formula, so their L1 fees are quoted by the oracle
+    const l1FeesWei = LOCAL_L1_FEE_FORMULAS.includes(l1Params.upgrade)
+      ? undefined
+      : await quoteReferenceL1Fees(provider, referenceFees, l1Params, connection.gasPriceOracle);
+    const references = priceReferenceTransactions(referenceFees, l1Params, { l1FeesWei });
+
+    return {
+      chainId: Number(network.chainId),
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      baseFeeWei: block.baseFeePerGas !== null ? block.baseFeePerGas : fees.nextBaseFeeWei,
+      nextBaseFeeWei: fees.nextBaseFeeWei,
+      baseFeeTrend: fees.baseFeeTrend,
+      feeWindow: fees.blocks,
+      feeTiers: fees.tiers,
+      l1BaseFeeWei: l1Params.l1BaseFeeWei,
+      blobBaseFeeWei: l1Params.blobBaseFeeWei,
+      l1FeeFormula: l1Params.upgrade,
+      speed,
+      references
+    };
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Analyze fee behaviour over a block range: base fee, priority fee percentiles and sampled
+ * L1 fee parameters, summarized as min / median / p90 / max and by hour of day (UTC)
+ *
+ * @param {Object} params - Analysis parameters and Connection settings; feeWindow is not used
+ * @param {number} [params.blocks] - Number of most recent blocks
+ * @param {number} [params.fromBlock] - First block of an explicit range
+ * @param {number} [params.toBlock] - Last block of an explicit range, defaults to the latest block
+ * @param {string} [params.speed] - Priority fee tier used for gas prices, defaults to 'standard'
+ * @param {function(number, number): void} [params.onProgress] - Called with blocks fetched and total blocks
+ * @param {boolean} [params.sampleL1] - Read the GasPriceOracle at sampled blocks (archive reads), defaults to true
+ * @returns {Promise<Object>} Range, statistics, hourly breakdown and per-block records
+ *
+ * @example
+ * const history = await analyzeFeeHistory({ rpcUrl: 'https://mainnet.base.org', blocks: 43200 });
+ * console.log(history.stats.baseFee.median, history.cheapestHour);
+ */
+export async function analyzeFeeHistory({ blocks, fromBlock, toBlock, speed = 'standard', onProgress, sampleL1 = true, ...connection }) {
+  let provider;
+  try {
+    validateSpeed(speed);
+    provider = await connectProvider(connection);
+
+    const [network, latestBlock] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+    const range = resolveBlockRange({ blocks, fromBlock, toBlock }, latestBlock);
+
+    const [first, last, records] = await Promise.all([
+      provider.getBlock(range.fromBlock),
+      provider.getBlock(range.toBlock),
+      fetchBlockFees(provider, range.fromBlock, range.toBlock, { onProgress })
+    ]);
+
+    if (!first || !last) {
+      throw new RpcError('RPC endpoint returned no block for the requested range');
+    }
+
+    // Blocks are produced at a fixed interval, so interpolate timestamps across the range
+    const span = range.toBlock - range.fromBlock;
+    const timestampOf = (blockNumber) => (span === 0
+      ? first.timestamp
+      : first.timestamp + Math.round(((blockNumber - range.fromBlock) * (last.timestamp - first.timestamp)) / span));
+    for (const record of records) {
+      record.timestamp = timestampOf(record.blockNumber);
+    }
+
+    // Historical oracle reads need an archive node; the fee statistics stand on their own
+    let l1Samples = [];
+    let l1Unavailable = null;
+    if ((connection.feeModel || 'op-stack') !== 'op-stack') {
+      l1Unavailable = 'this network has no GasPriceOracle to sample';
+    } else if (!sampleL1) {
+      l1Unavailable = 'L1 fee parameters were not sampled';
     } else {
-      // Re-throw with original message for other errors
+      try {
+        l1Samples = await sampleL1FeeParams(provider, range.fromBlock, range.toBlock, connection.gasPriceOracle);
+        for (const sample of l1Samples) {
+          sample.timestamp = timestampOf(sample.blockNumber);
+        }
+      } catch (error) {
+        l1Unavailable = `historical GasPriceOracle reads failed (${classifyRpcError(error).message}); older blocks need an archive RPC endpoint`;
+      }
+    }
+
+    return {
+      chainId: Number(network.chainId),
+      fromBlock: range.fromBlock,
+      toBlock: range.toBlock,
+      blocks: records.length,
+      fromTimestamp: first.timestamp,
+      toTimestamp: last.timestamp,
+      ...summarizeFeeHistory(records, { speed, l1Samples }),
+      l1Unavailable,
+      l1Samples,
+      records
+    };
+
+  } catch (error) {
+    handleEstimationError(error);
+  } finally {
+    if (provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * ABI-encode a function call from a signature or an ABI
+ * Array and tuple arguments are given as JSON, booleans as 'true'/'false'
+ *
+ * @param {Object} params - Encoding parameters
+ * @param {string} [params.signature] - Function signature, e.g. 'approve(address,uint256)'
+ * @param {Array} [params.abi] - Contract ABI
+ * @param {string} [params.functionName] - Function name (required with abi)
+ * @param {Array<string>} [params.args] - Function arguments as strings
+ * @returns {string} Hex-encoded calldata
+ * @throws {Error} If the function cannot be resolved or arguments do not match
+ *
+ * @example
+ * encodeFunctionCall({ signature: 'approve(address,uint256)', args: ['0x...', '1000'] });
+ */
+export function encodeFunctionCall({ signature, abi, functionName, args = [] }) {
+  let iface;
+  let fragment;
+
+  try {
+    if (signature) {
+      const normalized = signature.trim().startsWith('function ') ? signature.trim() : `function ${signature.trim()}`;
+      iface = new ethers.Interface([normalized]);
+      fragment = iface.fragments.find((item) => item.type === 'function');
+    } else if (abi) {
+      if (!functionName) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'A function name is required when using an ABI');
+      }
+      iface = new ethers.Interface(abi);
+      fragment = iface.getFunction(functionName);
+    }
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid function definition: ${error.shortMessage || error.message}`);
+  }
+
+  if (!fragment) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Unable to resolve function to call. Provide a signature or an ABI and function name.');
+  }
+
+  if (args.length !== fragment.inputs.length) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Function ${fragment.name} expects ${fragment.inputs.length} argument(s), got ${args.length}`);
+  }
+
+  const values = fragment.inputs.map((input, index) => parseArgument(args[index], input));
+
+  try {
+    return iface.encodeFunctionData(fragment, values);
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid arguments for ${fragment.name}: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Convert a CLI string argument into a value accepted by the ABI coder
+ *
+ * @param {string} value - Raw argument
+ * @param {ethers.ParamType} param - ABI parameter type
+ * @returns {*} Parsed value
+ */
+function parseArgument(value, param) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (param.baseType === 'array' || param.baseType === 'tuple') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Argument "${param.name || param.type}" must be valid JSON for type ${param.type}`);
+    }
+  }
+
+  if (param.baseType === 'bool') {
+    if (value !== 'true' && value !== 'false') {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Argument "${param.name || param.type}" must be true or false`);
+    }
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Translate low-level provider errors into user-facing messages
+ *
+ * @param {Error} error - Original error
+ * @throws {EstimatorError} Always rethrows as a structured error
+ */
+function handleEstimationError(error) {
+  throw classifyRpcError(error);
+}
+
+/**
+ * Create a provider for the configured endpoints, checking that they serve the expected chain
+ *
+ * @param {Connection} connection - Connection settings; only rpcUrl, rpcUrls, rpcOptions and chainId are
+ *   used, and the chain ID check is skipped when chainId is omitted
+ * @returns {Promise<ethers.JsonRpcProvider>} Connected provider; the caller destroys it when done
+ * @throws {ValidationError} If the endpoint reports a different chain ID
+ */
+async function connectProvider({ rpcUrl, rpcUrls, rpcOptions, chainId }) {
+  const provider = createRpcProvider(rpcUrls || rpcUrl, { ...rpcOptions, chainId });
+
+  if (chainId !== undefined && chainId !== null) {
+    try {
+      // The provider trusts chainId, so ask the endpoint directly
+      const actualChainId = Number(await provider.send('eth_chainId', []));
+      if (actualChainId !== Number(chainId)) {
+        throw new ValidationError(
+          ERROR_CODES.CHAIN_ID_MISMATCH,
+          `RPC endpoint is on chain ${actualChainId}, expected chain ${chainId}`,
+          { hint: 'Check --rpc-url, BASE_GAS_RPC_URL or the rpcUrls in your config file' }
+        );
+      }
+    } catch (error) {
+      provider.destroy();
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  return provider;
+}
+
+/**
+ * Price the L1 share of a transaction according to the network's fee model
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Object} transaction - Transaction request (to, value, data, optional from and accessList)
+ * @param {Object} options - Pricing options
+ * @param {string} options.feeModel - 'op-stack', 'arbitrum' or 'none'
+ * @param {string} [options.gasPriceOracle] - GasPriceOracle address
+ * @param {bigint} options.gasLimit - Simulated gas limit, used for the synthetic transaction and as the Arbitrum cap
+ * @param {bigint} options.chainId - Chain ID of the synthetic transaction
+ * @param {bigint} options.maxFeePerGas - Fee cap of the synthetic transaction
+ * @param {bigint} options.maxPriorityFeePerGas - Priority fee of the synthetic transaction
+ * @param {string} [options.serializedTx] - Exact serialized bytes to price instead of the synthetic transaction
+ * @param {boolean} [options.signed] - serializedTx already carries a signature
+ * @returns {Promise<{l1FeeWei: bigint, l1GasUnits: bigint, params: Object}>} L1 fee, L1 gas units within gasLimit and the L1 fee parameters
+ */
+async function estimateL1Cost(provider, transaction, {
+  feeModel,
+  gasPriceOracle,
+  gasLimit,
+  chainId,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  serializedTx,
+  signed
+}) {
+  if (feeModel === 'arbitrum') {
+    // The L1 share of the gas estimate is billed at the L2 base fee rather than the tier price
+    const l1 = await estimateArbitrumL1Gas(provider, transaction);
+    const l1GasUnits = l1.l1GasUnits < gasLimit ? l1.l1GasUnits : gasLimit;
+    return {
+      l1FeeWei: l1GasUnits * l1.baseFeeWei,
+      l1GasUnits,
+      params: { l1BaseFeeWei: l1.l1BaseFeeWei, blobBaseFeeWei: null }
+    };
+  }
+
+  if (feeModel === 'op-stack' && signed) {
+    // The oracle always pads for a signature, so price signed bytes locally
+    const params = await getL1FeeParams(provider, gasPriceOracle);
+    if (!LOCAL_L1_FEE_FORMULAS.includes(params.upgrade)) {
+      // Bedrock has no local formula here; its oracle pads for a signature, slightly overpricing signed bytes
+      const { l1FeeWei } = await estimateL1Fee(provider, serializedTx, gasPriceOracle, params);
+      return { l1FeeWei, l1GasUnits: 0n, params };
+    }
+    return { l1FeeWei: computeL1Fee(serializedTx, params, { signed: true }), l1GasUnits: 0n, params };
+  }
+
+  if (feeModel === 'op-stack') {
+    // Serialize the unsigned transaction so the oracle can price its L1 data
+    const unsignedSerialized = serializedTx || ethers.Transaction.from({
+      type: 2,
+      chainId,
+      nonce: 0,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      to: transaction.to,
+      value: transaction.value,
+      data: transaction.data,
+      accessList: transaction.accessList
+    }).unsignedSerialized;
+
+    const { l1FeeWei, params } = await estimateL1Fee(provider, unsignedSerialized, gasPriceOracle);
+    return { l1FeeWei, l1GasUnits: 0n, params };
+  }
+
+  return { l1FeeWei: 0n, l1GasUnits: 0n, params: { l1BaseFeeWei: null, blobBaseFeeWei: null } };
+}
+
+/**
+ * Re-estimate a transaction with the access list returned by eth_createAccessList
+ * The list lowers execution gas for warm storage but adds bytes that are billed as L1 data,
+ * so both sides are priced at the gas price of the original estimation.
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {Object} transaction - Transaction request the estimation was made for
+ * @param {Object} estimation - Result of estimateTransaction for the same transaction
+ * @param {Object} options - Simulation and L1 pricing options
+ * @param {string} [options.feeModel] - 'op-stack' (default), 'arbitrum' or 'none'
+ * @param {string} [options.gasPriceOracle] - GasPriceOracle address
+ * @param {Object} [options.stateOverrides] - State overrides applied to every simulation
+ * @param {Array} [options.abi] - ABI used to decode custom errors
+ * @returns {Promise<Object>} Access list, gas and fees with the list, and the savings against the estimation
+ */
+async function estimateAccessList(provider, transaction, estimation, { feeModel = 'op-stack', gasPriceOracle, stateOverrides, abi }) {
+  const { accessList } = await createAccessList(provider, transaction, { stateOverrides });
+  const listed = { ...transaction, accessList };
+  const gasLimit = await simulateGas(provider, listed, { stateOverrides, abi });
+
+  // Price both versions with the same gas limit so the L1 difference is the list alone
+  const pricing = {
+    feeModel,
+    gasPriceOracle,
+    gasLimit,
+    chainId: BigInt(estimation.chainId),
+    maxFeePerGas: estimation.maxFeePerGasWei,
+    maxPriorityFeePerGas: estimation.priorityFeeWei
+  };
+  const [withList, withoutList] = await Promise.all([
+    estimateL1Cost(provider, listed, pricing),
+    estimateL1Cost(provider, transaction, pricing)
+  ]);
+
+  const gasUnits = gasLimit - withList.l1GasUnits;
+  const extraL1FeeWei = withList.l1FeeWei - withoutList.l1FeeWei;
+  const l1FeeWei = estimation.l1FeeWei + extraL1FeeWei;
+  const l2FeeWei = gasUnits * estimation.gasPriceWei;
+  const totalWei = l2FeeWei + l1FeeWei;
+
+  return {
+    entries: accessList,
+    addresses: accessList.length,
+    storageKeys: accessList.reduce((count, entry) => count + entry.storageKeys.length, 0),
+    gasLimit,
+    gasUnits: Number(gasUnits),
+    gasSavedUnits: estimation.gasUnits - Number(gasUnits),
+    l2FeeWei,
+    l1FeeWei,
+    extraL1FeeWei,
+    totalWei,
+    savingsWei: estimation.totalWei - totalWei,
+    worthIt: totalWei < estimation.totalWei,
+    l2FeeText: formatEthFromWei(l2FeeWei),
+    l1FeeText: formatEthFromWei(l1FeeWei),
+    extraL1FeeText: formatEthFromWei(extraL1FeeWei),
+    totalText: formatEthFromWei(totalWei)
+  };
+}
+
+/**
+ * Estimate the full cost of a transaction
+ * Combines the L2 execution fee (gasLimit * maxFeePerGas) with the L1 data fee
+ * charged for the serialized transaction bytes, priced according to the network's fee model
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Object} transaction - Transaction request (to, value, data, optional from); omit to for contract creation
+ * @param {Object} [options] - Estimation options, plus feeModel, gasPriceOracle, speed and feeWindow as in Connection
+ * @param {Object} [options.stateOverrides] - State overrides applied to the gas simulation
+ * @param {Array} [options.abi] - ABI used to decode custom errors if the simulation reverts
+ * @param {string} [options.serializedTx] - Exact serialized bytes to price for L1 instead of a synthetic unsigned transaction
+ * @param {boolean} [options.signed] - serializedTx already carries a signature
+ * @param {{gasLimit: bigint, maxFeePerGas: bigint}} [options.signedFees] - Gas limit and fee cap the transaction
+ *   already carries, used instead of the estimate for the sender's readiness check
+ * @returns {Promise<Object>} Gas estimation results; sender holds the readiness check (see checkSendReadiness)
+ *   when the transaction has a from address, null otherwise, and request the simulated transaction with its gas limit
+ */
+async function estimateTransaction(provider, transaction, {
+  feeModel = 'op-stack',
+  gasPriceOracle,
+  speed = 'standard',
+  feeWindow = DEFAULT_FEE_WINDOW,
+  stateOverrides,
+  abi,
+  serializedTx,
+  signed = false,
+  signedFees
+} = {}) {
+  validateSpeed(speed);
+
+  const simulate = async () => {
+    try {
+      return await simulateGas(provider, transaction, { stateOverrides, abi });
+    } catch (error) {
+      if (!transaction.from || classifyRpcError(error).code !== ERROR_CODES.INSUFFICIENT_FUNDS) {
+        throw error;
+      }
+      // An underfunded sender still gets an estimate; the readiness check reports the shortfall
+      const funded = buildStateOverrides(stateOverrides, [
+        { address: ethers.getAddress(transaction.from), balanceWei: ethers.parseEther(DEFAULT_OVERRIDE_BALANCE_ETH) }
+      ]);
+      return simulateGas(provider, transaction, { stateOverrides: funded, abi });
+    }
+  };
+
+  // Get current fee data (EIP-1559 compatible), gas limit, chain ID, latest block, fee history
+  // and, for a known sender, its balance and pending nonce
+  const [feeData, gasLimit, network, block, feeHistory, balanceWei, nonce] = await Promise.all([
+    provider.getFeeData(),
+    simulate(),
+    provider.getNetwork(),
+    provider.getBlock('latest'),
+    getFeeHistory(provider, feeWindow),
+    transaction.from ? provider.getBalance(transaction.from) : null,
+    transaction.from ? provider.getTransactionCount(transaction.from, 'pending') : null
+  ]);
+
+  // maxFeePerGas is the ceiling a wallet would sign; tiers are what is expected to be paid
+  const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+
+  if (!maxFeePerGas) {
+    throw new RpcError('Unable to fetch gas price from network');
+  }
+
+  const fees = computeFeeTiers(feeHistory);
+  const selected = fees.tiers[speed];
+
+  const { l1FeeWei, l1GasUnits, params } = await estimateL1Cost(provider, transaction, {
+    feeModel,
+    gasPriceOracle,
+    gasLimit,
+    chainId: network.chainId,
+    maxFeePerGas,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
+    serializedTx,
+    signed
+  });
+  const executionGas = gasLimit - l1GasUnits;
+
+  // Calculate L2 execution fee and total cost in wei for every tier
+  const feeTiers = {};
+  for (const tier of FEE_SPEEDS) {
+    const { percentile, priorityFeeWei, gasPriceWei } = fees.tiers[tier];
+    const tierL2FeeWei = executionGas * gasPriceWei;
+    const tierTotalWei = tierL2FeeWei + l1FeeWei;
+    feeTiers[tier] = {
+      percentile,
+      priorityFeeWei,
+      gasPriceWei,
+      l2FeeWei: tierL2FeeWei,
+      totalWei: tierTotalWei,
+      gasText: `${formatGweiFromWei(gasPriceWei)} Gwei`,
+      totalText: formatEthFromWei(tierTotalWei)
+    };
+  }
+
+  const { gasPriceWei, priorityFeeWei, l2FeeWei, totalWei } = feeTiers[speed];
+
+  // Arbitrum's L1 share is part of gasLimit; OP Stack bills the L1 fee on top of it
+  const sender = transaction.from
+    ? checkSendReadiness(
+      { address: ethers.getAddress(transaction.from), balanceWei, nonce },
+      {
+        valueWei: transaction.value || 0n,
+        gasLimit: signedFees ? signedFees.gasLimit : gasLimit,
+        maxFeePerGas: signedFees ? signedFees.maxFeePerGas : maxFeePerGas,
+        l1FeeWei: feeModel === 'arbitrum' ? 0n : l1FeeWei
+      }
+    )
+    : null;
+
+  // Format results for display
+  const gasUnits = Number(executionGas);
+  const gasText = `${formatGweiFromWei(gasPriceWei)} Gwei (${gasPriceWei.toString()} wei)`;
+
+  return {
+    gasUnits,
+    gasPriceWei,
+    baseFeeWei: block && block.baseFeePerGas !== null ? block.baseFeePerGas : null,
+    priorityFeeWei,
+    maxFeePerGasWei: maxFeePerGas,
+    nextBaseFeeWei: fees.nextBaseFeeWei,
+    baseFeeTrend: fees.baseFeeTrend,
+    feeWindow: fees.blocks,
+    speed,
+    feeTiers,
+    l2FeeWei,
+    l1FeeWei,
+    l1GasUnits: Number(l1GasUnits),
+    totalWei,
+    l1BaseFeeWei: params.l1BaseFeeWei,
+    blobBaseFeeWei: params.blobBaseFeeWei,
+    gasText,
+    l2FeeText: formatEthFromWei(l2FeeWei),
+    l1FeeText: formatEthFromWei(l1FeeWei),
+    totalText: formatEthFromWei(totalWei),
+    chainId: Number(network.chainId),
+    blockNumber: block ? block.number : null,
+    timestamp: block ? block.timestamp : null,
+    sender,
+    // What was simulated, kept so the transaction can be emitted for signing
+    request: {
+      to: transaction.to || null,
+      from: transaction.from || null,
+      value: transaction.value || 0n,
+      data: transaction.data || '0x',
+      accessList: transaction.accessList || null,
+      gasLimit
+    }
+  };
+}
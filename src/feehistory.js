@@ -0,0 +1,245 @@
+/**
+ * Fee History Module
+ * Collects base fees, priority fee percentiles and L1 fee parameters over a block range
+ * and summarizes them as min / median / p90 / max and by hour of day
+ *
+ * eth_feeHistory carries no timestamps, so block times are interpolated between the
+ * first and last block of the range; OP Stack chains produce blocks at a fixed interval.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { getL1FeeParams } from './l1fee.js';
+import { FEE_SPEEDS, MAX_FEE_WINDOW, getFeeHistory, percentileBigInt } from './fees.js';
+import { ValidationError, RpcError, ERROR_CODES } from './errors.js';
+
+/**
+ * Largest block range accepted by the history command (about six days of Base blocks)
+ */
+export const MAX_HISTORY_BLOCKS = 250000;
+
+/**
+ * Number of blocks at which the GasPriceOracle is sampled for L1 fee parameters
+ */
+export const L1_SAMPLE_COUNT = 24;
+
+/**
+ * eth_feeHistory requests sent at the same time
+ */
+const FETCH_CONCURRENCY = 4;
+
+/**
+ * Validate a block range and return its bounds
+ *
+ * @param {Object} range - Requested range
+ * @param {number} [range.blocks] - Number of most recent blocks
+ * @param {number} [range.fromBlock] - First block
+ * @param {number} [range.toBlock] - Last block, defaults to the latest block
+ * @param {number} latestBlock - Latest block number on the chain
+ * @returns {{fromBlock: number, toBlock: number}} Inclusive block range
+ * @throws {ValidationError} If the range is missing, ambiguous, inverted or too large
+ *
+ * @example
+ * resolveBlockRange({ blocks: 100 }, 5000); // { fromBlock: 4901, toBlock: 5000 }
+ */
+export function resolveBlockRange({ blocks, fromBlock, toBlock }, latestBlock) {
+  const invalid = (message, hint) => new ValidationError(ERROR_CODES.INVALID_ARGUMENT, message, { hint });
+  const isBlockNumber = (value) => Number.isSafeInteger(value) && value >= 0;
+
+  if (blocks !== undefined && (fromBlock !== undefined || toBlock !== undefined)) {
+    throw invalid('Provide either --blocks or --from-block/--to-block, not both');
+  }
+
+  let range;
+  if (blocks !== undefined) {
+    if (!Number.isSafeInteger(blocks) || blocks < 1) {
+      throw invalid(`Invalid block count "${blocks}"`, 'Please provide a whole number of blocks (e.g., --blocks 1800)');
+    }
+    range = { fromBlock: Math.max(latestBlock - blocks + 1, 0), toBlock: latestBlock };
+  } else if (fromBlock !== undefined) {
+    const last = toBlock === undefined ? latestBlock : toBlock;
+    if (!isBlockNumber(fromBlock) || !isBlockNumber(last)) {
+      throw invalid('Invalid block range', 'Block numbers must be non-negative whole numbers');
+    }
+    if (fromBlock > last) {
+      throw invalid(`Invalid block range: ${fromBlock} is after ${last}`);
+    }
+    if (last > latestBlock) {
+      throw invalid(`Block ${last} is beyond the latest block (${latestBlock})`);
+    }
+    range = { fromBlock, toBlock: last };
+  } else {
+    throw invalid('No block range given', 'Use --blocks N for the most recent blocks, or --from-block and --to-block');
+  }
+
+  const count = range.toBlock - range.fromBlock + 1;
+  if (count > MAX_HISTORY_BLOCKS) {
+    throw invalid(`Block range too large (${count.toLocaleString()} blocks)`, `Please request at most ${MAX_HISTORY_BLOCKS.toLocaleString()} blocks`);
+  }
+  return range;
+}
+
+/**
+ * Fetch per-block fee data for an inclusive block range
+ * The range is split into eth_feeHistory windows of at most MAX_FEE_WINDOW blocks
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {Object} [options] - Fetch options
+ * @param {function(number, number): void} [options.onProgress] - Called with blocks fetched and total blocks
+ * @returns {Promise<Array<{blockNumber: number, baseFeeWei: bigint, gasUsedRatio: number, priorityFeesWei: Object<string, bigint>}>>} One record per block
+ * @throws {RpcError} If the endpoint returns a malformed or short fee history
+ */
+export async function fetchBlockFees(provider, fromBlock, toBlock, { onProgress } = {}) {
+  const windows = [];
+  for (let end = toBlock; end >= fromBlock; end -= MAX_FEE_WINDOW) {
+    windows.push({ start: Math.max(end - MAX_FEE_WINDOW + 1, fromBlock), end });
+  }
+
+  const total = toBlock - fromBlock + 1;
+  const records = [];
+  let fetched = 0;
+
+  for (let index = 0; index < windows.length; index += FETCH_CONCURRENCY) {
+    const batch = windows.slice(index, index + FETCH_CONCURRENCY);
+    const histories = await Promise.all(batch.map(({ start, end }) => getFeeHistory(provider, end - start + 1, end)));
+
+    histories.forEach((history, position) => {
+      const { start, end } = batch[position];
+      const count = end - start + 1;
+      if (!history || !Array.isArray(history.baseFeePerGas) || history.baseFeePerGas.length < count || !Array.isArray(history.reward)) {
+        throw new RpcError(`RPC endpoint returned an invalid fee history for blocks ${start}-${end}`, {
+          hint: 'The endpoint may not keep fee history this far back; try a more recent range'
+        });
+      }
+
+      for (let offset = 0; offset < count; offset++) {
+        const rewards = history.reward[offset] || [];
+        const priorityFeesWei = {};
+        FEE_SPEEDS.forEach((speed, column) => {
+          priorityFeesWei[speed] = BigInt(rewards[column] || 0);
+        });
+        records.push({
+          blockNumber: start + offset,
+          baseFeeWei: BigInt(history.baseFeePerGas[offset]),
+          gasUsedRatio: history.gasUsedRatio ? Number(history.gasUsedRatio[offset]) : 1,
+          priorityFeesWei
+        });
+      }
+      fetched += count;
+    });
+
+    if (onProgress) {
+      onProgress(fetched, total);
+    }
+  }
+
+  return records.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Read GasPriceOracle parameters at evenly spaced blocks of a range
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {string} [oracleAddress] - GasPriceOracle address
+ * @returns {Promise<Array<{blockNumber: number, l1BaseFeeWei: bigint, blobBaseFeeWei: bigint}>>} Samples in block order
+ */
+export async function sampleL1FeeParams(provider, fromBlock, toBlock, oracleAddress) {
+  const span = toBlock - fromBlock;
+  const count = Math.min(L1_SAMPLE_COUNT, span + 1);
+  const blockNumbers = [...new Set(Array.from({ length: count }, (_, index) => (
+    count === 1 ? toBlock : fromBlock + Math.round((span * index) / (count - 1))
+  )))];
+
+  return Promise.all(blockNumbers.map(async (blockNumber) => {
+    const { l1BaseFeeWei, blobBaseFeeWei } = await getL1FeeParams(provider, oracleAddress, blockNumber);
+    return { blockNumber, l1BaseFeeWei, blobBaseFeeWei };
+  }));
+}
+
+/**
+ * Minimum, median, 90th percentile and maximum of a list of wei amounts
+ *
+ * @param {Array<bigint>} values - Values
+ * @returns {{min: bigint, median: bigint, p90: bigint, max: bigint, count: number}|null} Statistics, null for an empty list
+ *
+ * @example
+ * summarizeValues([1n, 2n, 3n, 4n]); // { min: 1n, median: 2n, p90: 4n, max: 4n, count: 4 }
+ */
+export function summarizeValues(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return {
+    min: percentileBigInt(values, 0),
+    median: percentileBigInt(values, 50),
+    p90: percentileBigInt(values, 90),
+    max: percentileBigInt(values, 100),
+    count: values.length
+  };
+}
+
+/**
+ * Summarize per-block fee data
+ * Empty blocks (gasUsedRatio 0) report zero rewards and are left out of the priority fee
+ * and gas price statistics, as in computeFeeTiers
+ *
+ * @param {Array<Object>} records - Result of fetchBlockFees, with a timestamp on each record
+ * @param {Object} [options] - Summary options
+ * @param {string} [options.speed] - Tier whose priority fee is added to the base fee for gas prices, defaults to 'standard'
+ * @param {Array<Object>} [options.l1Samples] - Result of sampleL1FeeParams
+ * @returns {Object} Statistics per metric and an hour-of-day (UTC) breakdown
+ *
+ * @example
+ * const { stats, hourly, cheapestHour } = summarizeFeeHistory(records, { speed: 'fast' });
+ * stats.baseFee.p90; // 1200000n
+ */
+export function summarizeFeeHistory(records, { speed = 'standard', l1Samples = [] } = {}) {
+  const usedBlocks = records.filter((record) => record.gasUsedRatio > 0);
+  const gasPrice = (record) => record.baseFeeWei + record.priorityFeesWei[speed];
+
+  const stats = {
+    baseFee: summarizeValues(records.map((record) => record.baseFeeWei)),
+    gasPrice: summarizeValues(usedBlocks.map(gasPrice))
+  };
+  for (const tier of FEE_SPEEDS) {
+    stats[`${tier}PriorityFee`] = summarizeValues(usedBlocks.map((record) => record.priorityFeesWei[tier]));
+  }
+  stats.l1BaseFee = summarizeValues(l1Samples.map((sample) => sample.l1BaseFeeWei));
+  stats.blobBaseFee = summarizeValues(l1Samples.map((sample) => sample.blobBaseFeeWei));
+
+  const byHour = new Map();
+  for (const record of records) {
+    const hour = new Date(record.timestamp * 1000).getUTCHours();
+    if (!byHour.has(hour)) {
+      byHour.set(hour, []);
+    }
+    byHour.get(hour).push(record);
+  }
+
+  const hourly = [...byHour.keys()].sort((a, b) => a - b).map((hour) => {
+    const hourRecords = byHour.get(hour);
+    const hourUsed = hourRecords.filter((record) => record.gasUsedRatio > 0);
+    const medianBaseFeeWei = percentileBigInt(hourRecords.map((record) => record.baseFeeWei), 50);
+    return {
+      hour,
+      blocks: hourRecords.length,
+      medianBaseFeeWei,
+      medianGasPriceWei: hourUsed.length ? percentileBigInt(hourUsed.map(gasPrice), 50) : medianBaseFeeWei,
+      p90GasPriceWei: hourUsed.length ? percentileBigInt(hourUsed.map(gasPrice), 90) : medianBaseFeeWei
+    };
+  });
+
+  const cheapest = hourly.reduce((best, entry) => (!best || entry.medianGasPriceWei < best.medianGasPriceWei ? entry : best), null);
+
+  return {
+    speed,
+    stats,
+    hourly,
+    cheapestHour: cheapest ? cheapest.hour : null
+  };
+}
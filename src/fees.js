@@ -0,0 +1,166 @@
+/**
+ * Fee Tiers Module
+ * Derives slow / standard / fast gas prices from eth_feeHistory
+ *
+ * Each tier is the next block's base fee plus the median, across the block window,
+ * of a per-block priority fee percentile. This is what a transaction is expected to
+ * pay, unlike maxFeePerGas which is only a ceiling.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, RpcError, ERROR_CODES } from './errors.js';
+
+/**
+ * Supported fee speeds, slowest first
+ */
+export const FEE_SPEEDS = ['slow', 'standard', 'fast'];
+
+/**
+ * Priority fee reward percentile used for each speed
+ */
+export const FEE_SPEED_PERCENTILES = {
+  slow: 10,
+  standard: 50,
+  fast: 90
+};
+
+/**
+ * Default number of recent blocks sampled by eth_feeHistory
+ */
+export const DEFAULT_FEE_WINDOW = 20;
+
+/**
+ * Largest block window accepted by common eth_feeHistory implementations
+ */
+export const MAX_FEE_WINDOW = 1024;
+
+/**
+ * Base fee change, in percent, beyond which the trend counts as rising or falling
+ */
+const TREND_THRESHOLD_PERCENT = 5;
+
+/**
+ * Validate a fee speed name
+ *
+ * @param {string} speed - Speed name
+ * @returns {string} The speed
+ * @throws {ValidationError} If the speed is unknown
+ */
+export function validateSpeed(speed) {
+  if (!FEE_SPEEDS.includes(speed)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid speed "${speed}"`, {
+      hint: `Supported speeds: ${FEE_SPEEDS.join(', ')}`
+    });
+  }
+  return speed;
+}
+
+/**
+ * Validate a fee history block window
+ *
+ * @param {number} blocks - Number of blocks
+ * @returns {number} The window
+ * @throws {ValidationError} If the window is not between 1 and 1024
+ */
+export function validateFeeWindow(blocks) {
+  if (!Number.isInteger(blocks) || blocks < 1 || blocks > MAX_FEE_WINDOW) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid fee window "${blocks}"`, {
+      hint: `Please provide a whole number of blocks between 1 and ${MAX_FEE_WINDOW}`
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Nearest-rank percentile of a list of bigints
+ *
+ * @param {Array<bigint>} values - Values
+ * @param {number} percentile - Percentile between 0 and 100; 50 gives the median (lower middle for even counts)
+ * @returns {bigint} Percentile value, 0n for an empty list
+ *
+ * @example
+ * percentileBigInt([1n, 2n, 3n, 4n], 50); // 2n
+ * percentileBigInt([1n, 2n, 3n, 4n], 90); // 4n
+ */
+export function percentileBigInt(values, percentile) {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const rank = Math.max(Math.ceil((percentile / 100) * sorted.length), 1);
+  return sorted[rank - 1];
+}
+
+/**
+ * Fetch fee history for a window of blocks
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {number} [blocks] - Number of blocks to sample, defaults to DEFAULT_FEE_WINDOW
+ * @param {number|string} [newestBlock] - Last block of the window, defaults to 'latest'
+ * @returns {Promise<Object>} Raw eth_feeHistory result for the speed percentiles
+ */
+export async function getFeeHistory(provider, blocks = DEFAULT_FEE_WINDOW, newestBlock = 'latest') {
+  validateFeeWindow(blocks);
+  const percentiles = FEE_SPEEDS.map((speed) => FEE_SPEED_PERCENTILES[speed]);
+  const newest = typeof newestBlock === 'number' ? ethers.toQuantity(newestBlock) : newestBlock;
+  return provider.send('eth_feeHistory', [ethers.toQuantity(blocks), newest, percentiles]);
+}
+
+/**
+ * Compute slow / standard / fast fee tiers from an eth_feeHistory result
+ * Empty blocks (gasUsedRatio 0) report zero rewards and are left out of the medians
+ *
+ * @param {Object} history - eth_feeHistory result requested with FEE_SPEED_PERCENTILES
+ * @returns {{nextBaseFeeWei: bigint, blocks: number, oldestBlock: number, baseFeeTrend: {changePercent: number, direction: string}, tiers: Object<string, {percentile: number, priorityFeeWei: bigint, gasPriceWei: bigint}>}} Fee tiers
+ * @throws {RpcError} If the history is malformed
+ *
+ * @example
+ * const { tiers } = computeFeeTiers(await getFeeHistory(provider, 20));
+ * tiers.fast.gasPriceWei; // 3001000n
+ */
+export function computeFeeTiers(history) {
+  if (!history || !Array.isArray(history.baseFeePerGas) || history.baseFeePerGas.length < 2 || !Array.isArray(history.reward)) {
+    throw new RpcError('RPC endpoint returned an invalid fee history');
+  }
+
+  const baseFees = history.baseFeePerGas.map((fee) => BigInt(fee));
+  // The last entry is the base fee of the next, not yet produced, block
+  const nextBaseFeeWei = baseFees[baseFees.length - 1];
+  const windowBaseFees = baseFees.slice(0, -1);
+
+  const usedBlocks = history.reward.filter((rewards, index) => !history.gasUsedRatio || history.gasUsedRatio[index] > 0);
+  const rewards = usedBlocks.length ? usedBlocks : history.reward;
+
+  const tiers = {};
+  FEE_SPEEDS.forEach((speed, column) => {
+    const priorityFeeWei = percentileBigInt(rewards.map((row) => BigInt(row[column] || 0)), 50);
+    tiers[speed] = {
+      percentile: FEE_SPEED_PERCENTILES[speed],
+      priorityFeeWei,
+      gasPriceWei: nextBaseFeeWei + priorityFeeWei
+    };
+  });
+
+  // Trend: next base fee against the window average
+  const averageBaseFee = windowBaseFees.reduce((sum, fee) => sum + fee, 0n) / BigInt(windowBaseFees.length);
+  const changePercent = averageBaseFee === 0n
+    ? 0
+    : Number(((nextBaseFeeWei - averageBaseFee) * 10000n) / averageBaseFee) / 100;
+  let direction = 'stable';
+  if (changePercent > TREND_THRESHOLD_PERCENT) {
+    direction = 'rising';
+  } else if (changePercent < -TREND_THRESHOLD_PERCENT) {
+    direction = 'falling';
+  }
+
+  return {
+    nextBaseFeeWei,
+    blocks: windowBaseFees.length,
+    oldestBlock: Number(history.oldestBlock),
+    baseFeeTrend: { changePercent, direction },
+    tiers
+  };
+}
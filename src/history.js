@@ -0,0 +1,60 @@
+/**
+ * History Report Module
+ * Renders the `history` command report; the statistics come from feehistory.js
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { FEE_SPEEDS } from './fees.js';
+import { formatGasPrice, formatInteger } from './utils.js';
+
+/**
+ * Render a fee history analysis as lines of text
+ *
+ * @param {Object} history - Result of analyzeFeeHistory
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.network] - Network name shown in the header
+ * @returns {Array<string>} Report lines
+ *
+ * @example
+ * console.log(formatHistory(history, { network: 'Base Mainnet' }).join('\n'));
+ */
+export function formatHistory(history, { network } = {}) {
+  const time = (timestamp) => new Date(timestamp * 1000).toISOString().replace('T', ' ').replace(/:\d\d\.\d+Z$/, ' UTC');
+  const hour = (value) => `${String(value).padStart(2, '0')}:00`;
+  const metrics = [
+    ['Base Fee', history.stats.baseFee],
+    ...FEE_SPEEDS.map((tier) => [`Priority Fee (${tier})`, history.stats[`${tier}PriorityFee`]]),
+    [`Gas Price (${history.speed})`, history.stats.gasPrice],
+    ['L1 Base Fee', history.stats.l1BaseFee],
+    ['Blob Base Fee', history.stats.blobBaseFee]
+  ];
+
+  const lines = [
+    `Fee History: ${network || `Chain ${history.chainId}`}, blocks ${formatInteger(history.fromBlock)}–${formatInteger(history.toBlock)} (${formatInteger(history.blocks)} blocks)`,
+    `${time(history.fromTimestamp)} → ${time(history.toTimestamp)}`,
+    '',
+    `${'Metric'.padEnd(26)}${['Min', 'Median', 'P90', 'Max'].map((label) => label.padEnd(18)).join('')}`.trimEnd()
+  ];
+
+  for (const [label, stats] of metrics) {
+    const cells = stats
+      ? [stats.min, stats.median, stats.p90, stats.max].map((wei) => formatGasPrice(wei).padEnd(18)).join('')
+      : 'n/a';
+    lines.push(`${label.padEnd(26)}${cells}`.trimEnd());
+  }
+
+  if (history.l1Unavailable) {
+    lines.push(`L1 fee parameters unavailable: ${history.l1Unavailable}`);
+  }
+
+  lines.push('', `By Hour (UTC, gas price at ${history.speed}):`);
+  lines.push(`  ${'Hour'.padEnd(7)}${'Blocks'.padEnd(10)}${'Median Base Fee'.padEnd(20)}${'Median Gas Price'.padEnd(20)}P90 Gas Price`);
+  for (const entry of history.hourly) {
+    const marker = entry.hour === history.cheapestHour && history.hourly.length > 1 ? ' ← cheapest' : '';
+    lines.push(`  ${hour(entry.hour).padEnd(7)}${formatInteger(entry.blocks).padEnd(10)}${formatGasPrice(entry.medianBaseFeeWei).padEnd(20)}${formatGasPrice(entry.medianGasPriceWei).padEnd(20)}${formatGasPrice(entry.p90GasPriceWei)}${marker}`);
+  }
+
+  return lines;
+}
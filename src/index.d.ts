@@ -0,0 +1,1096 @@
+/**
+ * Type definitions for base-gas-estimator
+ */
+
+/** Built-in network names; config-defined networks use any other string */
+export type NetworkName = 'base' | 'base-sepolia' | (string & {});
+
+export type L1FeeFormula = 'bedrock' | 'ecotone' | 'fjord';
+
+/** How a network charges for L1 data: GasPriceOracle, Arbitrum NodeInterface gas, or not at all */
+export type FeeModel = 'op-stack' | 'arbitrum' | 'none';
+
+export type ErrorCode =
+  | 'INVALID_ADDRESS'
+  | 'INVALID_VALUE'
+  | 'INVALID_NETWORK'
+  | 'INVALID_ARGUMENT'
+  | 'UNKNOWN_TOKEN'
+  | 'FILE_ERROR'
+  | 'INVALID_CONFIG'
+  | 'CHAIN_ID_MISMATCH'
+  | 'INSUFFICIENT_FUNDS'
+  | 'EXECUTION_REVERTED'
+  | 'NETWORK_ERROR'
+  | 'RPC_ERROR'
+  | 'PRICE_UNAVAILABLE'
+  | 'UNKNOWN_ERROR';
+
+export type FeeSpeed = 'slow' | 'standard' | 'fast';
+
+export interface BaseFeeTrend {
+  /** Next block's base fee against the window average, in percent */
+  changePercent: number;
+  direction: 'rising' | 'falling' | 'stable';
+}
+
+export interface FeeTier {
+  percentile: number;
+  priorityFeeWei: bigint;
+  /** Expected effective gas price: next base fee + priority fee */
+  gasPriceWei: bigint;
+}
+
+export interface FeeTierCost extends FeeTier {
+  l2FeeWei: bigint;
+  totalWei: bigint;
+  gasText: string;
+  totalText: string;
+}
+
+export interface FeeTiers {
+  nextBaseFeeWei: bigint;
+  blocks: number;
+  oldestBlock: number;
+  baseFeeTrend: BaseFeeTrend;
+  tiers: Record<FeeSpeed, FeeTier>;
+}
+
+export interface Estimation {
+  gasUnits: number;
+  /** Effective gas price of the selected speed */
+  gasPriceWei: bigint;
+  baseFeeWei: bigint | null;
+  priorityFeeWei: bigint;
+  maxFeePerGasWei: bigint;
+  nextBaseFeeWei: bigint;
+  baseFeeTrend: BaseFeeTrend;
+  feeWindow: number;
+  speed: FeeSpeed;
+  feeTiers: Record<FeeSpeed, FeeTierCost>;
+  l2FeeWei: bigint;
+  l1FeeWei: bigint;
+  /** Gas Arbitrum bills for L1 data on top of gasUnits; 0 on other networks */
+  l1GasUnits: number;
+  totalWei: bigint;
+  /** Null on networks without an L1 data fee */
+  l1BaseFeeWei: bigint | null;
+  /** Null outside the OP Stack */
+  blobBaseFeeWei: bigint | null;
+  gasText: string;
+  l2FeeText: string;
+  l1FeeText: string;
+  totalText: string;
+  chainId: number;
+  blockNumber: number | null;
+  timestamp: number | null;
+  /** Set when the estimate has a from address */
+  sender: SendReadiness | null;
+  /** The transaction that was simulated, with its simulated gas limit */
+  request: SimulatedRequest;
+}
+
+export interface SimulatedRequest {
+  /** Null for deployments */
+  to: string | null;
+  from: string | null;
+  value: bigint;
+  data: string;
+  accessList: AccessListEntry[] | null;
+  gasLimit: bigint;
+}
+
+/** An unsigned EIP-1559 transaction built from an estimate, ready for a signer */
+export interface UnsignedTransaction {
+  type: 2;
+  chainId: number;
+  /** Pending nonce of the sender; null when the estimate has no from address */
+  nonce: number | null;
+  to: string | null;
+  value: bigint;
+  data: string;
+  accessList: AccessListEntry[];
+  /** Simulated gas limit plus the gas buffer */
+  gasLimit: bigint;
+  maxFeePerGas: bigint;
+  maxPriorityFeePerGas: bigint;
+}
+
+export type EmitFormat = 'json' | 'rlp' | 'uri';
+
+/** Whether a sender can afford a transaction with every unit of gas billed at the fee cap */
+export interface SendReadiness {
+  address: string;
+  balanceWei: bigint;
+  /** Pending nonce, the one the next transaction will use */
+  nonce: number;
+  valueWei: bigint;
+  /** gasLimit × maxFeePerGas, plus the L1 fee on OP Stack networks */
+  worstCaseFeeWei: bigint;
+  requiredWei: bigint;
+  canSend: boolean;
+  /** 0 when the sender can send */
+  missingWei: bigint;
+  /** Largest value a send-all transfer can carry after the worst-case fee */
+  maxSendableWei: bigint;
+  balanceText: string;
+  worstCaseFeeText: string;
+  requiredText: string;
+  missingText: string;
+  maxSendableText: string;
+}
+
+export interface AccessListEntry {
+  address: string;
+  storageKeys: string[];
+}
+
+/** A call re-estimated with the list from eth_createAccessList, priced at the same gas price */
+export interface AccessListComparison {
+  entries: AccessListEntry[];
+  addresses: number;
+  storageKeys: number;
+  /** Gas limit simulated with the list */
+  gasLimit: bigint;
+  gasUnits: number;
+  /** Negative when the list costs more gas than it saves */
+  gasSavedUnits: number;
+  l2FeeWei: bigint;
+  l1FeeWei: bigint;
+  /** L1 data fee added by the list bytes */
+  extraL1FeeWei: bigint;
+  totalWei: bigint;
+  /** Negative when the transaction is cheaper without the list */
+  savingsWei: bigint;
+  worthIt: boolean;
+  l2FeeText: string;
+  l1FeeText: string;
+  extraL1FeeText: string;
+  totalText: string;
+}
+
+export interface CallEstimation extends Estimation {
+  /** Present when generateAccessList is set */
+  accessList?: AccessListComparison;
+}
+
+export interface TokenInfo {
+  address: string;
+  symbol: string | null;
+  decimals: number;
+}
+
+export interface TokenEstimation extends Estimation {
+  token: TokenInfo;
+  amountUnits: bigint;
+}
+
+export interface DeploymentEstimation extends Estimation {
+  initCodeSize: number;
+}
+
+export interface RawTransaction {
+  type: 0 | 1 | 2;
+  typeName: 'legacy' | 'eip-2930' | 'eip-1559';
+  signed: boolean;
+  /** Null for unsigned transactions */
+  hash: string | null;
+  /** Recovered signer, or the given sender for unsigned transactions */
+  from: string | null;
+  /** Null for contract creation */
+  to: string | null;
+  nonce: number;
+  /** 0 for pre-EIP-155 legacy transactions */
+  chainId: number;
+  gasLimit: bigint;
+  /** maxFeePerGas for EIP-1559, gasPrice otherwise */
+  feeCapWei: bigint;
+  maxPriorityFeePerGasWei: bigint | null;
+  valueWei: bigint;
+  dataSize: number;
+  serializedSize: number;
+}
+
+export interface RawTransactionEstimation extends Estimation {
+  rawTransaction: RawTransaction;
+  checks: {
+    gasLimitSufficient: boolean;
+    /** The fee cap covers the next block's base fee */
+    feeCapSufficient: boolean;
+  };
+  /** Effective gas price the transaction's own fee fields pay in the next block */
+  ownGasPriceWei: bigint;
+  /** Estimated gas at ownGasPriceWei plus the L1 data fee */
+  ownCostWei: bigint;
+  ownCostText: string;
+}
+
+export interface FeeSnapshot {
+  chainId: number;
+  blockNumber: number | null;
+  timestamp: number | null;
+  baseFeeWei: bigint | null;
+  priorityFeeWei: bigint;
+  maxFeePerGasWei: bigint | null;
+  gasPriceWei: bigint | null;
+  /** The L1 fields are null outside the OP Stack */
+  l1BaseFeeWei: bigint | null;
+  blobBaseFeeWei: bigint | null;
+  baseFeeScalar: bigint | null;
+  blobBaseFeeScalar: bigint | null;
+  l1FeeFormula: L1FeeFormula | null;
+}
+
+export interface ReferenceCost {
+  label: string;
+  gasUnits: number;
+  l2FeeWei: bigint;
+  l1FeeWei: bigint;
+  totalWei: bigint;
+  totalText: string;
+}
+
+export type ReferenceTransaction = 'transfer' | 'swap';
+
+export interface GasDashboard {
+  chainId: number;
+  blockNumber: number;
+  timestamp: number;
+  baseFeeWei: bigint;
+  nextBaseFeeWei: bigint;
+  baseFeeTrend: BaseFeeTrend;
+  feeWindow: number;
+  feeTiers: Record<FeeSpeed, FeeTier>;
+  l1BaseFeeWei: bigint;
+  blobBaseFeeWei: bigint;
+  l1FeeFormula: L1FeeFormula;
+  /** Tier used to price the reference transactions */
+  speed: FeeSpeed;
+  references: Record<ReferenceTransaction, ReferenceCost>;
+}
+
+export interface ValueStats {
+  min: bigint;
+  median: bigint;
+  p90: bigint;
+  max: bigint;
+  count: number;
+}
+
+export interface BlockFeeRecord {
+  blockNumber: number;
+  /** Interpolated between the first and last block of the range */
+  timestamp: number;
+  baseFeeWei: bigint;
+  gasUsedRatio: number;
+  priorityFeesWei: Record<FeeSpeed, bigint>;
+}
+
+export interface L1FeeSample {
+  blockNumber: number;
+  timestamp: number;
+  l1BaseFeeWei: bigint;
+  blobBaseFeeWei: bigint;
+}
+
+export interface HourlyFees {
+  /** Hour of day, UTC */
+  hour: number;
+  blocks: number;
+  medianBaseFeeWei: bigint;
+  medianGasPriceWei: bigint;
+  p90GasPriceWei: bigint;
+}
+
+export interface FeeHistorySummary {
+  speed: FeeSpeed;
+  stats: {
+    baseFee: ValueStats | null;
+    gasPrice: ValueStats | null;
+    slowPriorityFee: ValueStats | null;
+    standardPriorityFee: ValueStats | null;
+    fastPriorityFee: ValueStats | null;
+    l1BaseFee: ValueStats | null;
+    blobBaseFee: ValueStats | null;
+  };
+  hourly: HourlyFees[];
+  cheapestHour: number | null;
+}
+
+export interface FeeHistoryAnalysis extends FeeHistorySummary {
+  chainId: number;
+  fromBlock: number;
+  toBlock: number;
+  blocks: number;
+  fromTimestamp: number;
+  toTimestamp: number;
+  /** Why L1 statistics are missing (historical oracle reads need an archive node) */
+  l1Unavailable: string | null;
+  l1Samples: L1FeeSample[];
+  records: BlockFeeRecord[];
+}
+
+export interface FeeHistoryParams {
+  /** Most recent N blocks; alternative to fromBlock/toBlock */
+  blocks?: number;
+  fromBlock?: number;
+  /** Defaults to the latest block */
+  toBlock?: number;
+  /** Tier added to the base fee for gas price statistics */
+  speed?: FeeSpeed;
+  onProgress?: (fetched: number, total: number) => void;
+  /** Read the GasPriceOracle at sampled blocks (archive reads); defaults to true */
+  sampleL1?: boolean;
+}
+
+export type BatchType = 'transfer' | 'token-transfer' | 'call';
+
+/** A parsed batch file row before validation */
+export interface BatchInputRow {
+  /** 1-based position in the file */
+  line: number;
+  fields: Record<string, unknown>;
+}
+
+/** A validated batch row; fields are kept as given in the file */
+export interface BatchRow {
+  type: BatchType;
+  to: string;
+  value?: string;
+  token?: string;
+  amount?: string;
+  from?: string;
+  data?: string;
+}
+
+export interface BatchResult {
+  line: number;
+  /** Row as written in the file */
+  fields: Record<string, unknown>;
+  /** Null when the row itself failed validation */
+  row: BatchRow | null;
+  estimation: Estimation | null;
+  error: EstimatorError | null;
+}
+
+export interface BatchSummary {
+  rows: number;
+  succeeded: number;
+  failed: number;
+  gasUnits: number;
+  l2FeeWei: bigint;
+  l1FeeWei: bigint;
+  totalWei: bigint;
+}
+
+export interface BatchParams extends FeeParams, SimulationParams {
+  /** Rows estimated at once; defaults to 5 */
+  concurrency?: number;
+  /** Sender for rows without one */
+  from?: string;
+  onProgress?: (done: number, total: number) => void;
+}
+
+export interface ComparisonResult {
+  network: string;
+  name: string;
+  feeModel: FeeModel;
+  baseline: boolean;
+  estimation: Estimation | null;
+  /** totalWei divided by all gas units, L1 data included */
+  effectiveGasPriceWei: bigint | null;
+  /** Negative when more expensive than the baseline */
+  savingsPercent: number | null;
+  error: EstimatorError | null;
+}
+
+export interface ComparisonParams extends FeeParams, SimulationParams {
+  /** Network key; defaults to ethereum when compared, otherwise the first network */
+  baseline?: string;
+  rpcOptions?: RpcOptions;
+}
+
+export interface L1FeeParams {
+  l1BaseFeeWei: bigint;
+  blobBaseFeeWei: bigint;
+  baseFeeScalar: bigint;
+  blobBaseFeeScalar: bigint;
+  upgrade: L1FeeFormula;
+}
+
+/** Lower-case ISO 4217 code (e.g. 'usd', 'eur') or 'usdc' */
+export type QuoteCurrency = string;
+
+export interface PriceProvider {
+  name: string;
+  getPrice(currency?: QuoteCurrency): Promise<number>;
+}
+
+export interface PriceQuote {
+  price: number;
+  source: string;
+  currency: QuoteCurrency;
+  /** Seconds since the price was fetched; 0 unless it came from the cache */
+  ageSeconds: number;
+  /** An expired cached price, returned because every provider failed */
+  stale: boolean;
+}
+
+export interface TransferParams extends FeeParams, SimulationParams {
+  to: string;
+  valueEth: string;
+  from?: string;
+}
+
+export interface CallParams extends FeeParams, SimulationParams {
+  to: string;
+  signature?: string;
+  abi?: ReadonlyArray<unknown>;
+  functionName?: string;
+  args?: ReadonlyArray<unknown>;
+  /** Raw hex calldata, instead of a signature or ABI */
+  data?: string;
+  valueEth?: string;
+  from?: string;
+  /** Also estimate with an access list from eth_createAccessList */
+  generateAccessList?: boolean;
+}
+
+export interface TokenTransferParams extends FeeParams, SimulationParams {
+  token: string;
+  to: string;
+  amount: string;
+  from?: string;
+}
+
+export interface TokenApprovalParams extends FeeParams, SimulationParams {
+  token: string;
+  spender: string;
+  /** Whole token units, or 'max' for an unlimited approval */
+  amount: string;
+  from?: string;
+}
+
+export interface DeploymentParams extends FeeParams, SimulationParams {
+  bytecode: string;
+  abi?: ReadonlyArray<unknown>;
+  args?: ReadonlyArray<unknown>;
+  valueEth?: string;
+  from?: string;
+}
+
+export interface RawTransactionParams extends FeeParams, SimulationParams {
+  /** Hex-encoded serialized transaction (legacy, EIP-2930 or EIP-1559) */
+  serialized: string;
+  /** Sender to estimate against when the transaction is unsigned */
+  from?: string;
+  /** ABI used to decode custom errors if the transaction reverts */
+  abi?: ReadonlyArray<unknown>;
+}
+
+/** A network entry as written in ~/.base-gas/config.json or .basegasrc */
+export interface NetworkDefinition {
+  name?: string;
+  chainId?: number;
+  rpcUrls?: string[];
+  /** Defaults to 'op-stack' */
+  feeModel?: FeeModel;
+  gasPriceOracle?: string;
+  ethUsdFeed?: string;
+}
+
+export interface ResolvedNetwork {
+  key: string;
+  name: string;
+  chainId: number;
+  rpcUrl: string;
+  rpcUrls: string[];
+  feeModel: FeeModel;
+  gasPriceOracle: string;
+  ethUsdFeed: string | null;
+}
+
+export interface RpcOptions {
+  /** Retries per endpoint for timeouts, dropped connections, 429 and 5xx; default 2 */
+  retries?: number;
+  /** Per-request timeout in milliseconds; default 10000 */
+  timeoutMs?: number;
+  /** First retry delay in milliseconds, doubled on each retry; default 250 */
+  backoffMs?: number;
+  /** Receives retry, failover and answering-endpoint messages */
+  log?: (message: string) => void;
+  /** Reuses chain IDs and head-of-chain fee data across requests and processes */
+  cache?: Cache;
+}
+
+export type CacheKind = 'price' | 'chainId' | 'fees';
+
+export interface CacheEntry {
+  value: unknown;
+  ageSeconds: number;
+  /** Younger than the TTL of its kind */
+  fresh: boolean;
+}
+
+/** On-disk cache shared across invocations */
+export interface Cache {
+  readonly file: string;
+  readonly ttls: Record<CacheKind, number>;
+  get(kind: CacheKind, key: string): CacheEntry | null;
+  set(kind: CacheKind, key: string, value: unknown): void;
+  /** Deletes the cache file and returns the number of entries removed */
+  clear(): number;
+}
+
+/** ethers JsonRpcProvider that fails over between endpoints */
+export interface RpcProvider {
+  /** Endpoint that answered the most recent request */
+  readonly endpoint: string | null;
+  send(method: string, params: ReadonlyArray<unknown>): Promise<unknown>;
+  destroy(): void;
+}
+
+/** Fee tier selection accepted by the estimator functions */
+export interface FeeParams {
+  /** Tier used for the headline cost; defaults to 'standard' */
+  speed?: FeeSpeed;
+  /** Blocks sampled by eth_feeHistory; defaults to 20 */
+  feeWindow?: number;
+}
+
+/** A state override for one account, in the geth eth_call / eth_estimateGas format */
+export interface AccountOverride {
+  /** Wei, as a bigint, decimal string or hex quantity */
+  balance?: bigint | number | string;
+  nonce?: bigint | number | string;
+  code?: string;
+  /** Replaces all storage */
+  state?: Record<string, string>;
+  /** Patches individual storage slots */
+  stateDiff?: Record<string, string>;
+}
+
+export type StateOverrides = Record<string, AccountOverride>;
+
+/** Simulation settings accepted by the estimator functions */
+export interface SimulationParams {
+  /** Applied to the eth_estimateGas simulation */
+  stateOverrides?: StateOverrides;
+}
+
+/** Connection details accepted by the low-level estimator functions */
+export interface ConnectionParams {
+  rpcUrl?: string;
+  /** Endpoints in failover order; overrides rpcUrl */
+  rpcUrls?: string[];
+  rpcOptions?: RpcOptions;
+  /** Expected chain ID; the endpoint is rejected with CHAIN_ID_MISMATCH if it differs */
+  chainId?: number;
+  /** Defaults to 'op-stack' */
+  feeModel?: FeeModel;
+  gasPriceOracle?: string;
+}
+
+export interface EstimatorOptions {
+  network?: NetworkName;
+  /** Endpoint, or endpoints in failover order */
+  rpcUrl?: string | string[];
+  rpcOptions?: RpcOptions;
+  /** Default fee tier for estimates */
+  speed?: FeeSpeed;
+  feeWindow?: number;
+  /** Extra networks in config-file format, e.g. loadConfig().networks */
+  networks?: Record<string, NetworkDefinition>;
+  priceProvider?: PriceProvider;
+  /** Providers tried in order; defaults to CoinGecko, Coinbase, Chainlink */
+  priceProviders?: PriceProvider[];
+  /** Quote currency for getEthPrice; defaults to 'usd' */
+  currency?: QuoteCurrency;
+  /** Caches prices, chain IDs and fee data; nothing is cached without it */
+  cache?: Cache;
+}
+
+export interface Estimator {
+  readonly network: string;
+  readonly rpcUrl: string;
+  readonly rpcUrls: string[];
+  readonly chainId: number;
+  estimateTransfer(params: TransferParams): Promise<Estimation>;
+  estimateCall(params: CallParams): Promise<CallEstimation>;
+  estimateTokenTransfer(params: TokenTransferParams): Promise<TokenEstimation>;
+  estimateTokenApproval(params: TokenApprovalParams): Promise<TokenEstimation>;
+  estimateDeployment(params: DeploymentParams): Promise<DeploymentEstimation>;
+  estimateRawTransaction(params: RawTransactionParams): Promise<RawTransactionEstimation>;
+  getFeeSnapshot(): Promise<FeeSnapshot>;
+  getGasDashboard(params?: FeeParams): Promise<GasDashboard>;
+  analyzeFeeHistory(params: FeeHistoryParams): Promise<FeeHistoryAnalysis>;
+  estimateBatch(rows: ReadonlyArray<BatchInputRow>, params?: BatchParams): Promise<BatchResult[]>;
+  getEthPrice(options?: { currency?: QuoteCurrency }): Promise<PriceQuote>;
+}
+
+export function createEstimator(options?: EstimatorOptions): Estimator;
+
+export function estimateEthTransfer(params: TransferParams & ConnectionParams): Promise<Estimation>;
+export function estimateContractCall(params: CallParams & ConnectionParams): Promise<CallEstimation>;
+export function estimateTokenTransaction(params: ConnectionParams & FeeParams & SimulationParams & {
+  token: string;
+  method: 'transfer' | 'approve';
+  to: string;
+  amount: string;
+  from?: string;
+  network: string;
+}): Promise<TokenEstimation>;
+export function estimateDeployment(params: DeploymentParams & ConnectionParams): Promise<DeploymentEstimation>;
+export function estimateRawTransaction(params: RawTransactionParams & ConnectionParams): Promise<RawTransactionEstimation>;
+export function getFeeSnapshot(params: ConnectionParams): Promise<FeeSnapshot>;
+export function getGasDashboard(params: ConnectionParams & FeeParams): Promise<GasDashboard>;
+export function analyzeFeeHistory(params: ConnectionParams & FeeHistoryParams): Promise<FeeHistoryAnalysis>;
+export function encodeFunctionCall(params: {
+  signature?: string;
+  abi?: ReadonlyArray<unknown>;
+  functionName?: string;
+  args?: ReadonlyArray<unknown>;
+}): string;
+export function encodeDeployData(params: {
+  bytecode: string;
+  abi?: ReadonlyArray<unknown>;
+  args?: ReadonlyArray<unknown>;
+}): string;
+
+export const GAS_PRICE_ORACLE_ADDRESS: string;
+export const ARBITRUM_NODE_INTERFACE_ADDRESS: string;
+export function estimateArbitrumL1Gas(
+  provider: unknown,
+  transaction: { to?: string | null; from?: string; value?: bigint; data?: string }
+): Promise<{ l1GasUnits: bigint; baseFeeWei: bigint; l1BaseFeeWei: bigint }>;
+/** Fee formulas computeL1Fee implements; others are priced by the oracle */
+export const LOCAL_L1_FEE_FORMULAS: L1FeeFormula[];
+export function estimateL1Fee(
+  provider: unknown,
+  serializedTx: string,
+  oracleAddress?: string,
+  knownParams?: L1FeeParams
+): Promise<{ l1FeeWei: bigint; params: L1FeeParams }>;
+export function getL1FeeParams(provider: unknown, oracleAddress?: string, blockTag?: number | string): Promise<L1FeeParams>;
+export function computeL1Fee(
+  serializedTx: string | Uint8Array,
+  params: L1FeeParams,
+  options?: { signed?: boolean }
+): bigint;
+
+export type PriceSource = 'coingecko' | 'coinbase' | 'chainlink';
+export const PRICE_SOURCES: PriceSource[];
+/** Base URLs of the HTTP price APIs */
+export const PRICE_API_URLS: { coingecko: string; coinbase: string };
+/** Environment variables that override PRICE_API_URLS */
+export const PRICE_API_URL_ENV_VARS: { coingecko: string; coinbase: string };
+export function normalizeCurrency(currency: string): QuoteCurrency;
+export function getCoinGeckoEthPrice(currency?: QuoteCurrency): Promise<number>;
+export function getCoinbaseEthPrice(currency?: QuoteCurrency): Promise<number>;
+export function getEthUsdPrice(): Promise<number>;
+export function getCoinbaseEthUsdPrice(): Promise<number>;
+/** Where a Chainlink ETH/USD feed is read; the chain ID keeps the provider from probing the endpoint */
+export interface ChainlinkFeedParams {
+  rpcUrl?: string;
+  /** Endpoints in failover order; overrides rpcUrl */
+  rpcUrls?: string[];
+  chainId: number;
+  feedAddress: string;
+  rpcOptions?: RpcOptions;
+}
+
+export function getChainlinkEthUsdPrice(params: ChainlinkFeedParams): Promise<number>;
+export const coingeckoPriceProvider: PriceProvider;
+export const coinbasePriceProvider: PriceProvider;
+export function createChainlinkPriceProvider(params: ChainlinkFeedParams): PriceProvider;
+export function createFixedPriceProvider(price: number): PriceProvider;
+export function createPriceProviders(
+  names: ReadonlyArray<PriceSource>,
+  chainlink?: Partial<ChainlinkFeedParams>
+): PriceProvider[];
+export function fetchEthPrice(
+  providers: ReadonlyArray<PriceProvider>,
+  options?: { currency?: QuoteCurrency; cache?: Cache }
+): Promise<PriceQuote>;
+
+export const REFERENCE_TRANSACTIONS: Record<ReferenceTransaction, {
+  label: string;
+  gasUnits: bigint;
+  to: string;
+  value: bigint;
+  data: string;
+}>;
+export interface ReferenceFees {
+  gasPriceWei: bigint;
+  maxFeePerGasWei: bigint;
+  priorityFeeWei: bigint;
+  chainId: number | bigint;
+}
+export function quoteReferenceL1Fees(
+  provider: unknown,
+  fees: ReferenceFees,
+  l1Params: L1FeeParams,
+  oracleAddress?: string
+): Promise<Record<ReferenceTransaction, bigint>>;
+export function priceReferenceTransactions(
+  fees: ReferenceFees,
+  l1Params: L1FeeParams,
+  options?: { l1FeesWei?: Record<ReferenceTransaction, bigint> }
+): Record<ReferenceTransaction, ReferenceCost>;
+export function formatDashboard(
+  dashboard: GasDashboard,
+  options?: {
+    previous?: GasDashboard | null;
+    quote?: { price: number | null; currency: string } | null;
+    network?: string;
+    color?: boolean;
+  }
+): string[];
+
+export const MAX_HISTORY_BLOCKS: number;
+export const L1_SAMPLE_COUNT: number;
+export function resolveBlockRange(
+  range: { blocks?: number; fromBlock?: number; toBlock?: number },
+  latestBlock: number
+): { fromBlock: number; toBlock: number };
+export function fetchBlockFees(
+  provider: unknown,
+  fromBlock: number,
+  toBlock: number,
+  options?: { onProgress?: (fetched: number, total: number) => void }
+): Promise<Array<Omit<BlockFeeRecord, 'timestamp'>>>;
+export function sampleL1FeeParams(
+  provider: unknown,
+  fromBlock: number,
+  toBlock: number,
+  oracleAddress?: string
+): Promise<Array<Omit<L1FeeSample, 'timestamp'>>>;
+export function summarizeValues(values: ReadonlyArray<bigint>): ValueStats | null;
+export function summarizeFeeHistory(
+  records: ReadonlyArray<BlockFeeRecord>,
+  options?: { speed?: FeeSpeed; l1Samples?: ReadonlyArray<L1FeeSample> }
+): FeeHistorySummary;
+export function formatHistory(history: FeeHistoryAnalysis, options?: { network?: string }): string[];
+
+export const BATCH_TYPES: BatchType[];
+export const DEFAULT_BATCH_CONCURRENCY: number;
+export const MAX_BATCH_CONCURRENCY: number;
+export function parseBatchInput(text: string, format: 'csv' | 'json'): BatchInputRow[];
+export function normalizeBatchRow(fields: Record<string, unknown>, defaults?: { from?: string }): BatchRow;
+export function estimateBatch(
+  rows: ReadonlyArray<BatchInputRow>,
+  params: BatchParams & ConnectionParams & { network: string }
+): Promise<BatchResult[]>;
+export function summarizeBatch(results: ReadonlyArray<BatchResult>): BatchSummary;
+export function formatBatch(
+  results: ReadonlyArray<BatchResult>,
+  options?: { quote?: { price: number | null; currency: string } | null }
+): string[];
+
+export const DEFAULT_COMPARE_NETWORKS: string[];
+export function savingsPercent(totalWei: bigint, baselineWei: bigint): number | null;
+export function compareNetworks(
+  transaction: { to: string; valueEth?: string; data?: string; from?: string },
+  chains: ReadonlyArray<ResolvedNetwork>,
+  params?: ComparisonParams
+): Promise<ComparisonResult[]>;
+export function formatComparison(
+  results: ReadonlyArray<ComparisonResult>,
+  options?: { quote?: { price: number | null; currency: string } | null }
+): string[];
+
+export type ProjectionPeriod = 'day' | 'week' | 'month';
+export type ProjectionBand = 'low' | 'typical' | 'high';
+
+export interface ProjectionBandCost {
+  /** Gas price percentile over the sampled blocks */
+  percentile: number;
+  gasPriceWei: bigint;
+  /** Execution gas at gasPriceWei plus the estimate's L1 data fee */
+  perTransactionWei: bigint;
+  monthlyWei: bigint;
+  perTransactionText: string;
+  monthlyText: string;
+}
+
+export interface CostProjection {
+  volume: number;
+  period: ProjectionPeriod;
+  /** Volume scaled to an average month, rounded */
+  transactionsPerMonth: number;
+  speed: FeeSpeed;
+  gasUnits: number;
+  l1FeeWei: bigint;
+  fromBlock: number;
+  toBlock: number;
+  blocks: number;
+  fromTimestamp: number;
+  toTimestamp: number;
+  currentTotalWei: bigint;
+  /** Monthly cost at the estimate's own fees */
+  currentMonthlyWei: bigint;
+  currentMonthlyText: string;
+  bands: Record<ProjectionBand, ProjectionBandCost>;
+}
+
+export interface WorkloadProjection extends CostProjection {
+  estimation: Estimation;
+  history: FeeHistoryAnalysis;
+}
+
+export const PROJECTION_PERIODS: ProjectionPeriod[];
+export const DAYS_PER_MONTH: number;
+export const PROJECTION_BANDS: Record<ProjectionBand, number>;
+export const DEFAULT_PROJECTION_BLOCKS: number;
+export function monthlyTransactions(volume: number | string, period?: ProjectionPeriod): number;
+export function projectCost(
+  estimation: Estimation,
+  history: FeeHistoryAnalysis,
+  workload: { volume: number | string; period?: ProjectionPeriod }
+): CostProjection;
+export function projectWorkload(
+  transaction: { to: string; valueEth?: string; data?: string; from?: string },
+  params: ConnectionParams & FeeParams & SimulationParams & {
+    volume: number | string;
+    period?: ProjectionPeriod;
+    /** Recent blocks of fee history; defaults to 43200 */
+    blocks?: number;
+    onProgress?: (fetched: number, total: number) => void;
+  }
+): Promise<WorkloadProjection>;
+export function formatProjection(
+  projection: CostProjection,
+  options?: { quote?: { price: number | null; currency: string } | null; network?: string }
+): string[];
+
+/** The parts of node's http.Server the estimation server is used through */
+export interface EstimationServer {
+  listen(port?: number, host?: string, callback?: () => void): EstimationServer;
+  close(callback?: (error?: Error) => void): EstimationServer;
+  address(): { address: string; family: string; port: number } | string | null;
+}
+
+export const DEFAULT_SERVER_HOST: string;
+export const DEFAULT_SERVER_PORT: number;
+/**
+ * Serves GET /health, GET /fees, POST /estimate/transfer and POST /estimate/call;
+ * estimate responses are the buildReport output
+ */
+export function createEstimationServer(options: {
+  connection: ConnectionParams & { speed?: FeeSpeed; feeWindow?: number };
+  network: string;
+  priceProviders: ReadonlyArray<PriceProvider>;
+  currency?: QuoteCurrency;
+  cache?: Cache;
+  log?: (message: string) => void;
+}): EstimationServer;
+
+export const DEFAULT_OVERRIDE_BALANCE_ETH: string;
+export function normalizeStateOverrides(overrides: StateOverrides): StateOverrides;
+export function parseBalanceOverride(spec: string): { address: string; balanceWei: bigint };
+export function buildStateOverrides(
+  overrides?: StateOverrides,
+  balances?: ReadonlyArray<{ address: string; balanceWei: bigint }>
+): StateOverrides | undefined;
+export function decodeRevertData(data: string | null, abi?: ReadonlyArray<unknown>): string | null;
+export function simulateGas(
+  provider: unknown,
+  transaction: { to?: string | null; from?: string; value?: bigint; data?: string; accessList?: unknown },
+  options?: { stateOverrides?: StateOverrides; abi?: ReadonlyArray<unknown> }
+): Promise<bigint>;
+export function createAccessList(
+  provider: unknown,
+  transaction: { to?: string | null; from?: string; value?: bigint; data?: string },
+  options?: { stateOverrides?: StateOverrides }
+): Promise<{ accessList: AccessListEntry[]; gasUsed: bigint }>;
+
+export function resolveToken(token: string, network: string): { address: string; symbol: string | null };
+export function listTokens(network: string): string[];
+
+export function buildReport(
+  estimation: Estimation,
+  context: {
+    command: string;
+    network: string;
+    ethPrice: number | null;
+    priceSource: string | null;
+    priceStale?: boolean;
+    fiatCurrency?: string;
+  }
+): Record<string, string | number | boolean | null>;
+export function buildDashboardReport(
+  dashboard: GasDashboard,
+  context: {
+    network: string;
+    ethPrice: number | null;
+    priceSource: string | null;
+    priceStale?: boolean;
+    fiatCurrency?: string;
+  }
+): Record<string, string | number | boolean | null>;
+export function buildHistoryReport(
+  history: FeeHistoryAnalysis,
+  context: { network: string }
+): Record<string, string | number | null>;
+export function buildHistoryRows(history: FeeHistoryAnalysis): Array<Record<string, string | number | null>>;
+export function buildBatchReport(
+  results: ReadonlyArray<BatchResult>,
+  summary: BatchSummary,
+  context: {
+    network: string;
+    ethPrice: number | null;
+    priceSource: string | null;
+    priceStale?: boolean;
+    fiatCurrency?: string;
+  }
+): { rows: Array<Record<string, string | number | boolean | null>>; total: Record<string, string | number | boolean | null> };
+export function buildComparisonReport(
+  results: ReadonlyArray<ComparisonResult>,
+  context: { ethPrice: number | null; priceSource: string | null; priceStale?: boolean; fiatCurrency?: string }
+): Array<Record<string, string | number | boolean | null>>;
+export function buildProjectionReport(
+  projection: WorkloadProjection,
+  context: { network: string; ethPrice: number | null; priceSource: string | null; priceStale?: boolean; fiatCurrency?: string }
+): Record<string, string | number | boolean | null>;
+export function formatCsv(records: ReadonlyArray<Record<string, unknown>>): string;
+export function formatJson(value: unknown): string;
+
+export function isValidAddress(address: unknown): boolean;
+export function isPositiveNumber(value: unknown): boolean;
+export function isNonNegativeNumber(value: unknown): boolean;
+export const RPC_URL_ENV_VAR: string;
+export function loadConfig(options?: { cwd?: string; homeDir?: string }): {
+  networks: Record<string, NetworkDefinition>;
+  /** From the cache.ttl section, in seconds */
+  cacheTtls: Partial<Record<CacheKind, number>>;
+  files: string[];
+};
+export function resolveNetwork(
+  network: string,
+  options?: {
+    config?: { networks?: Record<string, NetworkDefinition> };
+    rpcUrl?: string | string[];
+    env?: Record<string, string | undefined>;
+  }
+): ResolvedNetwork;
+
+export const FEE_SPEEDS: FeeSpeed[];
+export const FEE_SPEED_PERCENTILES: Record<FeeSpeed, number>;
+export const DEFAULT_FEE_WINDOW: number;
+export const MAX_FEE_WINDOW: number;
+export function getFeeHistory(provider: unknown, blocks?: number, newestBlock?: number | string): Promise<unknown>;
+export function percentileBigInt(values: ReadonlyArray<bigint>, percentile: number): bigint;
+export function computeFeeTiers(history: {
+  oldestBlock: string | number;
+  baseFeePerGas: ReadonlyArray<string>;
+  gasUsedRatio?: ReadonlyArray<number>;
+  reward: ReadonlyArray<ReadonlyArray<string>>;
+}): FeeTiers;
+
+export const DEFAULT_RPC_OPTIONS: Required<Omit<RpcOptions, 'log'>>;
+export function createRpcProvider(
+  rpcUrls: string | string[],
+  options?: RpcOptions & { chainId?: number }
+): RpcProvider;
+export function classifyRpcError(error: unknown): EstimatorError;
+
+export interface Budget {
+  maxCostWei: bigint | null;
+  /** In the quote currency */
+  maxCostFiat: number | null;
+  maxGasPriceWei: bigint | null;
+}
+
+export interface BudgetBreach {
+  limit: 'maxCostEth' | 'maxCostFiat' | 'maxGwei';
+  message: string;
+}
+
+export const BUDGET_EXIT_CODE: number;
+export function parseBudget(limits?: {
+  maxCostEth?: string | number;
+  maxCostFiat?: string | number;
+  maxGwei?: string | number;
+}): Budget;
+export function hasBudget(budget: Budget): boolean;
+/** Throws PriceError when maxCostFiat is set and quote.price is null */
+export function checkBudget(
+  cost: { totalWei: bigint; gasPriceWei: bigint },
+  budget: Budget,
+  quote?: { price?: number | null; currency?: QuoteCurrency }
+): { withinBudget: boolean; breaches: BudgetBreach[] };
+
+export function checkSendReadiness(
+  account: { address: string; balanceWei: bigint; nonce: number },
+  cost: { valueWei: bigint; gasLimit: bigint; maxFeePerGas: bigint; l1FeeWei?: bigint }
+): SendReadiness;
+
+export const EMIT_FORMATS: EmitFormat[];
+export const DEFAULT_GAS_BUFFER_PERCENT: number;
+export function validateGasBuffer(percent: number | string): number;
+export function buildUnsignedTransaction(
+  estimation: Estimation,
+  options?: { gasBufferPercent?: number | string }
+): UnsignedTransaction;
+export function serializeUnsignedTransaction(tx: UnsignedTransaction): string;
+export function formatEip681Uri(tx: UnsignedTransaction, options?: { abi?: ReadonlyArray<any> }): string | null;
+export function formatUnsignedTransaction(
+  tx: UnsignedTransaction,
+  format: EmitFormat,
+  options?: { abi?: ReadonlyArray<any> }
+): string;
+
+export const CACHE_FILE: string;
+export const DEFAULT_CACHE_TTLS: Record<CacheKind, number>;
+export function resolveCacheTtls(ttls?: Partial<Record<CacheKind, number>>): Record<CacheKind, number>;
+export function createCache(options?: {
+  file?: string;
+  ttls?: Partial<Record<CacheKind, number>>;
+  now?: () => number;
+}): Cache;
+export function isTransientError(error: unknown): boolean;
+
+export function getRpcUrl(network: string): string;
+export function listNetworks(): string[];
+export const FEE_MODELS: FeeModel[];
+export function getNetworkConfig(network: string): { name: string; rpcUrl: string; chainId: number; feeModel: FeeModel; ethUsdFeed?: string };
+export function formatGweiFromWei(weiAmount: bigint | string): string;
+export function formatEthFromWei(weiAmount: bigint | string): string;
+export function formatGasPrice(weiAmount: bigint): string;
+export function formatFiat(amount: number, currency: string): string;
+
+export const ERROR_CODES: { readonly [K in ErrorCode]: K };
+
+export class EstimatorError extends Error {
+  constructor(code: ErrorCode, message: string, options?: { hint?: string; cause?: unknown });
+  readonly code: ErrorCode;
+  readonly hint?: string;
+  toJSON(): { code: ErrorCode; message: string; hint?: string };
+}
+
+export class ValidationError extends EstimatorError {}
+
+export class NetworkError extends EstimatorError {
+  constructor(message: string, options?: { hint?: string; cause?: unknown });
+}
+
+export class RpcError extends EstimatorError {
+  constructor(message: string, options?: { hint?: string; cause?: unknown });
+}
+
+export class InsufficientFundsError extends EstimatorError {
+  constructor(message: string, options?: { hint?: string; cause?: unknown });
+}
+
+export class RevertError extends EstimatorError {
+  constructor(message: string, options?: { reason?: string; data?: string; hint?: string; cause?: unknown });
+  /** Decoded revert reason or custom error, e.g. 'ERC20InsufficientBalance(sender=0x..., balance=0, needed=5)' */
+  readonly reason: string | null;
+  /** Raw revert data */
+  readonly data: string | null;
+  toJSON(): { code: ErrorCode; message: string; hint?: string; reason: string | null; data: string | null };
+}
+
+export class PriceError extends EstimatorError {
+  constructor(message: string, options?: { hint?: string; cause?: unknown });
+}
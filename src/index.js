@@ -0,0 +1,313 @@
+/**
+ * Base Gas Estimator Library
+ * Side-effect-free programmatic entry point for estimating gas costs on Base
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import {
+  estimateEthTransfer,
+  estimateContractCall,
+  estimateTokenTransaction,
+  estimateDeployment,
+  estimateRawTransaction,
+  getFeeSnapshot,
+  getGasDashboard,
+  analyzeFeeHistory
+} from './estimator.js';
+import { PRICE_SOURCES, normalizeCurrency, createPriceProviders, fetchEthPrice } from './price.js';
+import { resolveNetwork } from './config.js';
+import { estimateBatch } from './batch.js';
+
+/**
+ * Create an estimator bound to a network, RPC endpoint and price provider
+ *
+ * @param {Object} [options] - Estimator options
+ * @param {string} [options.network] - Network name ('base', 'base-sepolia' or a key of options.networks), defaults to 'base'
+ * @param {string|Array<string>} [options.rpcUrl] - RPC URL, or URLs in failover order; defaults to the network's configured endpoints
+ * @param {Object} [options.rpcOptions] - RPC retries, timeoutMs, backoffMs and log callback (see createRpcProvider)
+ * @param {string} [options.speed] - Default fee tier for estimates: 'slow', 'standard' (default) or 'fast'
+ * @param {number} [options.feeWindow] - Default number of blocks sampled for fee tiers
+ * @param {Object} [options.networks] - Extra networks in config-file format, e.g. loadConfig().networks
+ * @param {Object} [options.priceProvider] - Object with a name and async getPrice(currency) returning the ETH price
+ * @param {Array<Object>} [options.priceProviders] - Price providers tried in order (defaults to CoinGecko, Coinbase, Chainlink)
+ * @param {string} [options.currency] - Quote currency for getEthPrice (ISO 4217 code or 'usdc'), defaults to 'usd'
+ * @param {Object} [options.cache] - Cache from createCache for prices, chain IDs and fee data; nothing is cached without it
+ * @returns {Object} Estimator with transfer, call, token, deployment, raw transaction, batch, fee snapshot, gas dashboard and fee history methods
+ * @throws {ValidationError} If the network is not supported, the RPC URL is malformed or the currency is invalid
+ *
+ * @example
+ * import { createEstimator } from 'base-gas-estimator';
+ *
+ * const estimator = createEstimator({ network: 'base' });
+ * const estimate = await estimator.estimateTransfer({ to: '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e', valueEth: '0.1' });
+ * console.log(estimate.totalWei);
+ */
+export function createEstimator({
+  network = 'base',
+  rpcUrl,
+  networks = {},
+  rpcOptions,
+  speed,
+  feeWindow,
+  priceProvider,
+  priceProviders,
+  currency = 'usd',
+  cache
+} = {}) {
+  // The library never reads config files or environment variables on its own
+  const chain = resolveNetwork(network, { config: { networks }, rpcUrl, env: {} });
+  const resolvedRpcUrl = chain.rpcUrl;
+  const connection = {
+    rpcUrl: resolvedRpcUrl,
+    rpcUrls: chain.rpcUrls,
+    chainId: chain.chainId,
+    feeModel: chain.feeModel,
+    gasPriceOracle: chain.gasPriceOracle,
+    rpcOptions: cache ? { ...rpcOptions, cache } : rpcOptions
+  };
+  const defaultCurrency = normalizeCurrency(currency);
+  // Per-call params may override the fee defaults
+  const feeDefaults = { speed, feeWindow };
+
+  let providers = priceProviders;
+  if (!providers) {
+    providers = priceProvider
+      ? [priceProvider]
+      : createPriceProviders(PRICE_SOURCES, {
+        rpcUrl: resolvedRpcUrl,
+        rpcUrls: chain.rpcUrls,
+        chainId: chain.chainId,
+        rpcOptions: connection.rpcOptions,
+        feedAddress: chain.ethUsdFeed
+      });
+  }
+
+  return {
+    network,
+    rpcUrl: resolvedRpcUrl,
+    rpcUrls: chain.rpcUrls,
+    chainId: chain.chainId,
+
+    /**
+     * Estimate an ETH transfer
+     * @param {{to: string, valueEth: string, from: string}} params
+     */
+    estimateTransfer: (params) => estimateEthTransfer({ ...feeDefaults, ...params, ...connection }),
+
+    /**
+     * Estimate a contract call encoded from a signature or ABI
+     * @param {Object} params - See estimateContractCall
+     */
+    estimateCall: (params) => estimateContractCall({ ...feeDefaults, ...params, ...connection }),
+
+    /**
+     * Estimate an ERC-20 transfer
+     * @param {{token: string, to: string, amount: string, from: string}} params
+     */
+    estimateTokenTransfer: (params) => estimateTokenTransaction({
+      ...feeDefaults,
+      ...params,
+      method: 'transfer',
+      network,
+      ...connection
+    }),
+
+    /**
+     * Estimate an ERC-20 approval
+     * @param {{token: string, spender: string, amount: string, from: string}} params
+     */
+    estimateTokenApproval: ({ spender, ...params }) => estimateTokenTransaction({
+      ...feeDefaults,
+      ...params,
+      to: spender,
+      method: 'approve',
+      network,
+      ...connection
+    }),
+
+    /**
+     * Estimate a contract deployment
+     * @param {Object} params - See estimateDeployment
+     */
+    estimateDeployment: (params) => estimateDeployment({ ...feeDefaults, ...params, ...connection }),
+
+    /**
+     * Estimate a serialized transaction, signed or unsigned, and check its own gas limit and fee cap
+     * @param {{serialized: string, from: string}} params - from is only used for unsigned transactions
+     */
+    estimateRawTransaction: (params) => estimateRawTransaction({ ...feeDefaults, ...params, ...connection }),
+
+    /**
+     * Estimate parsed batch rows concurrently; failed rows carry their error
+     * @param {Array<Object>} rows - Result of parseBatchInput
+     * @param {Object} [params] - See estimateBatch (concurrency, from)
+     */
+    estimateBatch: (rows, params) => estimateBatch(rows, { ...feeDefaults, ...params, network, ...connection }),
+
+    /**
+     * Snapshot of current L2 and L1 fee parameters
+     */
+    getFeeSnapshot: () => getFeeSnapshot(connection),
+
+    /**
+     * Current fees and reference transaction costs, as shown by the `gas` command
+     * @param {{speed: string, feeWindow: number}} [params] - Overrides the estimator's fee defaults
+     */
+    getGasDashboard: (params) => getGasDashboard({ ...feeDefaults, ...params, ...connection }),
+
+    /**
+     * Fee statistics over a block range
+     * @param {Object} params - See analyzeFeeHistory (blocks, or fromBlock and toBlock)
+     */
+    analyzeFeeHistory: (params) => analyzeFeeHistory({ speed: feeDefaults.speed, ...params, ...connection }),
+
+    /**
+     * Current ETH price from the first configured price provider that succeeds
+     * @param {{currency: string}} [options] - Overrides the estimator's quote currency
+     * @returns {Promise<{price: number, source: string, currency: string, ageSeconds: number, stale: boolean}>}
+     */
+    getEthPrice: ({ currency: quoteCurrency = defaultCurrency } = {}) => fetchEthPrice(providers, { currency: quoteCurrency, cache })
+  };
+}
+
+export {
+  estimateEthTransfer,
+  estimateContractCall,
+  estimateTokenTransaction,
+  estimateDeployment,
+  estimateRawTransaction,
+  getFeeSnapshot,
+  getGasDashboard,
+  analyzeFeeHistory,
+  encodeFunctionCall,
+  encodeDeployData
+} from './estimator.js';
+export {
+  LOCAL_L1_FEE_FORMULAS,
+  estimateL1Fee,
+  getL1FeeParams,
+  computeL1Fee,
+  estimateArbitrumL1Gas,
+  GAS_PRICE_ORACLE_ADDRESS,
+  ARBITRUM_NODE_INTERFACE_ADDRESS
+} from './l1fee.js';
+export {
+  PRICE_SOURCES,
+  PRICE_API_URLS,
+  PRICE_API_URL_ENV_VARS,
+  normalizeCurrency,
+  getCoinGeckoEthPrice,
+  getCoinbaseEthPrice,
+  getEthUsdPrice,
+  getCoinbaseEthUsdPrice,
+  getChainlinkEthUsdPrice,
+  coingeckoPriceProvider,
+  coinbasePriceProvider,
+  createChainlinkPriceProvider,
+  createFixedPriceProvider,
+  createPriceProviders,
+  fetchEthPrice
+} from './price.js';
+export { resolveToken, listTokens } from './tokens.js';
+export { loadConfig, resolveNetwork, RPC_URL_ENV_VAR } from './config.js';
+export { createRpcProvider, classifyRpcError, isTransientError, DEFAULT_RPC_OPTIONS } from './rpc.js';
+export { CACHE_FILE, DEFAULT_CACHE_TTLS, resolveCacheTtls, createCache } from './cache.js';
+export { BUDGET_EXIT_CODE, parseBudget, hasBudget, checkBudget } from './budget.js';
+export { checkSendReadiness } from './readiness.js';
+export {
+  FEE_SPEEDS,
+  FEE_SPEED_PERCENTILES,
+  DEFAULT_FEE_WINDOW,
+  MAX_FEE_WINDOW,
+  getFeeHistory,
+  computeFeeTiers,
+  percentileBigInt
+} from './fees.js';
+export { REFERENCE_TRANSACTIONS, priceReferenceTransactions, quoteReferenceL1Fees } from './reference.js';
+export { formatDashboard } from './dashboard.js';
+export {
+  MAX_HISTORY_BLOCKS,
+  L1_SAMPLE_COUNT,
+  resolveBlockRange,
+  fetchBlockFees,
+  sampleL1FeeParams,
+  summarizeValues,
+  summarizeFeeHistory
+} from './feehistory.js';
+export { formatHistory } from './history.js';
+export {
+  BATCH_TYPES,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  parseBatchInput,
+  normalizeBatchRow,
+  estimateBatch,
+  summarizeBatch,
+  formatBatch
+} from './batch.js';
+export {
+  DEFAULT_OVERRIDE_BALANCE_ETH,
+  normalizeStateOverrides,
+  parseBalanceOverride,
+  buildStateOverrides,
+  decodeRevertData,
+  simulateGas,
+  createAccessList
+} from './simulation.js';
+export { DEFAULT_COMPARE_NETWORKS, savingsPercent, compareNetworks, formatComparison } from './compare.js';
+export {
+  PROJECTION_PERIODS,
+  DAYS_PER_MONTH,
+  PROJECTION_BANDS,
+  DEFAULT_PROJECTION_BLOCKS,
+  monthlyTransactions,
+  projectCost,
+  projectWorkload,
+  formatProjection
+} from './projection.js';
+export {
+  EMIT_FORMATS,
+  DEFAULT_GAS_BUFFER_PERCENT,
+  validateGasBuffer,
+  buildUnsignedTransaction,
+  serializeUnsignedTransaction,
+  formatEip681Uri,
+  formatUnsignedTransaction
+} from './transaction.js';
+export { DEFAULT_SERVER_HOST, DEFAULT_SERVER_PORT, createEstimationServer } from './server.js';
+export {
+  buildReport,
+  buildDashboardReport,
+  buildHistoryReport,
+  buildHistoryRows,
+  buildBatchReport,
+  buildComparisonReport,
+  buildProjectionReport,
+  formatCsv,
+  formatJson
+} from './output.js';
+export {
+  FEE_MODELS,
+  isValidAddress,
+  isPositiveNumber,
+  isNonNegativeNumber,
+  getRpcUrl,
+  getNetworkConfig,
+  listNetworks,
+  formatGweiFromWei,
+  formatEthFromWei,
+  formatGasPrice,
+  formatFiat
+} from './utils.js';
+export {
+  ERROR_CODES,
+  EstimatorError,
+  ValidationError,
+  NetworkError,
+  RpcError,
+  InsufficientFundsError,
+  RevertError,
+  PriceError
+} from './errors.js';
@@ -0,0 +1,303 @@
+/**
+ * L1 Data Fee Module
+ * Handles OP Stack L1 data fee estimation using the GasPriceOracle predeploy
+ *
+ * On Base every transaction pays an L2 execution fee plus an L1 data fee for
+ * posting its bytes to Ethereum. The L1 portion usually dominates simple transfers.
+ * Arbitrum charges the same cost as extra gas units, reported by its NodeInterface.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, ERROR_CODES } from './errors.js';
+
+/**
+ * GasPriceOracle predeploy address (identical on every OP Stack chain)
+ */
+export const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+
+/**
+ * Minimal GasPriceOracle ABI used by the estimator
+ */
+const GAS_PRICE_ORACLE_ABI = [
+  'function getL1Fee(bytes _data) view returns (uint256)',
+  'function l1BaseFee() view returns (uint256)',
+  'function blobBaseFee() view returns (uint256)',
+  'function baseFeeScalar() view returns (uint32)',
+  'function blobBaseFeeScalar() view returns (uint32)',
+  'function isEcotone() view returns (bool)',
+  'function isFjord() view returns (bool)'
+];
+
+/**
+ * Arbitrum NodeInterface virtual contract (only reachable through eth_call)
+ */
+export const ARBITRUM_NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8';
+
+/**
+ * Minimal NodeInterface ABI used for Arbitrum estimates
+ */
+const NODE_INTERFACE_ABI = [
+  'function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+];
+
+/**
+ * Fixed-point precision of the oracle scalars (10^6)
+ */
+const DECIMALS = 6n;
+
+/**
+ * Bytes added by the oracle to account for the signature of an unsigned transaction
+ */
+const SIGNATURE_OVERHEAD = 68n;
+
+/**
+ * Fee formulas computeL1Fee implements; older (Bedrock) oracles are priced through getL1Fee
+ */
+export const LOCAL_L1_FEE_FORMULAS = ['ecotone', 'fjord'];
+
+/**
+ * Fjord linear regression parameters (see GasPriceOracle._fjordL1Cost)
+ */
+const FJORD_COST_INTERCEPT = -42585600n;
+const FJORD_COST_FASTLZ_COEF = 836500n;
+const FJORD_MIN_TRANSACTION_SIZE = 100n;
+
+/**
+ * Compute the FastLZ compressed length of a byte array
+ * Port of op-geth's FlzCompressLen, which mirrors LibZip.flzCompress used on-chain
+ *
+ * @param {Uint8Array} ib - Input bytes
+ * @returns {number} Length of the compressed output in bytes
+ *
+ * @example
+ * flzCompressLen(new Uint8Array(0)); // 0
+ */
+export function flzCompressLen(ib) {
+  let n = 0;
+  const ht = new Uint32Array(8192);
+
+  const u24 = (i) => ib[i] | (ib[i + 1] << 8) | (ib[i + 2] << 16);
+  const hash = (v) => (Math.imul(2654435769, v) >>> 19) & 0x1fff;
+
+  const cmp = (p, q, e) => {
+    let l = 0;
+    for (e -= q; l < e; l++) {
+      if (ib[p + l] !== ib[q + l]) {
+        e = 0;
+      }
+    }
+    return l;
+  };
+
+  const literals = (r) => {
+    n += 0x21 * Math.floor(r / 0x20);
+    r %= 0x20;
+    if (r !== 0) {
+      n += r + 1;
+    }
+  };
+
+  const match = (l) => {
+    l--;
+    n += 3 * Math.floor(l / 262);
+    n += l % 262 >= 6 ? 3 : 2;
+  };
+
+  const setNextHash = (ip) => {
+    ht[hash(u24(ip))] = ip;
+    return ip + 1;
+  };
+
+  let a = 0;
+  const ipLimit = ib.length < 13 ? 0 : ib.length - 13;
+
+  for (let ip = a + 2; ip < ipLimit;) {
+    let r = 0;
+    let d = 0;
+
+    for (;;) {
+      const s = u24(ip);
+      const h = hash(s);
+      r = ht[h];
+      ht[h] = ip;
+      d = ip - r;
+      if (ip >= ipLimit) {
+        break;
+      }
+      ip++;
+      if (d <= 0x1fff && s === u24(r)) {
+        break;
+      }
+    }
+
+    if (ip >= ipLimit) {
+      break;
+    }
+
+    ip--;
+    if (ip > a) {
+      literals(ip - a);
+    }
+
+    const l = cmp(r + 3, ip + 3, ipLimit + 9);
+    match(l);
+    ip = setNextHash(setNextHash(ip + l));
+    a = ip;
+  }
+
+  literals(ib.length - a);
+  return n;
+}
+
+/**
+ * Compute L1 calldata gas the way the Ecotone oracle does
+ * (4 gas per zero byte, 16 per non-zero byte, plus signature overhead)
+ *
+ * @param {Uint8Array} bytes - Serialized transaction bytes
+ * @param {bigint} overhead - Bytes added for a missing signature
+ * @returns {bigint} L1 gas used
+ */
+function calldataGas(bytes, overhead) {
+  let total = 0n;
+  for (const byte of bytes) {
+    total += byte === 0 ? 4n : 16n;
+  }
+  return total + overhead * 16n;
+}
+
+/**
+ * Compute the L1 data fee locally from oracle parameters
+ * Implements the Ecotone and Fjord formulas of the GasPriceOracle predeploy
+ * Like the oracle, unsigned transactions are padded for the signature they will carry;
+ * signed transactions are priced from their exact bytes, as the sequencer does
+ *
+ * @param {string|Uint8Array} serializedTx - Serialized transaction
+ * @param {Object} params - Oracle parameters (see getL1FeeParams)
+ * @param {bigint} params.l1BaseFeeWei - L1 base fee in wei
+ * @param {bigint} params.blobBaseFeeWei - L1 blob base fee in wei
+ * @param {bigint} params.baseFeeScalar - Base fee scalar
+ * @param {bigint} params.blobBaseFeeScalar - Blob base fee scalar
+ * @param {string} params.upgrade - Active fee formula ('fjord' or 'ecotone')
+ * @param {Object} [options] - Pricing options
+ * @param {boolean} [options.signed] - The bytes already include a signature
+ * @returns {bigint} L1 data fee in wei
+ * @throws {ValidationError} If the fee formula is not one of LOCAL_L1_FEE_FORMULAS; use estimateL1Fee instead
+ *
+ * @example
+ * computeL1Fee('0x02f8...', params); // 1234567890n
+ */
+export function computeL1Fee(serializedTx, params, { signed = false } = {}) {
+  const bytes = ethers.getBytes(serializedTx);
+  const overhead = signed ? 0n : SIGNATURE_OVERHEAD;
+  const { l1BaseFeeWei, blobBaseFeeWei, baseFeeScalar, blobBaseFeeScalar, upgrade } = params;
+
+  const scaledBaseFee = baseFeeScalar * 16n * l1BaseFeeWei;
+  const scaledBlobBaseFee = blobBaseFeeScalar * blobBaseFeeWei;
+
+  if (upgrade === 'fjord') {
+    const fastLzSize = BigInt(flzCompressLen(bytes)) + overhead;
+    let estimatedSize = FJORD_COST_INTERCEPT + FJORD_COST_FASTLZ_COEF * fastLzSize;
+    const minSize = FJORD_MIN_TRANSACTION_SIZE * 10n ** DECIMALS;
+    if (estimatedSize < minSize) {
+      estimatedSize = minSize;
+    }
+    return (estimatedSize * (scaledBaseFee + scaledBlobBaseFee)) / 10n ** (DECIMALS * 2n);
+  }
+
+  if (upgrade === 'ecotone') {
+    const l1GasUsed = calldataGas(bytes, overhead);
+    return (l1GasUsed * (scaledBaseFee + scaledBlobBaseFee)) / (16n * 10n ** DECIMALS);
+  }
+
+  throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unsupported L1 fee formula: ${upgrade}`);
+}
+
+/**
+ * Fetch L1 fee parameters from the GasPriceOracle
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {string} [oracleAddress] - GasPriceOracle address
+ * @param {number|string} [blockTag] - Block to read at, defaults to the latest (older blocks need an archive node)
+ * @returns {Promise<Object>} Oracle parameters
+ */
+export async function getL1FeeParams(provider, oracleAddress = GAS_PRICE_ORACLE_ADDRESS, blockTag = 'latest') {
+  const oracle = new ethers.Contract(oracleAddress, GAS_PRICE_ORACLE_ABI, provider);
+  const overrides = { blockTag };
+
+  // Older oracles do not expose the upgrade flags or blob fields, so default them
+  const [l1BaseFeeWei, blobBaseFeeWei, baseFeeScalar, blobBaseFeeScalar, isEcotone, isFjord] = await Promise.all([
+    oracle.l1BaseFee(overrides),
+    oracle.blobBaseFee(overrides).catch(() => 0n),
+    oracle.baseFeeScalar(overrides).catch(() => 0n),
+    oracle.blobBaseFeeScalar(overrides).catch(() => 0n),
+    oracle.isEcotone(overrides).catch(() => false),
+    oracle.isFjord(overrides).catch(() => false)
+  ]);
+
+  let upgrade = 'bedrock';
+  if (isFjord) {
+    upgrade = 'fjord';
+  } else if (isEcotone) {
+    upgrade = 'ecotone';
+  }
+
+  return {
+    l1BaseFeeWei,
+    blobBaseFeeWei,
+    baseFeeScalar: BigInt(baseFeeScalar),
+    blobBaseFeeScalar: BigInt(blobBaseFeeScalar),
+    upgrade
+  };
+}
+
+/**
+ * Estimate the L1 data fee for an unsigned serialized transaction
+ * Uses the oracle's getL1Fee as the source of truth and returns the parameters used
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {string} serializedTx - Unsigned serialized transaction (hex)
+ * @param {string} [oracleAddress] - GasPriceOracle address
+ * @param {Object} [knownParams] - Oracle parameters already read (see getL1FeeParams), fetched when omitted
+ * @returns {Promise<Object>} L1 fee in wei and oracle parameters
+ *
+ * @example
+ * const { l1FeeWei, params } = await estimateL1Fee(provider, tx.unsignedSerialized);
+ */
+export async function estimateL1Fee(provider, serializedTx, oracleAddress = GAS_PRICE_ORACLE_ADDRESS, knownParams) {
+  const oracle = new ethers.Contract(oracleAddress, GAS_PRICE_ORACLE_ABI, provider);
+
+  const [l1FeeWei, params] = await Promise.all([
+    oracle.getL1Fee(serializedTx),
+    knownParams || getL1FeeParams(provider, oracleAddress)
+  ]);
+
+  return { l1FeeWei, params };
+}
+
+/**
+ * Estimate the L1 component of an Arbitrum transaction
+ * Arbitrum bills L1 data as extra gas units at the L2 base fee; eth_estimateGas already includes them
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Object} transaction - Transaction request (to, value, data, optional from); omit to for contract creation
+ * @returns {Promise<{l1GasUnits: bigint, baseFeeWei: bigint, l1BaseFeeWei: bigint}>} L1 gas units and the fees they were priced at
+ *
+ * @example
+ * const { l1GasUnits, baseFeeWei } = await estimateArbitrumL1Gas(provider, { to, data });
+ */
+export async function estimateArbitrumL1Gas(provider, transaction) {
+  const nodeInterface = new ethers.Contract(ARBITRUM_NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI, provider);
+  const contractCreation = !transaction.to;
+
+  const [l1GasUnits, baseFeeWei, l1BaseFeeWei] = await nodeInterface.gasEstimateL1Component.staticCall(
+    contractCreation ? ethers.ZeroAddress : transaction.to,
+    contractCreation,
+    transaction.data || '0x',
+    { value: transaction.value || 0n, ...(transaction.from && { from: transaction.from }) }
+  );
+
+  return { l1GasUnits, baseFeeWei, l1BaseFeeWei };
+}
@@ -0,0 +1,513 @@
+/**
+ * Output Formatting Module
+ * Builds machine-readable reports (JSON, CSV) from estimation, batch, comparison, dashboard and fee history results
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { toEstimatorError } from './errors.js';
+
+/**
+ * Supported values for the global --output option
+ */
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Convert an optional wei amount to a decimal string in the given unit
+ *
+ * @param {bigint|null|undefined} wei - Amount in wei
+ * @param {string|number} unit - ethers unit name or decimals
+ * @returns {string|null} Formatted amount, or null when unavailable
+ */
+function formatOptionalUnits(wei, unit) {
+  return wei === null || wei === undefined ? null : ethers.formatUnits(wei, unit);
+}
+
+/**
+ * Convert an optional bigint to a string so it survives JSON serialization
+ *
+ * @param {bigint|null|undefined} value - Value to convert
+ * @returns {string|null} Decimal string, or null when unavailable
+ */
+function toDecimalString(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+/**
+ * Build a flat, serializable report from an estimation result
+ * Every wei amount is a decimal string so values are never rounded
+ *
+ * @param {Object} estimation - Result from one of the estimator functions
+ * @param {Object} context - Report context
+ * @param {string} context.command - CLI command that produced the estimate
+ * @param {string} context.network - Network name
+ * @param {number|null} context.ethPrice - ETH price in fiat, or null when unavailable
+ * @param {string|null} context.priceSource - Where the ETH price came from
+ * @param {boolean} [context.priceStale] - The price is an expired cached price, used because every source failed
+ * @param {string} [context.fiatCurrency] - Fiat currency label
+ * @returns {Object} Flat report object
+ *
+ * @example
+ * const report = buildReport(estimation, { command: 'transfer', network: 'base', ethPrice: 3450.25, priceSource: 'coingecko' });
+ * report.totalEth; // '0.000000152'
+ */
+export function buildReport(estimation, { command, network, ethPrice, priceSource, priceStale = false, fiatCurrency = 'USDC' }) {
+  const totalEth = ethers.formatEther(estimation.totalWei);
+  const hasPrice = typeof ethPrice === 'number' && isFinite(ethPrice);
+
+  const report = {
+    command,
+    network,
+    chainId: estimation.chainId,
+    blockNumber: estimation.blockNumber,
+    timestamp: estimation.timestamp ? new Date(estimation.timestamp * 1000).toISOString() : null,
+    gasUnits: estimation.gasUnits,
+    gasPriceWei: toDecimalString(estimation.gasPriceWei),
+    gasPriceGwei: formatOptionalUnits(estimation.gasPriceWei, 'gwei'),
+    baseFeeWei: toDecimalString(estimation.baseFeeWei),
+    baseFeeGwei: formatOptionalUnits(estimation.baseFeeWei, 'gwei'),
+    priorityFeeWei: toDecimalString(estimation.priorityFeeWei),
+    priorityFeeGwei: formatOptionalUnits(estimation.priorityFeeWei, 'gwei'),
+    l2FeeWei: toDecimalString(estimation.l2FeeWei),
+    l2FeeEth: formatOptionalUnits(estimation.l2FeeWei, 'ether'),
+    l1FeeWei: toDecimalString(estimation.l1FeeWei),
+    l1FeeEth: formatOptionalUnits(estimation.l1FeeWei, 'ether'),
+    l1BaseFeeWei: toDecimalString(estimation.l1BaseFeeWei),
+    blobBaseFeeWei: toDecimalString(estimation.blobBaseFeeWei),
+    totalWei: toDecimalString(estimation.totalWei),
+    totalEth,
+    ethPrice: hasPrice ? ethPrice : null,
+    fiatCurrency,
+    totalFiat: hasPrice ? Number((parseFloat(totalEth) * ethPrice).toFixed(6)) : null,
+    priceSource: hasPrice ? priceSource : null,
+    priceStale: hasPrice ? priceStale : null
+  };
+
+  // Fee tiers from eth_feeHistory, flattened so CSV keeps one row per estimate
+  if (estimation.feeTiers) {
+    report.speed = estimation.speed;
+    report.maxFeePerGasWei = toDecimalString(estimation.maxFeePerGasWei);
+    report.nextBaseFeeWei = toDecimalString(estimation.nextBaseFeeWei);
+    report.baseFeeTrendPercent = estimation.baseFeeTrend.changePercent;
+    report.feeWindow = estimation.feeWindow;
+    for (const [tier, fees] of Object.entries(estimation.feeTiers)) {
+      const tierEth = ethers.formatEther(fees.totalWei);
+      report[`${tier}GasPriceWei`] = toDecimalString(fees.gasPriceWei);
+      report[`${tier}TotalWei`] = toDecimalString(fees.totalWei);
+      report[`${tier}TotalEth`] = tierEth;
+      report[`${tier}TotalFiat`] = hasPrice ? Number((parseFloat(tierEth) * ethPrice).toFixed(6)) : null;
+    }
+  }
+
+  // Arbitrum bills L1 data as gas on top of gasUnits
+  if (estimation.l1GasUnits) {
+    report.l1GasUnits = estimation.l1GasUnits;
+  }
+
+  // Command-specific details
+  if (estimation.token) {
+    report.tokenAddress = estimation.token.address;
+    report.tokenSymbol = estimation.token.symbol;
+    report.tokenDecimals = estimation.token.decimals;
+    report.amountUnits = toDecimalString(estimation.amountUnits);
+  }
+
+  if (estimation.initCodeSize !== undefined) {
+    report.initCodeSize = estimation.initCodeSize;
+  }
+
+  if (estimation.rawTransaction) {
+    const tx = estimation.rawTransaction;
+    const ownCostEth = ethers.formatEther(estimation.ownCostWei);
+    report.txType = tx.typeName;
+    report.txSigned = tx.signed;
+    report.txHash = tx.hash;
+    report.txFrom = tx.from;
+    report.txTo = tx.to;
+    report.txNonce = tx.nonce;
+    report.txChainId = tx.chainId;
+    report.txGasLimit = toDecimalString(tx.gasLimit);
+    report.txFeeCapWei = toDecimalString(tx.feeCapWei);
+    report.txMaxPriorityFeePerGasWei = toDecimalString(tx.maxPriorityFeePerGasWei);
+    report.txSerializedSize = tx.serializedSize;
+    report.gasLimitSufficient = estimation.checks.gasLimitSufficient;
+    report.feeCapSufficient = estimation.checks.feeCapSufficient;
+    report.ownGasPriceWei = toDecimalString(estimation.ownGasPriceWei);
+    report.ownCostWei = toDecimalString(estimation.ownCostWei);
+    report.ownCostEth = ownCostEth;
+    report.ownCostFiat = hasPrice ? Number((parseFloat(ownCostEth) * ethPrice).toFixed(6)) : null;
+  }
+
+  // The list itself is JSON text so CSV keeps one cell per field
+  if (estimation.accessList) {
+    const list = estimation.accessList;
+    report.accessList = JSON.stringify(list.entries);
+    report.accessListAddresses = list.addresses;
+    report.accessListStorageKeys = list.storageKeys;
+    report.accessListGasUnits = list.gasUnits;
+    report.accessListGasSaved = list.gasSavedUnits;
+    report.accessListL1FeeWei = toDecimalString(list.l1FeeWei);
+    report.accessListExtraL1FeeWei = toDecimalString(list.extraL1FeeWei);
+    report.accessListTotalWei = toDecimalString(list.totalWei);
+    report.accessListSavingsWei = toDecimalString(list.savingsWei);
+    report.accessListWorthIt = list.worthIt;
+  }
+
+  if (estimation.sender) {
+    const sender = estimation.sender;
+    report.senderAddress = sender.address;
+    report.senderBalanceWei = toDecimalString(sender.balanceWei);
+    report.senderNonce = sender.nonce;
+    report.worstCaseFeeWei = toDecimalString(sender.worstCaseFeeWei);
+    report.requiredWei = toDecimalString(sender.requiredWei);
+    report.canSend = sender.canSend;
+    report.missingWei = toDecimalString(sender.missingWei);
+    report.maxSendableWei = toDecimalString(sender.maxSendableWei);
+  }
+
+  return report;
+}
+
+/**
+ * Build a flat, serializable report from a gas dashboard
+ *
+ * @param {Object} dashboard - Result of getGasDashboard
+ * @param {Object} context - Report context
+ * @param {string} context.network - Network name
+ * @param {number|null} context.ethPrice - ETH price in fiat, or null when unavailable
+ * @param {string|null} context.priceSource - Where the ETH price came from
+ * @param {boolean} [context.priceStale] - The price is an expired cached price, used because every source failed
+ * @param {string} [context.fiatCurrency] - Fiat currency label
+ * @returns {Object} Flat report object
+ *
+ * @example
+ * const report = buildDashboardReport(dashboard, { network: 'base', ethPrice: 3450.25, priceSource: 'coingecko' });
+ * report.swapTotalEth; // '0.000000412'
+ */
+export function buildDashboardReport(dashboard, { network, ethPrice, priceSource, priceStale = false, fiatCurrency = 'USDC' }) {
+  const hasPrice = typeof ethPrice === 'number' && isFinite(ethPrice);
+
+  const report = {
+    command: 'gas',
+    network,
+    chainId: dashboard.chainId,
+    blockNumber: dashboard.blockNumber,
+    timestamp: dashboard.timestamp ? new Date(dashboard.timestamp * 1000).toISOString() : null,
+    baseFeeWei: toDecimalString(dashboard.baseFeeWei),
+    baseFeeGwei: formatOptionalUnits(dashboard.baseFeeWei, 'gwei'),
+    nextBaseFeeWei: toDecimalString(dashboard.nextBaseFeeWei),
+    baseFeeTrendPercent: dashboard.baseFeeTrend.changePercent,
+    feeWindow: dashboard.feeWindow
+  };
+
+  for (const [tier, fees] of Object.entries(dashboard.feeTiers)) {
+    report[`${tier}PriorityFeeWei`] = toDecimalString(fees.priorityFeeWei);
+    report[`${tier}GasPriceWei`] = toDecimalString(fees.gasPriceWei);
+  }
+
+  report.l1BaseFeeWei = toDecimalString(dashboard.l1BaseFeeWei);
+  report.blobBaseFeeWei = toDecimalString(dashboard.blobBaseFeeWei);
+  report.speed = dashboard.speed;
+
+  for (const [key, cost] of Object.entries(dashboard.references)) {
+    const totalEth = ethers.formatEther(cost.totalWei);
+    report[`${key}GasUnits`] = cost.gasUnits;
+    report[`${key}TotalWei`] = toDecimalString(cost.totalWei);
+    report[`${key}TotalEth`] = totalEth;
+    report[`${key}TotalFiat`] = hasPrice ? Number((parseFloat(totalEth) * ethPrice).toFixed(6)) : null;
+  }
+
+  report.ethPrice = hasPrice ? ethPrice : null;
+  report.fiatCurrency = fiatCurrency;
+  report.priceSource = hasPrice ? priceSource : null;
+  report.priceStale = hasPrice ? priceStale : null;
+
+  return report;
+}
+
+/**
+ * Build a flat, serializable summary of a fee history analysis
+ * Each metric contributes {metric}MinWei, {metric}MedianWei, {metric}P90Wei and {metric}MaxWei
+ *
+ * @param {Object} history - Result of analyzeFeeHistory
+ * @param {Object} context - Report context
+ * @param {string} context.network - Network name
+ * @returns {Object} Flat report object
+ *
+ * @example
+ * const report = buildHistoryReport(history, { network: 'base' });
+ * report.baseFeeP90Wei; // '1049000'
+ */
+export function buildHistoryReport(history, { network }) {
+  const report = {
+    command: 'history',
+    network,
+    chainId: history.chainId,
+    fromBlock: history.fromBlock,
+    toBlock: history.toBlock,
+    blocks: history.blocks,
+    fromTimestamp: new Date(history.fromTimestamp * 1000).toISOString(),
+    toTimestamp: new Date(history.toTimestamp * 1000).toISOString(),
+    speed: history.speed
+  };
+
+  for (const [metric, stats] of Object.entries(history.stats)) {
+    report[`${metric}MinWei`] = stats ? toDecimalString(stats.min) : null;
+    report[`${metric}MedianWei`] = stats ? toDecimalString(stats.median) : null;
+    report[`${metric}P90Wei`] = stats ? toDecimalString(stats.p90) : null;
+    report[`${metric}MaxWei`] = stats ? toDecimalString(stats.max) : null;
+  }
+
+  report.cheapestHourUtc = history.cheapestHour;
+  report.l1Unavailable = history.l1Unavailable;
+
+  return report;
+}
+
+/**
+ * Build one flat record per block of a fee history analysis, for CSV export
+ * L1 fee parameters are only filled in for the sampled blocks
+ *
+ * @param {Object} history - Result of analyzeFeeHistory
+ * @returns {Array<Object>} Per-block records in block order
+ */
+export function buildHistoryRows(history) {
+  const samples = new Map(history.l1Samples.map((sample) => [sample.blockNumber, sample]));
+
+  return history.records.map((record) => {
+    const row = {
+      blockNumber: record.blockNumber,
+      timestamp: new Date(record.timestamp * 1000).toISOString(),
+      baseFeeWei: toDecimalString(record.baseFeeWei),
+      gasUsedRatio: record.gasUsedRatio
+    };
+    for (const [tier, fee] of Object.entries(record.priorityFeesWei)) {
+      row[`${tier}PriorityFeeWei`] = toDecimalString(fee);
+    }
+    const sample = samples.get(record.blockNumber);
+    row.l1BaseFeeWei = sample ? toDecimalString(sample.l1BaseFeeWei) : null;
+    row.blobBaseFeeWei = sample ? toDecimalString(sample.blobBaseFeeWei) : null;
+    return row;
+  });
+}
+
+/**
+ * Build flat, serializable records for a batch: one per row plus a total
+ * Successful rows carry the buildReport fields, failed rows their error code and message
+ *
+ * @param {Array<Object>} results - Result of estimateBatch
+ * @param {Object} summary - Result of summarizeBatch
+ * @param {Object} context - Report context
+ * @param {string} context.network - Network name
+ * @param {number|null} context.ethPrice - ETH price in fiat, or null when unavailable
+ * @param {string|null} context.priceSource - Where the ETH price came from
+ * @param {boolean} [context.priceStale] - The price is an expired cached price, used because every source failed
+ * @param {string} [context.fiatCurrency] - Fiat currency label
+ * @returns {{rows: Array<Object>, total: Object}} Per-row records and the total
+ *
+ * @example
+ * const { rows, total } = buildBatchReport(results, summarizeBatch(results), { network: 'base', ethPrice: 3450.25, priceSource: 'coingecko' });
+ * total.totalEth; // '0.000000304'
+ */
+export function buildBatchReport(results, summary, { network, ethPrice, priceSource, priceStale = false, fiatCurrency = 'USDC' }) {
+  const hasPrice = typeof ethPrice === 'number' && isFinite(ethPrice);
+
+  const rows = results.map(({ line, fields, row, estimation, error }) => {
+    const { type = null, to = null } = row || fields;
+    const details = {
+      row: line,
+      type,
+      to,
+      status: estimation ? 'ok' : 'error'
+    };
+    if (!estimation) {
+      return { ...details, errorCode: error.code, errorMessage: error.message };
+    }
+    const { command, ...report } = buildReport(estimation, { command: 'batch', network, ethPrice, priceSource, priceStale, fiatCurrency });
+    return { ...details, ...report };
+  });
+
+  const totalEth = ethers.formatEther(summary.totalWei);
+  const total = {
+    row: 'total',
+    network,
+    rows: summary.rows,
+    succeeded: summary.succeeded,
+    failed: summary.failed,
+    gasUnits: summary.gasUnits,
+    l2FeeWei: toDecimalString(summary.l2FeeWei),
+    l1FeeWei: toDecimalString(summary.l1FeeWei),
+    totalWei: toDecimalString(summary.totalWei),
+    totalEth,
+    ethPrice: hasPrice ? ethPrice : null,
+    fiatCurrency,
+    totalFiat: hasPrice ? Number((parseFloat(totalEth) * ethPrice).toFixed(6)) : null,
+    priceSource: hasPrice ? priceSource : null,
+    priceStale: hasPrice ? priceStale : null
+  };
+
+  return { rows, total };
+}
+
+/**
+ * Build one serializable record per network from a comparison
+ * Networks that failed carry errorCode and errorMessage instead of the cost fields
+ *
+ * @param {Array<Object>} results - Result of compareNetworks
+ * @param {Object} context - Report context
+ * @param {number|null} context.ethPrice - ETH price in fiat, or null when unavailable
+ * @param {string|null} context.priceSource - Where the ETH price came from
+ * @param {boolean} [context.priceStale] - The price is an expired cached price, used because every source failed
+ * @param {string} [context.fiatCurrency] - Fiat currency label
+ * @returns {Array<Object>} Per-network records, in comparison order
+ *
+ * @example
+ * const rows = buildComparisonReport(results, { ethPrice: 3450.25, priceSource: 'coingecko' });
+ * rows[0].savingsPercent; // 99.7
+ */
+export function buildComparisonReport(results, { ethPrice, priceSource, priceStale = false, fiatCurrency = 'USDC' }) {
+  return results.map(({ network, name, feeModel, baseline, estimation, effectiveGasPriceWei, savingsPercent, error }) => {
+    const details = { network, name, feeModel, baseline, status: estimation ? 'ok' : 'error' };
+    if (!estimation) {
+      return { ...details, errorCode: error.code, errorMessage: error.message };
+    }
+    const { command, ...report } = buildReport(estimation, { command: 'compare', network, ethPrice, priceSource, priceStale, fiatCurrency });
+    return {
+      ...details,
+      ...report,
+      effectiveGasPriceWei: toDecimalString(effectiveGasPriceWei),
+      effectiveGasPriceGwei: formatOptionalUnits(effectiveGasPriceWei, 'gwei'),
+      savingsPercent
+    };
+  });
+}
+
+/**
+ * Build a flat, serializable record from a cost projection
+ * Each band contributes gas price, per-transaction and monthly fields prefixed with its name
+ *
+ * @param {Object} projection - Result of projectWorkload
+ * @param {Object} context - Report context
+ * @param {string} context.network - Network name
+ * @param {number|null} context.ethPrice - ETH price in fiat, or null when unavailable
+ * @param {string|null} context.priceSource - Where the ETH price came from
+ * @param {boolean} [context.priceStale] - The price is an expired cached price, used because every source failed
+ * @param {string} [context.fiatCurrency] - Fiat currency label
+ * @returns {Object} Flat report object
+ *
+ * @example
+ * const report = buildProjectionReport(projection, { network: 'base', ethPrice: 3450.25, priceSource: 'coingecko' });
+ * report.typicalMonthlyFiat; // 14.53
+ */
+export function buildProjectionReport(projection, { network, ethPrice, priceSource, priceStale = false, fiatCurrency = 'USDC' }) {
+  const hasPrice = typeof ethPrice === 'number' && isFinite(ethPrice);
+  const toFiat = (wei) => (hasPrice ? Number((parseFloat(ethers.formatEther(wei)) * ethPrice).toFixed(6)) : null);
+
+  const report = {
+    command: 'project',
+    network,
+    chainId: projection.estimation.chainId,
+    volume: projection.volume,
+    period: projection.period,
+    transactionsPerMonth: projection.transactionsPerMonth,
+    speed: projection.speed,
+    gasUnits: projection.gasUnits,
+    l1FeeWei: toDecimalString(projection.l1FeeWei),
+    fromBlock: projection.fromBlock,
+    toBlock: projection.toBlock,
+    blocks: projection.blocks,
+    fromTimestamp: new Date(projection.fromTimestamp * 1000).toISOString(),
+    toTimestamp: new Date(projection.toTimestamp * 1000).toISOString()
+  };
+
+  for (const [band, { percentile, gasPriceWei, perTransactionWei, monthlyWei }] of Object.entries(projection.bands)) {
+    report[`${band}Percentile`] = percentile;
+    report[`${band}GasPriceWei`] = toDecimalString(gasPriceWei);
+    report[`${band}PerTransactionWei`] = toDecimalString(perTransactionWei);
+    report[`${band}MonthlyWei`] = toDecimalString(monthlyWei);
+    report[`${band}MonthlyEth`] = ethers.formatEther(monthlyWei);
+    report[`${band}MonthlyFiat`] = toFiat(monthlyWei);
+  }
+
+  return {
+    ...report,
+    currentMonthlyWei: toDecimalString(projection.currentMonthlyWei),
+    currentMonthlyEth: ethers.formatEther(projection.currentMonthlyWei),
+    currentMonthlyFiat: toFiat(projection.currentMonthlyWei),
+    ethPrice: hasPrice ? ethPrice : null,
+    fiatCurrency,
+    priceSource: hasPrice ? priceSource : null,
+    priceStale: hasPrice ? priceStale : null
+  };
+}
+
+/**
+ * Escape a single CSV field (RFC 4180)
+ *
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a list of flat records as CSV with a header row
+ * Columns are the union of all record keys, in first-seen order
+ *
+ * @param {Array<Object>} records - Flat records
+ * @returns {string} CSV text
+ *
+ * @example
+ * formatCsv([{ a: 1, b: 'x' }]); // 'a,b\n1,x'
+ */
+export function formatCsv(records) {
+  const columns = [];
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+
+  const lines = [columns.map(escapeCsvField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCsvField(record[column])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a value as pretty-printed JSON, converting bigints to strings
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+export function formatJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+/**
+ * Build the structured error payload used by JSON output
+ *
+ * @param {*} error - Thrown value
+ * @returns {{error: {code: string, message: string, hint: (string|undefined)}}} Error payload
+ *
+ * @example
+ * formatErrorPayload(new EstimatorError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address'));
+ * // { error: { code: 'INVALID_ADDRESS', message: 'Invalid recipient address' } }
+ */
+export function formatErrorPayload(error) {
+  return { error: toEstimatorError(error).toJSON() };
+}
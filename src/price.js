@@ -1,42 +1,225 @@
 /**
  * Price Fetching Module
- * Handles ETH/USD price fetching from CoinGecko API for USDC equivalent calculations
- * 
- * Note: USDC value assumes 1 USDC = 1 USD, consistent with Base ecosystem standards
- * 
+ * Handles ETH price fetching in fiat currencies (ISO 4217) and USDC
+ *
+ * Prices come from pluggable providers (CoinGecko, Coinbase, Chainlink on-chain feed,
+ * or a fixed manual price) which are tried in order until one succeeds.
+ *
+ * Note: USDC is quoted through its own USD price rather than assumed to equal 1 USD
+ *
  * @author Base Gas Estimator Team
  * @license MIT
  */
 
 import axios from 'axios';
+import { ethers } from 'ethers';
+import { EstimatorError, PriceError, ValidationError, ERROR_CODES } from './errors.js';
+import { createRpcProvider } from './rpc.js';
 
 /**
- * CoinGecko API endpoint for ETH price in USD
- * Free tier with no API key required
- * Used as proxy for ETH/USDC rate (1 USD ≈ 1 USDC)
+ * Base URLs of the price APIs, neither of which needs an API key
+ * CoinGecko serves /simple/price; Coinbase serves /prices/<pair>/spot, e.g. ETH-EUR
  */
-const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd';
+export const PRICE_API_URLS = {
+  coingecko: 'https://api.coingecko.com/api/v3',
+  coinbase: 'https://api.coinbase.com/v2'
+};
+
+/**
+ * Environment variables that point a price API at another host, such as a local mock server
+ */
+export const PRICE_API_URL_ENV_VARS = {
+  coingecko: 'BASE_GAS_COINGECKO_URL',
+  coinbase: 'BASE_GAS_COINBASE_URL'
+};
+
+/**
+ * Base URL of a price API, honoring its environment variable override
+ *
+ * @param {string} source - 'coingecko' or 'coinbase'
+ * @returns {string} Base URL without a trailing slash
+ */
+function priceApiUrl(source) {
+  return (process.env[PRICE_API_URL_ENV_VARS[source]] || PRICE_API_URLS[source]).replace(/\/+$/, '');
+}
+
+/**
+ * Chainlink aggregator interface used to read on-chain price feeds
+ */
+const CHAINLINK_AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+/**
+ * Maximum age of a Chainlink answer before it is considered stale, in seconds
+ */
+const CHAINLINK_MAX_AGE = 3600;
 
 /**
  * Request timeout in milliseconds
  */
 const REQUEST_TIMEOUT = 5000;
 
+/**
+ * Names of the built-in price providers, in default fallback order
+ */
+export const PRICE_SOURCES = ['coingecko', 'coinbase', 'chainlink'];
+
+/**
+ * Stablecoin quote currency supported alongside ISO 4217 fiat codes
+ */
+export const USDC_CURRENCY = 'usdc';
+
+/**
+ * Normalize and validate a quote currency
+ * Accepts any three-letter ISO 4217 code (usd, eur, gbp, ...) or 'usdc'
+ *
+ * @param {string} currency - Currency code in any case
+ * @returns {string} Lower-case currency code
+ * @throws {ValidationError} If the code is not a valid currency
+ *
+ * @example
+ * normalizeCurrency('EUR'); // 'eur'
+ * normalizeCurrency('usdc'); // 'usdc'
+ */
+export function normalizeCurrency(currency) {
+  const code = typeof currency === 'string' ? currency.trim().toLowerCase() : '';
+  if (code !== USDC_CURRENCY && !/^[a-z]{3}$/.test(code)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid currency "${currency}"`, {
+      hint: 'Use an ISO 4217 code such as usd, eur or gbp, or usdc'
+    });
+  }
+  return code;
+}
+
+/**
+ * Validate that a price is a positive finite number
+ *
+ * @param {*} price - Price to validate
+ * @param {string} apiName - Name of the price source for error messages
+ * @returns {number} The validated price
+ * @throws {PriceError} If the price is not usable
+ */
+function validatePrice(price, apiName) {
+  if (typeof price !== 'number' || price <= 0 || !isFinite(price)) {
+    throw new PriceError(`Invalid ETH price received from ${apiName}`);
+  }
+  return price;
+}
+
+/**
+ * Translate an HTTP client error into a PriceError
+ *
+ * @param {Error} error - Error thrown by axios or by response validation
+ * @param {string} apiName - Name of the price API for error messages
+ * @returns {EstimatorError} Structured error to throw
+ */
+function toPriceError(error, apiName) {
+  // Handle specific error cases
+  if (error instanceof EstimatorError) {
+    // Re-throw validation errors as-is
+    return error;
+  } else if (error.code === 'ECONNABORTED') {
+    return new PriceError(`${apiName} request timed out. Please try again.`, { cause: error });
+  } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    return new PriceError(`Unable to connect to ${apiName}. Please check your internet connection.`, { cause: error });
+  } else if (error.response) {
+    // API returned an error response
+    const status = error.response.status;
+    if (status === 429) {
+      return new PriceError(`${apiName} rate limit exceeded. Please try again later.`, { cause: error });
+    } else if (status >= 500) {
+      return new PriceError(`${apiName} server error. Please try again later.`, { cause: error });
+    } else {
+      return new PriceError(`${apiName} error (${status}). Please try again later.`, { cause: error });
+    }
+  } else {
+    // Generic network or parsing error
+    return new PriceError(`Failed to fetch ETH price from ${apiName}. Please try again later.`, { cause: error });
+  }
+}
+
+/**
+ * Fetch current ETH price from CoinGecko API in the given currency
+ * USDC is quoted through USD (ETH/USD divided by USDC/USD)
+ *
+ * @param {string} [currency] - Quote currency (ISO 4217 code or 'usdc'), defaults to 'usd'
+ * @returns {Promise<number>} Current ETH price in the quote currency
+ * @throws {PriceError} When API request fails or returns invalid data
+ *
+ * @example
+ * const ethEur = await getCoinGeckoEthPrice('eur'); // 3180.4
+ */
+export async function getCoinGeckoEthPrice(currency = 'usd') {
+  const code = normalizeCurrency(currency);
+  const isUsdc = code === USDC_CURRENCY;
+
+  try {
+    const response = await axios.get(`${priceApiUrl('coingecko')}/simple/price`, {
+      timeout: REQUEST_TIMEOUT,
+      params: {
+        ids: isUsdc ? 'ethereum,usd-coin' : 'ethereum',
+        vs_currencies: isUsdc ? 'usd' : code
+      },
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'base-gas-estimator/0.1.0'
+      }
+    });
+
+    // Validate response structure
+    const data = response.data;
+    const quoteKey = isUsdc ? 'usd' : code;
+    if (!data || !data.ethereum || data.ethereum[quoteKey] === undefined) {
+      throw new PriceError(`Price API does not provide an ETH price in ${code.toUpperCase()}`);
+    }
+
+    if (isUsdc) {
+      if (!data['usd-coin'] || !data['usd-coin'].usd) {
+        throw new PriceError('Invalid response format from price API');
+      }
+      return validatePrice(data.ethereum.usd / data['usd-coin'].usd, 'price API');
+    }
+
+    return validatePrice(data.ethereum[quoteKey], 'price API');
+
+  } catch (error) {
+    throw toPriceError(error, 'Price API');
+  }
+}
+
 /**
  * Fetch current ETH price in USD from CoinGecko API
  * Returns USD price which serves as USDC equivalent for Base ecosystem calculations
- * 
+ *
  * @returns {Promise<number>} Current ETH price in USD (equivalent to USDC)
- * 
+ *
  * @example
  * const ethUsdcEquivalent = await getEthUsdPrice();
  * console.log(`Current ETH price: ${ethUsdcEquivalent} USDC`); // Current ETH price: 3450.25 USDC
- * 
- * @throws {Error} When API request fails or returns invalid data
+ *
+ * @throws {PriceError} When API request fails or returns invalid data
  */
 export async function getEthUsdPrice() {
+  return getCoinGeckoEthPrice('usd');
+}
+
+/**
+ * Fetch current ETH spot price from the Coinbase public API in the given currency
+ *
+ * @param {string} [currency] - Quote currency (ISO 4217 code or 'usdc'), defaults to 'usd'
+ * @returns {Promise<number>} Current ETH price in the quote currency
+ * @throws {PriceError} When API request fails or returns invalid data
+ *
+ * @example
+ * const price = await getCoinbaseEthPrice('gbp'); // 2710.55
+ */
+export async function getCoinbaseEthPrice(currency = 'usd') {
+  const code = normalizeCurrency(currency);
+
   try {
-    const response = await axios.get(COINGECKO_API_URL, {
+    const response = await axios.get(`${priceApiUrl('coinbase')}/prices/ETH-${code.toUpperCase()}/spot`, {
       timeout: REQUEST_TIMEOUT,
       headers: {
         'Accept': 'application/json',
@@ -44,42 +227,207 @@ export async function getEthUsdPrice() {
       }
     });
 
-    // Validate response structure
-    if (!response.data || !response.data.ethereum || !response.data.ethereum.usd) {
-      throw new Error('Invalid response format from price API');
+    // Coinbase returns the amount as a decimal string
+    if (!response.data || !response.data.data || !response.data.data.amount) {
+      throw new PriceError('Invalid response format from Coinbase API');
     }
 
-    const usdcEquivalent = response.data.ethereum.usd;
+    return validatePrice(parseFloat(response.data.data.amount), 'Coinbase API');
+
+  } catch (error) {
+    throw toPriceError(error, 'Coinbase API');
+  }
+}
+
+/**
+ * Fetch current ETH spot price in USD from the Coinbase public API
+ *
+ * @returns {Promise<number>} Current ETH price in USD
+ * @throws {PriceError} When API request fails or returns invalid data
+ */
+export async function getCoinbaseEthUsdPrice() {
+  return getCoinbaseEthPrice('usd');
+}
+
+/**
+ * Read the ETH/USD price from a Chainlink on-chain price feed
+ *
+ * The chain ID is required so the provider never probes the endpoint for it: a probe that
+ * fails makes ethers retry forever and log to stdout.
+ *
+ * @param {Object} params - Feed parameters
+ * @param {string} [params.rpcUrl] - RPC URL of the chain hosting the feed
+ * @param {Array<string>} [params.rpcUrls] - RPC URLs in failover order (overrides rpcUrl)
+ * @param {number} params.chainId - Chain ID of the network hosting the feed
+ * @param {string} params.feedAddress - Chainlink ETH/USD aggregator address
+ * @param {Object} [params.rpcOptions] - Retry, timeout, backoff and log settings (see createRpcProvider)
+ * @returns {Promise<number>} Current ETH price in USD
+ * @throws {PriceError} When the feed cannot be read or its answer is stale
+ *
+ * @example
+ * const price = await getChainlinkEthUsdPrice({
+ *   rpcUrl: 'https://mainnet.base.org',
+ *   chainId: 8453,
+ *   feedAddress: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70'
+ * });
+ */
+export async function getChainlinkEthUsdPrice({ rpcUrl, rpcUrls, chainId, feedAddress, rpcOptions }) {
+  if (!feedAddress) {
+    throw new PriceError('No Chainlink ETH/USD feed configured for this network');
+  }
+  if (chainId === undefined || chainId === null) {
+    throw new PriceError('No chain ID given for the Chainlink ETH/USD feed');
+  }
+
+  let provider;
+  try {
+    provider = createRpcProvider(rpcUrls || rpcUrl, { ...rpcOptions, chainId });
+    const feed = new ethers.Contract(feedAddress, CHAINLINK_AGGREGATOR_ABI, provider);
+
+    const [decimals, roundData] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
 
-    // Validate price is a positive number
-    if (typeof usdcEquivalent !== 'number' || usdcEquivalent <= 0 || !isFinite(usdcEquivalent)) {
-      throw new Error('Invalid ETH price received from API');
+    const ageSeconds = Math.floor(Date.now() / 1000) - Number(roundData.updatedAt);
+    if (ageSeconds > CHAINLINK_MAX_AGE) {
+      throw new PriceError(`Chainlink ETH/USD answer is stale (${ageSeconds}s old)`);
     }
 
-    return usdcEquivalent;
+    return validatePrice(parseFloat(ethers.formatUnits(roundData.answer, decimals)), 'Chainlink feed');
 
   } catch (error) {
-    // Handle specific error cases
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Price API request timed out. Please try again.');
-    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      throw new Error('Unable to connect to price API. Please check your internet connection.');
-    } else if (error.response) {
-      // API returned an error response
-      const status = error.response.status;
-      if (status === 429) {
-        throw new Error('Price API rate limit exceeded. Please try again later.');
-      } else if (status >= 500) {
-        throw new Error('Price API server error. Please try again later.');
-      } else {
-        throw new Error(`Price API error (${status}). Please try again later.`);
-      }
-    } else if (error.message.includes('Invalid')) {
-      // Re-throw validation errors as-is
+    if (error instanceof EstimatorError) {
       throw error;
-    } else {
-      // Generic network or parsing error
-      throw new Error('Failed to fetch ETH price. Please try again later.');
+    }
+    throw new PriceError(`Unable to read Chainlink ETH/USD feed: ${error.shortMessage || error.message}`, { cause: error });
+  } finally {
+    if (provider) {
+      provider.destroy();
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Default price provider backed by CoinGecko
+ * Price providers expose a name and an async getPrice(currency) returning the ETH price
+ * in the requested currency (lower-case ISO 4217 code or 'usdc')
+ */
+export const coingeckoPriceProvider = {
+  name: 'coingecko',
+  getPrice: getCoinGeckoEthPrice
+};
+
+/**
+ * Price provider backed by the Coinbase spot price API
+ */
+export const coinbasePriceProvider = {
+  name: 'coinbase',
+  getPrice: getCoinbaseEthPrice
+};
+
+/**
+ * Create a price provider that reads a Chainlink ETH/USD feed
+ * The feed only quotes USD. USDC is answered with the USD price, as it was before currency
+ * selection; other currencies fail and fall through to the next provider
+ *
+ * @param {Object} params - Feed parameters (see getChainlinkEthUsdPrice)
+ * @returns {{name: string, getPrice: function(string=): Promise<number>}} Price provider
+ */
+export function createChainlinkPriceProvider(params) {
+  return {
+    name: 'chainlink',
+    getPrice: async (currency = 'usd') => {
+      const code = normalizeCurrency(currency);
+      if (code !== 'usd' && code !== USDC_CURRENCY) {
+        throw new PriceError('Chainlink ETH/USD feed only provides USD and USDC prices');
+      }
+      return getChainlinkEthUsdPrice(params);
+    }
+  };
+}
+
+/**
+ * Create a price provider that always returns a fixed, user-supplied price
+ * The price is assumed to be in whatever currency is requested
+ *
+ * @param {number} price - ETH price in the quote currency
+ * @returns {{name: string, getPrice: function(string=): Promise<number>}} Price provider
+ * @throws {PriceError} If the price is not a positive number
+ */
+export function createFixedPriceProvider(price) {
+  const validated = validatePrice(price, 'manual override');
+  return {
+    name: 'manual',
+    getPrice: async () => validated
+  };
+}
+
+/**
+ * Build built-in price providers from a list of names
+ *
+ * @param {Array<string>} names - Provider names from PRICE_SOURCES, in fallback order
+ * @param {Object} [chainlink] - Chainlink feed parameters: rpcUrl, rpcUrls, chainId, feedAddress and rpcOptions
+ *   (see getChainlinkEthUsdPrice)
+ * @returns {Array<Object>} Price providers
+ * @throws {PriceError} If a provider name is unknown
+ *
+ * @example
+ * createPriceProviders(['coinbase', 'coingecko']);
+ */
+export function createPriceProviders(names, chainlink = {}) {
+  return names.map((name) => {
+    switch (name) {
+      case 'coingecko':
+        return coingeckoPriceProvider;
+      case 'coinbase':
+        return coinbasePriceProvider;
+      case 'chainlink':
+        return createChainlinkPriceProvider(chainlink);
+      default:
+        throw new PriceError(`Unknown price source "${name}". Supported sources: ${PRICE_SOURCES.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Fetch the ETH price from the first provider that succeeds
+ * With a cache, a fresh cached price is returned without any request, and an expired one
+ * is returned (marked stale) only when every provider fails
+ *
+ * @param {Array<Object>} providers - Price providers in fallback order
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.currency] - Quote currency (ISO 4217 code or 'usdc'), defaults to 'usd'
+ * @param {Object} [options.cache] - Cache from createCache, shared across invocations
+ * @returns {Promise<{price: number, source: string, currency: string, ageSeconds: number, stale: boolean}>} Price, the provider that answered, the currency, and how old the price is
+ * @throws {PriceError} When every provider fails and nothing is cached (message lists each failure)
+ *
+ * @example
+ * const { price, source } = await fetchEthPrice([coingeckoPriceProvider, coinbasePriceProvider], { currency: 'eur' });
+ */
+export async function fetchEthPrice(providers, { currency = 'usd', cache } = {}) {
+  const code = normalizeCurrency(currency);
+  const cacheKey = `${providers.map((provider) => provider.name).join(',')}:${code}`;
+  const cached = cache ? cache.get('price', cacheKey) : null;
+  if (cached && cached.fresh) {
+    return { ...cached.value, currency: code, ageSeconds: cached.ageSeconds, stale: false };
+  }
+
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      const price = validatePrice(await provider.getPrice(code), provider.name);
+      if (cache) {
+        cache.set('price', cacheKey, { price, source: provider.name });
+      }
+      return { price, source: provider.name, currency: code, ageSeconds: 0, stale: false };
+    } catch (error) {
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  if (cached) {
+    return { ...cached.value, currency: code, ageSeconds: cached.ageSeconds, stale: true };
+  }
+
+  throw new PriceError(
+    failures.length ? `All price providers failed (${failures.join('; ')})` : 'No price providers configured'
+  );
+}
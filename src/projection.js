@@ -0,0 +1,218 @@
+/**
+ * Cost Projection Module
+ * Monthly cost of a recurring workload, with low / typical / high bands from recent fee history
+ *
+ * The transaction is estimated once for its gas units and L1 data fee. Its execution gas is
+ * then priced at the 10th, 50th and 90th percentile of the per-block gas prices over the
+ * sampled blocks, so the bands show what the same workload costs in quiet, ordinary and busy
+ * periods. The L1 data fee follows Ethereum's fees rather than L2 congestion, so it is held at
+ * the estimate's current value in every band and the oracle is not read at historical blocks.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { estimateEthTransfer, estimateContractCall, analyzeFeeHistory } from './estimator.js';
+import { percentileBigInt } from './fees.js';
+import { ValidationError, ERROR_CODES } from './errors.js';
+import { formatEthFromWei, formatFiat, formatGasPrice, formatInteger } from './utils.js';
+
+/**
+ * Periods a workload volume can be given per
+ */
+export const PROJECTION_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Average length of a month in days (365.25 / 12)
+ */
+export const DAYS_PER_MONTH = 30.4375;
+
+/**
+ * Gas price percentile behind each cost band
+ */
+export const PROJECTION_BANDS = { low: 10, typical: 50, high: 90 };
+
+/**
+ * Blocks of fee history sampled by default, four eth_feeHistory requests
+ * The time covered depends on the block time: about 2 hours on Base and OP Mainnet,
+ * 12 hours on Ethereum and 15 minutes on Arbitrum
+ */
+export const DEFAULT_PROJECTION_BLOCKS = 3600;
+
+/**
+ * Days in each period
+ */
+const PERIOD_DAYS = { day: 1, week: 7, month: DAYS_PER_MONTH };
+
+/**
+ * Number of transactions a month for a workload volume
+ *
+ * @param {number|string} volume - Transactions per period, a positive whole number
+ * @param {string} [period] - 'day', 'week' or 'month' (see PROJECTION_PERIODS), defaults to 'month'
+ * @returns {number} Transactions per average month, rounded to a whole transaction
+ * @throws {ValidationError} If the volume is not a positive whole number or the period is unknown
+ *
+ * @example
+ * monthlyTransactions(1000, 'day'); // 30438
+ */
+export function monthlyTransactions(volume, period = 'month') {
+  const count = typeof volume === 'string' && volume.trim() !== '' ? Number(volume) : volume;
+  if (!Number.isSafeInteger(count) || count < 1) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid volume "${volume}"`, {
+      hint: 'Please provide a positive whole number of transactions (e.g., 50000)'
+    });
+  }
+  if (!PROJECTION_PERIODS.includes(period)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid period "${period}"`, {
+      hint: `Supported periods: ${PROJECTION_PERIODS.join(', ')}`
+    });
+  }
+  return Math.round((count * DAYS_PER_MONTH) / PERIOD_DAYS[period]);
+}
+
+/**
+ * Project the monthly cost of a recurring transaction
+ *
+ * @param {Object} estimation - Estimate of one transaction (gasUnits, l1FeeWei, totalWei)
+ * @param {Object} history - Result of analyzeFeeHistory; its speed selects the priority fee tier
+ * @param {Object} workload - Workload volume
+ * @param {number|string} workload.volume - Transactions per period
+ * @param {string} [workload.period] - 'day', 'week' or 'month', defaults to 'month'
+ * @returns {Object} volume, period, transactionsPerMonth, the sampled block range, currentMonthlyWei (at the
+ *   estimate's own fees) and bands: low, typical and high, each with percentile, gasPriceWei, perTransactionWei,
+ *   monthlyWei and ...Text amounts in ETH
+ * @throws {ValidationError} If the volume or period is invalid
+ *
+ * @example
+ * const projection = projectCost(estimation, history, { volume: 50000, period: 'month' });
+ * projection.bands.high.monthlyText; // '0.00912'
+ */
+export function projectCost(estimation, history, { volume, period = 'month' }) {
+  const transactionsPerMonth = monthlyTransactions(volume, period);
+  const count = BigInt(transactionsPerMonth);
+  const executionGas = BigInt(estimation.gasUnits);
+
+  // Empty blocks report zero tips and would drag the low band down, as in summarizeFeeHistory
+  const usedBlocks = history.records.filter((record) => record.gasUsedRatio > 0);
+  const gasPrices = (usedBlocks.length ? usedBlocks : history.records)
+    .map((record) => record.baseFeeWei + record.priorityFeesWei[history.speed]);
+
+  const bands = {};
+  for (const [band, percentile] of Object.entries(PROJECTION_BANDS)) {
+    const gasPriceWei = percentileBigInt(gasPrices, percentile);
+    const perTransactionWei = executionGas * gasPriceWei + estimation.l1FeeWei;
+    const monthlyWei = perTransactionWei * count;
+    bands[band] = {
+      percentile,
+      gasPriceWei,
+      perTransactionWei,
+      monthlyWei,
+      perTransactionText: formatEthFromWei(perTransactionWei),
+      monthlyText: formatEthFromWei(monthlyWei)
+    };
+  }
+
+  const currentMonthlyWei = estimation.totalWei * count;
+
+  return {
+    volume: Number(volume),
+    period,
+    transactionsPerMonth,
+    speed: history.speed,
+    gasUnits: estimation.gasUnits,
+    l1FeeWei: estimation.l1FeeWei,
+    fromBlock: history.fromBlock,
+    toBlock: history.toBlock,
+    blocks: history.blocks,
+    fromTimestamp: history.fromTimestamp,
+    toTimestamp: history.toTimestamp,
+    currentTotalWei: estimation.totalWei,
+    currentMonthlyWei,
+    currentMonthlyText: formatEthFromWei(currentMonthlyWei),
+    bands
+  };
+}
+
+/**
+ * Estimate a transaction and project the monthly cost of sending it repeatedly
+ * Transactions without calldata are estimated as ETH transfers, the rest as contract calls
+ *
+ * @param {Object} transaction - Transaction sent by the workload
+ * @param {string} transaction.to - Recipient or contract address
+ * @param {string} [transaction.valueEth] - ETH sent with each transaction, defaults to '0'
+ * @param {string} [transaction.data] - Hex calldata
+ * @param {string} [transaction.from] - Sender address to estimate against
+ * @param {Object} params - Workload settings and Connection settings (see estimator.js)
+ * @param {number|string} params.volume - Transactions per period
+ * @param {string} [params.period] - 'day', 'week' or 'month', defaults to 'month'
+ * @param {number} [params.blocks] - Recent blocks of fee history to sample, defaults to DEFAULT_PROJECTION_BLOCKS
+ * @param {function(number, number): void} [params.onProgress] - Called with blocks fetched and total blocks
+ * @param {Object} [params.stateOverrides] - State overrides applied when simulating the transaction
+ * @returns {Promise<Object>} Result of projectCost, with the estimation and the fee history used
+ * @throws {ValidationError} If the volume or period is invalid
+ *
+ * @example
+ * const projection = await projectWorkload(
+ *   { to: nftAddress, data: encodeFunctionCall({ signature: 'mint()' }) },
+ *   { volume: 50000, period: 'month', rpcUrl: 'https://mainnet.base.org' }
+ * );
+ * projection.bands.typical.monthlyWei; // 4210000000000000n
+ */
+export async function projectWorkload({ to, valueEth = '0', data, from }, { volume, period = 'month', blocks = DEFAULT_PROJECTION_BLOCKS, onProgress, stateOverrides, ...connection }) {
+  // Fail on a bad volume before spending requests on fee history
+  monthlyTransactions(volume, period);
+
+  const [estimation, history] = await Promise.all([
+    data && data !== '0x'
+      ? estimateContractCall({ ...connection, to, data, valueEth, from, stateOverrides })
+      : estimateEthTransfer({ ...connection, to, valueEth, from, stateOverrides }),
+    analyzeFeeHistory({ ...connection, blocks, onProgress, sampleL1: false })
+  ]);
+
+  return { ...projectCost(estimation, history, { volume, period }), estimation, history };
+}
+
+/**
+ * Render a cost projection as lines of text
+ *
+ * @param {Object} projection - Result of projectWorkload
+ * @param {Object} [options] - Rendering options
+ * @param {{price: (number|null), currency: string}} [options.quote] - ETH price for fiat costs
+ * @param {string} [options.network] - Network name shown in the header
+ * @returns {Array<string>} Report lines
+ *
+ * @example
+ * console.log(formatProjection(projection, { quote, network: 'Base Mainnet' }).join('\n'));
+ */
+export function formatProjection(projection, { quote, network } = {}) {
+  const toFiat = (ethText) => (quote && quote.price !== null ? formatFiat(parseFloat(ethText) * quote.price, quote.currency) : 'n/a');
+  const columns = [10, 16, 20, 24];
+  const row = (cells) => cells.map((cell, index) => (index < columns.length ? cell.padEnd(columns[index]) : cell)).join('').trimEnd();
+  const hours = Math.max(1, Math.round((projection.toTimestamp - projection.fromTimestamp) / 3600));
+
+  const perMonth = projection.period === 'month' ? '' : ` → ${formatInteger(projection.transactionsPerMonth)} per month`;
+  const lines = [
+    `Projection${network ? `: ${network}` : ''}, ${formatInteger(projection.volume)} transactions per ${projection.period}${perMonth}`,
+    `Per Transaction: ${formatInteger(projection.gasUnits)} gas + ${formatEthFromWei(projection.l1FeeWei)} ETH L1 data fee`,
+    `Fee History: ${formatInteger(projection.blocks)} blocks (~${hours}h) at ${projection.speed} speed`,
+    '',
+    row(['Band', 'Gas Price', 'Per Transaction', 'Monthly (ETH)', `Monthly (${quote ? quote.currency.toUpperCase() : 'fiat'})`])
+  ];
+
+  for (const [band, { percentile, gasPriceWei, perTransactionText, monthlyText }] of Object.entries(projection.bands)) {
+    lines.push(row([
+      band[0].toUpperCase() + band.slice(1),
+      formatGasPrice(gasPriceWei),
+      `${perTransactionText} ETH`,
+      `${monthlyText} ETH`,
+      `${toFiat(monthlyText)} (p${percentile})`
+    ]));
+  }
+
+  lines.push(
+    '',
+    `L1 data fee held at the current ${formatEthFromWei(projection.l1FeeWei)} ETH per transaction in every band`,
+    `At current fees: ${projection.currentMonthlyText} ETH (~${toFiat(projection.currentMonthlyText)}) per month`
+  );
+  return lines;
+}
@@ -0,0 +1,63 @@
+/**
+ * Send Readiness Module
+ * Whether a sender's balance covers a transaction, and how much it could send at most
+ *
+ * Readiness is judged on the worst case a wallet signs for: every unit of the gas limit billed
+ * at the fee cap, plus the L1 data fee on OP Stack networks. A sender that passes this check
+ * cannot fail for lack of funds at the estimated gas limit, whatever the next blocks cost.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Check a sender's balance against the worst-case cost of a transaction
+ *
+ * @param {Object} account - Sender state
+ * @param {string} account.address - Sender address
+ * @param {bigint} account.balanceWei - Current balance
+ * @param {number} account.nonce - Pending nonce, the one the next transaction will use
+ * @param {Object} cost - Transaction cost
+ * @param {bigint} cost.valueWei - ETH sent with the transaction
+ * @param {bigint} cost.gasLimit - Gas limit the transaction is signed with
+ * @param {bigint} cost.maxFeePerGas - Fee cap per unit of gas
+ * @param {bigint} [cost.l1FeeWei] - L1 data fee billed on top of the gas limit, defaults to 0
+ * @returns {Object} address, balanceWei, nonce, valueWei, worstCaseFeeWei, requiredWei, canSend,
+ *   missingWei, maxSendableWei and the matching ...Text amounts in ETH, unrounded so a send-all
+ *   value can be copied as is
+ *
+ * @example
+ * const readiness = checkSendReadiness(
+ *   { address: '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e', balanceWei: 10n ** 16n, nonce: 7 },
+ *   { valueWei: 10n ** 16n, gasLimit: 21000n, maxFeePerGas: 10000000n, l1FeeWei: 2000000000n }
+ * );
+ * readiness.canSend;         // false
+ * readiness.missingText;     // '0.000000212'
+ * readiness.maxSendableText; // '0.009999788'
+ */
+export function checkSendReadiness({ address, balanceWei, nonce }, { valueWei, gasLimit, maxFeePerGas, l1FeeWei = 0n }) {
+  const worstCaseFeeWei = gasLimit * maxFeePerGas + l1FeeWei;
+  const requiredWei = valueWei + worstCaseFeeWei;
+  const missingWei = requiredWei > balanceWei ? requiredWei - balanceWei : 0n;
+  // A "send all" transfer leaves exactly the worst-case fee behind
+  const maxSendableWei = balanceWei > worstCaseFeeWei ? balanceWei - worstCaseFeeWei : 0n;
+
+  return {
+    address,
+    balanceWei,
+    nonce,
+    valueWei,
+    worstCaseFeeWei,
+    requiredWei,
+    canSend: missingWei === 0n,
+    missingWei,
+    maxSendableWei,
+    balanceText: ethers.formatEther(balanceWei),
+    worstCaseFeeText: ethers.formatEther(worstCaseFeeWei),
+    requiredText: ethers.formatEther(requiredWei),
+    missingText: ethers.formatEther(missingWei),
+    maxSendableText: ethers.formatEther(maxSendableWei)
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Reference Transactions Module
+ * Prices a fixed set of typical transactions from current fee data, for the gas dashboard
+ *
+ * Reference costs use fixed gas limits and calldata rather than eth_estimateGas, so pricing
+ * needs no sender and costs one oracle read per refresh (plus one getL1Fee call per
+ * reference transaction on Bedrock oracles, which have no local fee formula).
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { computeL1Fee, estimateL1Fee } from './l1fee.js';
+import { formatEthFromWei } from './utils.js';
+
+/**
+ * Uniswap V3 SwapRouter02 exactInputSingle, the most common swap entry point on Base
+ */
+const SWAP_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) payable returns (uint256)'
+];
+
+/**
+ * Transactions priced on every refresh
+ * Gas limits are typical on-chain values; calldata only affects the L1 data fee
+ */
+export const REFERENCE_TRANSACTIONS = {
+  transfer: {
+    label: 'ETH Transfer',
+    gasUnits: 21000n,
+    to: '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e',
+    value: ethers.parseEther('0.1'),
+    data: '0x'
+  },
+  swap: {
+    label: 'Token Swap',
+    gasUnits: 130000n,
+    to: '0x2626664c2603336E57B271c5C0b26F421741e481',
+    value: ethers.parseEther('0.1'),
+    // 0.1 WETH -> USDC through the 0.05% pool
+    data: new ethers.Interface(SWAP_ROUTER_ABI).encodeFunctionData('exactInputSingle', [[
+      '0x4200000000000000000000000000000000000006',
+      '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      500,
+      '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e',
+      ethers.parseEther('0.1'),
+      345000000n,
+      0n
+    ]])
+  }
+};
+
+/**
+ * Serialize a reference transaction the way a wallet would sign it
+ *
+ * @param {Object} reference - Entry of REFERENCE_TRANSACTIONS
+ * @param {Object} fees - Fee data (see priceReferenceTransactions)
+ * @returns {string} Unsigned serialized transaction (hex)
+ */
+function serializeReference(reference, { maxFeePerGasWei, priorityFeeWei, chainId }) {
+  return ethers.Transaction.from({
+    type: 2,
+    chainId,
+    nonce: 0,
+    gasLimit: reference.gasUnits,
+    maxFeePerGas: maxFeePerGasWei,
+    maxPriorityFeePerGas: priorityFeeWei,
+    to: reference.to,
+    value: reference.value,
+    data: reference.data
+  }).unsignedSerialized;
+}
+
+/**
+ * Ask the GasPriceOracle for the L1 data fee of each reference transaction
+ * Needed for formulas computeL1Fee does not implement (see LOCAL_L1_FEE_FORMULAS)
+ *
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Object} fees - Fee data (see priceReferenceTransactions)
+ * @param {Object} l1Params - GasPriceOracle parameters (see getL1FeeParams)
+ * @param {string} [oracleAddress] - GasPriceOracle address
+ * @returns {Promise<Object<string, bigint>>} L1 fees in wei, keyed like REFERENCE_TRANSACTIONS
+ */
+export async function quoteReferenceL1Fees(provider, fees, l1Params, oracleAddress) {
+  const quotes = await Promise.all(Object.entries(REFERENCE_TRANSACTIONS).map(async ([key, reference]) => {
+    const { l1FeeWei } = await estimateL1Fee(provider, serializeReference(reference, fees), oracleAddress, l1Params);
+    return [key, l1FeeWei];
+  }));
+  return Object.fromEntries(quotes);
+}
+
+/**
+ * Price each reference transaction at the given gas price
+ *
+ * @param {Object} fees - Current fee data
+ * @param {bigint} fees.gasPriceWei - Expected effective gas price
+ * @param {bigint} fees.maxFeePerGasWei - Fee ceiling used to serialize the transactions
+ * @param {bigint} fees.priorityFeeWei - Priority fee used to serialize the transactions
+ * @param {number|bigint} fees.chainId - Chain ID
+ * @param {Object} l1Params - GasPriceOracle parameters (see getL1FeeParams)
+ * @param {Object} [options] - Pricing options
+ * @param {Object<string, bigint>} [options.l1FeesWei] - L1 fees quoted by the oracle (see quoteReferenceL1Fees),
+ *   used instead of computing them from l1Params
+ * @returns {Object<string, {label: string, gasUnits: number, l2FeeWei: bigint, l1FeeWei: bigint, totalWei: bigint, totalText: string}>} Costs keyed like REFERENCE_TRANSACTIONS
+ *
+ * @example
+ * const { swap } = priceReferenceTransactions({ gasPriceWei, maxFeePerGasWei, priorityFeeWei, chainId: 8453 }, l1Params);
+ * swap.totalText; // '0.000000412'
+ */
+export function priceReferenceTransactions(fees, l1Params, { l1FeesWei } = {}) {
+  const costs = {};
+  for (const [key, reference] of Object.entries(REFERENCE_TRANSACTIONS)) {
+    const l2FeeWei = reference.gasUnits * fees.gasPriceWei;
+    const l1FeeWei = l1FeesWei ? l1FeesWei[key] : computeL1Fee(serializeReference(reference, fees), l1Params);
+    const totalWei = l2FeeWei + l1FeeWei;
+    costs[key] = {
+      label: reference.label,
+      gasUnits: Number(reference.gasUnits),
+      l2FeeWei,
+      l1FeeWei,
+      totalWei,
+      totalText: formatEthFromWei(totalWei)
+    };
+  }
+  return costs;
+}
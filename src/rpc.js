@@ -0,0 +1,381 @@
+/**
+ * RPC Transport Module
+ * JSON-RPC provider with per-request timeouts, retries with exponential backoff and
+ * failover across several endpoints, plus classification of provider errors
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import {
+  EstimatorError,
+  ERROR_CODES,
+  ValidationError,
+  NetworkError,
+  RpcError,
+  InsufficientFundsError,
+  RevertError
+} from './errors.js';
+
+/**
+ * Default transport settings
+ * retries is per endpoint, so each endpoint is tried up to retries + 1 times
+ */
+export const DEFAULT_RPC_OPTIONS = {
+  retries: 2,
+  timeoutMs: 10000,
+  backoffMs: 250
+};
+
+/**
+ * Node.js socket error codes raised when an endpoint cannot be reached
+ */
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+];
+
+/**
+ * Cache kind of a JSON-RPC request, or null when its answer must not be reused
+ * Only the chain ID and fee data at the head of the chain are cached
+ *
+ * @param {{method: string, params: Array}} request - JSON-RPC request
+ * @returns {string|null} Kind (see DEFAULT_CACHE_TTLS)
+ */
+function cacheKindFor({ method, params }) {
+  switch (method) {
+    case 'eth_chainId':
+    case 'net_version':
+      return 'chainId';
+    case 'eth_gasPrice':
+    case 'eth_maxPriorityFeePerGas':
+    case 'eth_blobBaseFee':
+      return 'fees';
+    case 'eth_feeHistory':
+      return params[1] === 'latest' ? 'fees' : null;
+    case 'eth_getBlockByNumber':
+      return params[0] === 'latest' && !params[1] ? 'fees' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * HTTP status of a failed ethers request, when there is one
+ *
+ * @param {Error} error - Error thrown by ethers
+ * @returns {number|null} HTTP status code
+ */
+function getHttpStatus(error) {
+  return error && error.response && typeof error.response.statusCode === 'number'
+    ? error.response.statusCode
+    : null;
+}
+
+/**
+ * Decide whether a transport failure is worth retrying on the same endpoint
+ * Timeouts, dropped connections, rate limits and 5xx responses are transient;
+ * anything else (bad URL, 401/403/404) goes straight to the next endpoint
+ *
+ * @param {Error} error - Error thrown while sending a request
+ * @returns {boolean} True if the request may succeed when repeated
+ */
+export function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === 'TIMEOUT' || error.code === 'NETWORK_ERROR') {
+    return true;
+  }
+  if (CONNECTION_ERROR_CODES.includes(error.code) && error.code !== 'ENOTFOUND') {
+    return true;
+  }
+  const status = getHttpStatus(error);
+  return status === 429 || (status !== null && status >= 500);
+}
+
+/**
+ * Short description of a transport failure for logs and error messages
+ *
+ * @param {Error} error - Error thrown while sending a request
+ * @returns {string} Description such as 'timeout' or 'HTTP 503'
+ */
+function describeFailure(error) {
+  const status = getHttpStatus(error);
+  if (status !== null) {
+    return `HTTP ${status}`;
+  }
+  if (error.code === 'TIMEOUT') {
+    return 'timeout';
+  }
+  return error.code && CONNECTION_ERROR_CODES.includes(error.code) ? error.code : (error.shortMessage || error.message);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * JSON-RPC provider that fails over between endpoints
+ * Requests stick to the endpoint that last answered; JSON-RPC error responses
+ * (reverts, insufficient funds) are returned as-is and never retried
+ */
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+  #urls;
+  #options;
+  #active = 0;
+  #answeredBy = null;
+
+  /**
+   * @param {Array<string>} urls - RPC endpoints in priority order
+   * @param {ethers.Network|undefined} network - Known network, skips chain detection
+   * @param {Object} options - Transport options (see createRpcProvider)
+   */
+  constructor(urls, network, options) {
+    super(urls[0], network, network ? { staticNetwork: network } : undefined);
+    this.#urls = urls;
+    this.#options = options;
+  }
+
+  /**
+   * Endpoint that answered the most recent request, or null before the first answer
+   * @returns {string|null}
+   */
+  get endpoint() {
+    return this.#answeredBy;
+  }
+
+  /**
+   * Send one request to a single endpoint
+   *
+   * @param {string} url - RPC endpoint
+   * @param {Object|Array<Object>} payload - JSON-RPC payload
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   */
+  async #sendTo(url, payload) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = this.#options.timeoutMs;
+    // Rate limits are handled by our own retry loop
+    request.setThrottleParams({ maxAttempts: 1 });
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+
+    const response = await request.send();
+    response.assertOk();
+
+    const body = response.bodyJson;
+    return Array.isArray(body) ? body : [body];
+  }
+
+  async _send(payload) {
+    const { cache } = this.#options;
+    const requests = Array.isArray(payload) ? payload : [payload];
+    if (!cache || !requests.some((request) => cacheKindFor(request))) {
+      return this.#sendWithFailover(payload);
+    }
+
+    // Answer what the cache can, send the rest; ethers matches responses by id
+    const endpoints = this.#urls.join(',');
+    const keyFor = (request) => `${endpoints} ${request.method} ${JSON.stringify(request.params)}`;
+    const cached = [];
+    const pending = [];
+    for (const request of requests) {
+      const kind = cacheKindFor(request);
+      const entry = kind ? cache.get(kind, keyFor(request)) : null;
+      if (entry && entry.fresh) {
+        cached.push({ jsonrpc: '2.0', id: request.id, result: entry.value });
+      } else {
+        pending.push(request);
+      }
+    }
+    if (pending.length === 0) {
+      return cached;
+    }
+
+    const responses = await this.#sendWithFailover(Array.isArray(payload) ? pending : pending[0]);
+    for (const response of responses) {
+      const request = pending.find((item) => item.id === response.id);
+      const kind = request ? cacheKindFor(request) : null;
+      if (kind && response.result !== undefined && response.result !== null) {
+        cache.set(kind, keyFor(request), response.result);
+      }
+    }
+    return [...cached, ...responses];
+  }
+
+  /**
+   * Send a payload, retrying transient failures and failing over between endpoints
+   *
+   * @param {Object|Array<Object>} payload - JSON-RPC payload
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   */
+  async #sendWithFailover(payload) {
+    const { retries, backoffMs, log } = this.#options;
+    const failures = [];
+    let lastError;
+
+    for (let offset = 0; offset < this.#urls.length; offset++) {
+      const index = (this.#active + offset) % this.#urls.length;
+      const url = this.#urls[index];
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          const result = await this.#sendTo(url, payload);
+          if (this.#answeredBy !== url && log) {
+            log(`Answered by ${url}`);
+          }
+          this.#active = index;
+          this.#answeredBy = url;
+          return result;
+        } catch (error) {
+          lastError = error;
+          const reason = describeFailure(error);
+
+          if (attempt < retries && isTransientError(error)) {
+            const delay = backoffMs * 2 ** attempt;
+            if (log) {
+              log(`${url} failed (${reason}); retrying in ${delay}ms (attempt ${attempt + 2}/${retries + 1})`);
+            }
+            await sleep(delay);
+            continue;
+          }
+
+          failures.push(`${url}: ${reason}`);
+          if (log && offset < this.#urls.length - 1) {
+            log(`${url} failed (${reason}); trying next endpoint`);
+          }
+          break;
+        }
+      }
+    }
+
+    if (this.#urls.length === 1) {
+      throw lastError;
+    }
+    throw new NetworkError(`All RPC endpoints failed (${failures.join('; ')})`, {
+      hint: 'Check your connection or the rpcUrls configured for this network',
+      cause: lastError
+    });
+  }
+}
+
+/**
+ * Create a JSON-RPC provider over one or more endpoints
+ *
+ * @param {string|Array<string>} rpcUrls - RPC endpoint, or endpoints in failover order
+ * @param {Object} [options] - Transport options
+ * @param {number} [options.chainId] - Known chain ID; skips eth_chainId auto-detection
+ * @param {number} [options.retries] - Retries per endpoint for transient failures
+ * @param {number} [options.timeoutMs] - Per-request timeout in milliseconds
+ * @param {number} [options.backoffMs] - First retry delay; doubles on each retry
+ * @param {function(string): void} [options.log] - Receives retry, failover and endpoint messages
+ * @param {Object} [options.cache] - Cache from createCache; reuses chain IDs and head-of-chain fee data
+ * @returns {ethers.JsonRpcProvider} Provider; its endpoint property names the endpoint that last answered
+ * @throws {ValidationError} If no endpoint is given or an option is invalid
+ *
+ * @example
+ * const provider = createRpcProvider(['https://mainnet.base.org', 'https://base.llamarpc.com'], {
+ *   chainId: 8453,
+ *   timeoutMs: 5000,
+ *   log: (message) => console.error(message)
+ * });
+ */
+export function createRpcProvider(rpcUrls, { chainId, ...options } = {}) {
+  const urls = (Array.isArray(rpcUrls) ? rpcUrls : [rpcUrls]).filter(Boolean);
+  if (urls.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'No RPC URL configured');
+  }
+
+  const settings = { ...DEFAULT_RPC_OPTIONS };
+  for (const key of Object.keys(DEFAULT_RPC_OPTIONS)) {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  }
+  if (!Number.isInteger(settings.retries) || settings.retries < 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'RPC retries must be a non-negative integer');
+  }
+  if (!Number.isInteger(settings.timeoutMs) || settings.timeoutMs <= 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'RPC timeout must be a positive number of milliseconds');
+  }
+  if (!Number.isInteger(settings.backoffMs) || settings.backoffMs < 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'RPC backoff must be a non-negative number of milliseconds');
+  }
+  settings.log = options.log;
+  settings.cache = options.cache;
+
+  const network = chainId !== undefined && chainId !== null ? ethers.Network.from(chainId) : undefined;
+  return new FailoverRpcProvider(urls, network, settings);
+}
+
+/**
+ * Translate an ethers or transport error into a structured EstimatorError
+ * Classification uses ethers error codes, Node.js socket codes and HTTP status,
+ * never the wording of the message
+ *
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {EstimatorError} Structured error
+ *
+ * @example
+ * try {
+ *   await provider.estimateGas(tx);
+ * } catch (error) {
+ *   throw classifyRpcError(error);
+ * }
+ */
+export function classifyRpcError(error) {
+  if (error instanceof EstimatorError) {
+    return error;
+  }
+
+  const detail = error.shortMessage || error.message;
+
+  switch (error.code) {
+    case 'INSUFFICIENT_FUNDS':
+      return new InsufficientFundsError('Insufficient funds for gas estimation', { cause: error });
+    case 'CALL_EXCEPTION':
+      return new RevertError(`Transaction would revert: ${error.reason || error.shortMessage || 'execution reverted'}`, {
+        reason: error.reason,
+        cause: error
+      });
+    case 'INVALID_ARGUMENT':
+      return new ValidationError(
+        error.argument === 'address' ? ERROR_CODES.INVALID_ADDRESS : ERROR_CODES.INVALID_ARGUMENT,
+        `Invalid argument: ${detail}`,
+        { cause: error }
+      );
+    case 'TIMEOUT':
+      return new NetworkError('RPC request timed out. Please try again later.', {
+        hint: 'Increase the timeout with --rpc-timeout or add a faster RPC endpoint',
+        cause: error
+      });
+    case 'NETWORK_ERROR':
+      return new NetworkError('Unable to connect to the network. Please try again later.', { cause: error });
+    case 'SERVER_ERROR': {
+      const status = getHttpStatus(error);
+      return new RpcError(status !== null ? `RPC endpoint returned HTTP ${status}` : `RPC endpoint error: ${detail}`, { cause: error });
+    }
+    default:
+      break;
+  }
+
+  if (CONNECTION_ERROR_CODES.includes(error.code)) {
+    return new NetworkError('Network connection failed. Please check your internet connection.', { cause: error });
+  }
+
+  // Any other provider failure keeps its original message
+  return new RpcError(detail, { cause: error });
+}
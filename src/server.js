@@ -0,0 +1,266 @@
+/**
+ * Server Module
+ * A small JSON HTTP API over the estimator, for backends that want estimates without shelling out
+ *
+ * One server talks to one network. Every request shares the server's price providers and cache,
+ * so a busy backend does not fetch the ETH price once per request. Each estimate opens its own
+ * RPC provider from the connection options and destroys it when done; with a cache in
+ * rpcOptions the chain ID check is answered from the cache instead of the endpoint.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import http from 'http';
+import { estimateEthTransfer, estimateContractCall, getGasDashboard } from './estimator.js';
+import { fetchEthPrice } from './price.js';
+import { FEE_SPEEDS } from './fees.js';
+import { isValidAddress, isPositiveNumber, isNonNegativeNumber } from './utils.js';
+import { ValidationError, ERROR_CODES, toEstimatorError } from './errors.js';
+import { buildReport, buildDashboardReport, formatJson, formatErrorPayload } from './output.js';
+
+/**
+ * Address the server binds to by default; only local processes can reach it
+ */
+export const DEFAULT_SERVER_HOST = '127.0.0.1';
+
+/**
+ * Port the server listens on by default
+ */
+export const DEFAULT_SERVER_PORT = 8080;
+
+/**
+ * Largest accepted request body, in bytes
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * HTTP status for each error code; anything else is a 500
+ */
+const HTTP_STATUS = {
+  [ERROR_CODES.INVALID_ADDRESS]: 400,
+  [ERROR_CODES.INVALID_VALUE]: 400,
+  [ERROR_CODES.INVALID_ARGUMENT]: 400,
+  [ERROR_CODES.EXECUTION_REVERTED]: 422,
+  [ERROR_CODES.INSUFFICIENT_FUNDS]: 422,
+  [ERROR_CODES.NETWORK_ERROR]: 502,
+  [ERROR_CODES.RPC_ERROR]: 502,
+  [ERROR_CODES.CHAIN_ID_MISMATCH]: 502
+};
+
+/**
+ * An error answered with a specific HTTP status instead of the one its code maps to
+ */
+class HttpError extends ValidationError {
+  constructor(status, message, options) {
+    super(ERROR_CODES.INVALID_ARGUMENT, message, options);
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body; an empty body is an empty object
+ * @throws {HttpError} If the body is too large, not JSON or not a JSON object
+ */
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Validate the fields shared by transfer and call requests
+ *
+ * @param {Object} body - Request body
+ * @param {string} recipient - What the "to" address is, for error messages
+ * @throws {ValidationError} If an address or the speed is invalid
+ */
+function validateCommonFields(body, recipient) {
+  if (!isValidAddress(body.to)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, `Invalid ${recipient} address`, {
+      hint: 'Please provide a valid Ethereum address (0x... format) in "to"'
+    });
+  }
+  if (body.from !== undefined && !isValidAddress(body.from)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, 'Invalid sender address', {
+      hint: 'Please provide a valid Ethereum address (0x... format) in "from"'
+    });
+  }
+  if (body.speed !== undefined && !FEE_SPEEDS.includes(body.speed)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid speed "${body.speed}"`, {
+      hint: `Supported speeds: ${FEE_SPEEDS.join(', ')}`
+    });
+  }
+}
+
+/**
+ * Create an HTTP server answering estimate, fee and health requests with JSON
+ *
+ * Endpoints:
+ * - GET /health: liveness, the network and uptime
+ * - GET /fees: the gas dashboard, as `base-gas gas --output json` prints it
+ * - POST /estimate/transfer: body { to, valueEth, from?, speed? }
+ * - POST /estimate/call: body { to, signature | abi + functionName | data, args?, valueEth?, from?, speed? }
+ *
+ * Estimates answer with the same report as `--output json`; errors with { error: { code, message, hint } }
+ * and a 4xx or 5xx status.
+ *
+ * @param {Object} options - Server options
+ * @param {Object} options.connection - Estimator connection: rpcUrl, rpcUrls, chainId, feeModel, gasPriceOracle,
+ *   speed, feeWindow and rpcOptions (pass the shared cache as rpcOptions.cache)
+ * @param {string} options.network - Network key reported in responses
+ * @param {Array<Object>} options.priceProviders - Price providers in fallback order
+ * @param {string} [options.currency] - Normalized quote currency, defaults to 'usdc'
+ * @param {Object} [options.cache] - Cache for ETH prices (see createCache)
+ * @param {function(string): void} [options.log] - Called with one line per request
+ * @returns {http.Server} Server, not yet listening
+ *
+ * @example
+ * const server = createEstimationServer({ connection, network: 'base', priceProviders, cache });
+ * server.listen(DEFAULT_SERVER_PORT, DEFAULT_SERVER_HOST);
+ */
+export function createEstimationServer({ connection, network, priceProviders, currency = 'usdc', cache, log }) {
+  const startedAt = Date.now();
+
+  // Estimates still answer with ETH-only costs when every price source fails
+  const quotePrice = async () => {
+    try {
+      return await fetchEthPrice(priceProviders, { currency, cache });
+    } catch (error) {
+      return { price: null, source: null, currency, stale: false };
+    }
+  };
+
+  const priceContext = (quote) => ({
+    network,
+    ethPrice: quote.price,
+    priceSource: quote.source,
+    priceStale: quote.stale,
+    fiatCurrency: quote.currency.toUpperCase()
+  });
+
+  const estimate = async (command, estimator, params) => {
+    const [quote, estimation] = await Promise.all([quotePrice(), estimator({ ...connection, ...params })]);
+    return buildReport(estimation, { command, ...priceContext(quote) });
+  };
+
+  const routes = {
+    'GET /health': async () => ({
+      status: 'ok',
+      network,
+      chainId: connection.chainId,
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000)
+    }),
+
+    'GET /fees': async () => {
+      const [dashboard, quote] = await Promise.all([getGasDashboard(connection), quotePrice()]);
+      return buildDashboardReport(dashboard, priceContext(quote));
+    },
+
+    'POST /estimate/transfer': async (request) => {
+      const body = await readJsonBody(request);
+      validateCommonFields(body, 'recipient');
+      if (!isPositiveNumber(body.valueEth)) {
+        throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+          hint: 'Please provide a positive number in "valueEth" (e.g., "0.1")'
+        });
+      }
+
+      return estimate('transfer', estimateEthTransfer, {
+        to: body.to,
+        valueEth: String(body.valueEth),
+        from: body.from,
+        ...(body.speed ? { speed: body.speed } : {})
+      });
+    },
+
+    'POST /estimate/call': async (request) => {
+      const body = await readJsonBody(request);
+      validateCommonFields(body, 'contract');
+      const valueEth = body.valueEth === undefined ? '0' : String(body.valueEth);
+      if (!isNonNegativeNumber(valueEth)) {
+        throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid ETH value', {
+          hint: 'Please provide zero or a positive number in "valueEth" (e.g., "0.1")'
+        });
+      }
+      if ([body.signature, body.abi, body.data].filter((field) => field !== undefined).length !== 1) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Provide exactly one of "signature", "abi" or "data"', {
+          hint: 'Example: { "signature": "transfer(address,uint256)", "args": ["0x...", "1000"] }'
+        });
+      }
+      if (body.args !== undefined && !Array.isArray(body.args)) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, '"args" must be an array');
+      }
+
+      return estimate('call', estimateContractCall, {
+        to: body.to,
+        signature: body.signature,
+        abi: body.abi,
+        functionName: body.functionName,
+        args: body.args,
+        data: body.data,
+        valueEth,
+        from: body.from,
+        ...(body.speed ? { speed: body.speed } : {})
+      });
+    }
+  };
+
+  return http.createServer(async (request, response) => {
+    const requestStart = Date.now();
+    const path = new URL(request.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+    let status = 200;
+    let payload;
+
+    try {
+      const handler = routes[`${request.method} ${path}`];
+      if (!handler) {
+        const allowed = Object.keys(routes).filter((route) => route.endsWith(` ${path}`)).map((route) => route.split(' ')[0]);
+        if (allowed.length) {
+          response.setHeader('Allow', allowed.join(', '));
+          throw new HttpError(405, `Method ${request.method} is not allowed on ${path}`);
+        }
+        throw new HttpError(404, `Unknown endpoint ${request.method} ${path}`, {
+          hint: `Endpoints: ${Object.keys(routes).join(', ')}`
+        });
+      }
+      payload = await handler(request);
+    } catch (error) {
+      const structured = toEstimatorError(error);
+      status = error instanceof HttpError ? error.status : HTTP_STATUS[structured.code] || 500;
+      payload = formatErrorPayload(structured);
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(`${formatJson(payload)}\n`);
+
+    if (log) {
+      log(`${request.method} ${request.url} ${status} ${Date.now() - requestStart}ms`);
+    }
+  });
+}
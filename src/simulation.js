@@ -0,0 +1,348 @@
+/**
+ * Simulation Module
+ * State overrides for eth_estimateGas / eth_call, access lists from eth_createAccessList and decoding of revert data
+ *
+ * State overrides use the geth format ({ [address]: { balance, nonce, code, state, stateDiff } })
+ * so a simulation can run against funded accounts or patched contracts without touching the chain.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, RevertError, ERROR_CODES } from './errors.js';
+
+/**
+ * Balance given by --override-balance when no amount is specified, in ETH
+ */
+export const DEFAULT_OVERRIDE_BALANCE_ETH = '1000000';
+
+/**
+ * Fields accepted for each account in a state override
+ */
+const OVERRIDE_FIELDS = ['balance', 'nonce', 'code', 'state', 'stateDiff'];
+
+/**
+ * Solidity built-in revert selectors
+ */
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+/**
+ * Meaning of Solidity panic codes
+ */
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+/**
+ * Convert a wei amount, nonce or similar integer to an RPC quantity
+ *
+ * @param {*} value - bigint, number, decimal string or 0x-prefixed hex string
+ * @param {string} label - Field description for error messages
+ * @returns {string} Hex quantity
+ * @throws {ValidationError} If the value is not a non-negative integer
+ */
+function toQuantity(value, label) {
+  const isInteger = typeof value === 'bigint'
+    || (typeof value === 'number' && Number.isSafeInteger(value))
+    || (typeof value === 'string' && /^(\d+|0x[0-9a-fA-F]+)$/.test(value));
+
+  if (!isInteger || BigInt(value) < 0n) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid ${label} "${value}" in state overrides`, {
+      hint: 'Use a whole number of wei, as a decimal or 0x-prefixed hex string'
+    });
+  }
+  return ethers.toQuantity(BigInt(value));
+}
+
+/**
+ * Validate storage slots for a state or stateDiff override
+ *
+ * @param {Object} slots - Slot to value map
+ * @param {string} label - Field description for error messages
+ * @returns {Object<string, string>} Slots and values as 32-byte hex strings
+ * @throws {ValidationError} If a slot or value is not hex of at most 32 bytes
+ */
+function normalizeSlots(slots, label) {
+  if (!slots || typeof slots !== 'object' || Array.isArray(slots)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `${label} must map storage slots to values`);
+  }
+
+  const normalized = {};
+  for (const [slot, value] of Object.entries(slots)) {
+    for (const item of [slot, value]) {
+      if (typeof item !== 'string' || !ethers.isHexString(item) || ethers.dataLength(item) > 32) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid storage slot or value "${item}" in ${label}`, {
+          hint: 'Slots and values are 0x-prefixed hex strings of up to 32 bytes'
+        });
+      }
+    }
+    normalized[ethers.zeroPadValue(slot, 32)] = ethers.zeroPadValue(value, 32);
+  }
+  return normalized;
+}
+
+/**
+ * Validate state overrides and convert them to the RPC format
+ *
+ * @param {Object} overrides - Map of address to { balance, nonce, code, state, stateDiff }
+ * @returns {Object} Overrides keyed by checksummed address with hex quantities
+ * @throws {ValidationError} If an address, field or value is invalid
+ *
+ * @example
+ * normalizeStateOverrides({ '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e': { balance: '1000000000000000000' } });
+ * // { '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e': { balance: '0xde0b6b3a7640000' } }
+ */
+export function normalizeStateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'State overrides must be an object keyed by address');
+  }
+
+  const normalized = {};
+  for (const [address, account] of Object.entries(overrides)) {
+    if (!ethers.isAddress(address)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, `Invalid address "${address}" in state overrides`);
+    }
+    if (!account || typeof account !== 'object' || Array.isArray(account)) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `State override for ${address} must be an object`);
+    }
+
+    const unknown = Object.keys(account).filter((field) => !OVERRIDE_FIELDS.includes(field));
+    if (unknown.length) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unknown state override field "${unknown[0]}" for ${address}`, {
+        hint: `Supported fields: ${OVERRIDE_FIELDS.join(', ')}`
+      });
+    }
+    if (account.state !== undefined && account.stateDiff !== undefined) {
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `State override for ${address} has both state and stateDiff`, {
+        hint: 'state replaces all storage, stateDiff patches individual slots; use one of them'
+      });
+    }
+
+    const entry = {};
+    if (account.balance !== undefined) {
+      entry.balance = toQuantity(account.balance, `balance for ${address}`);
+    }
+    if (account.nonce !== undefined) {
+      entry.nonce = toQuantity(account.nonce, `nonce for ${address}`);
+    }
+    if (account.code !== undefined) {
+      if (typeof account.code !== 'string' || !ethers.isHexString(account.code)) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid code for ${address} in state overrides`);
+      }
+      entry.code = account.code;
+    }
+    if (account.state !== undefined) {
+      entry.state = normalizeSlots(account.state, `state for ${address}`);
+    }
+    if (account.stateDiff !== undefined) {
+      entry.stateDiff = normalizeSlots(account.stateDiff, `stateDiff for ${address}`);
+    }
+
+    const key = ethers.getAddress(address);
+    normalized[key] = { ...normalized[key], ...entry };
+  }
+  return normalized;
+}
+
+/**
+ * Parse an "address=eth" balance override; the amount defaults to DEFAULT_OVERRIDE_BALANCE_ETH
+ *
+ * @param {string} spec - Address, optionally followed by = and an ETH amount
+ * @returns {{address: string, balanceWei: bigint}} Account and balance
+ * @throws {ValidationError} If the address or amount is invalid
+ *
+ * @example
+ * parseBalanceOverride('0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e=10');
+ * // { address: '0x742D...', balanceWei: 10000000000000000000n }
+ */
+export function parseBalanceOverride(spec) {
+  const [address, amount = DEFAULT_OVERRIDE_BALANCE_ETH, ...rest] = String(spec).split('=');
+
+  if (!ethers.isAddress(address.trim()) || rest.length) {
+    throw new ValidationError(ERROR_CODES.INVALID_ADDRESS, `Invalid balance override "${spec}"`, {
+      hint: 'Use address=eth, e.g. --override-balance 0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e=10'
+    });
+  }
+
+  let balanceWei;
+  try {
+    balanceWei = ethers.parseEther(amount.trim());
+  } catch (error) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid ETH amount in balance override "${spec}"`);
+  }
+  if (balanceWei < 0n) {
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, `Invalid ETH amount in balance override "${spec}"`);
+  }
+
+  return { address: ethers.getAddress(address.trim()), balanceWei };
+}
+
+/**
+ * Combine state overrides with balance overrides; balances take precedence
+ *
+ * @param {Object} [overrides] - State overrides (any format accepted by normalizeStateOverrides)
+ * @param {Array<{address: string, balanceWei: bigint}>} [balances] - Balance overrides
+ * @returns {Object|undefined} Normalized overrides, undefined when there are none
+ */
+export function buildStateOverrides(overrides = {}, balances = []) {
+  const merged = normalizeStateOverrides(overrides);
+  for (const { address, balanceWei } of balances) {
+    merged[address] = { ...merged[address], balance: ethers.toQuantity(balanceWei) };
+  }
+  return Object.keys(merged).length ? merged : undefined;
+}
+
+/**
+ * Format a decoded error argument for display
+ *
+ * @param {*} value - Decoded ABI value
+ * @returns {string} Display text
+ */
+function formatArgument(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatArgument).join(', ')}]`;
+  }
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Decode revert data into a readable reason
+ * Handles Error(string), Panic(uint256) and custom errors defined in the given ABI
+ *
+ * @param {string|null} data - Revert data returned by the node
+ * @param {Array} [abi] - Contract ABI with custom error definitions
+ * @returns {string|null} Reason, e.g. 'ERC20InsufficientBalance(sender=0x..., balance=0, needed=5)', or null without data
+ *
+ * @example
+ * decodeRevertData('0x4e487b710000000000000000000000000000000000000000000000000000000000000011');
+ * // 'Panic(0x11): arithmetic overflow or underflow'
+ */
+export function decodeRevertData(data, abi = []) {
+  if (typeof data !== 'string' || !ethers.isHexString(data) || ethers.dataLength(data) < 4) {
+    return null;
+  }
+
+  const selector = ethers.dataSlice(data, 0, 4);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      return coder.decode(['string'], ethers.dataSlice(data, 4))[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = Number(coder.decode(['uint256'], ethers.dataSlice(data, 4))[0]);
+      return `Panic(0x${code.toString(16).padStart(2, '0')}): ${PANIC_REASONS[code] || 'unknown panic code'}`;
+    }
+  } catch (error) {
+    return `malformed revert data ${data}`;
+  }
+
+  let parsed = null;
+  try {
+    parsed = new ethers.Interface(abi).parseError(data);
+  } catch (error) {
+    // Not decodable with this ABI
+  }
+  if (!parsed) {
+    return `custom error ${selector}`;
+  }
+
+  const args = parsed.fragment.inputs.map((input, index) => {
+    const value = formatArgument(parsed.args[index]);
+    return input.name ? `${input.name}=${value}` : value;
+  });
+  return `${parsed.name}(${args.join(', ')})`;
+}
+
+/**
+ * Estimate gas for a transaction, applying state overrides and decoding reverts
+ * Without overrides this is a plain eth_estimateGas; with them the overrides are passed
+ * as the third eth_estimateGas parameter. When a revert comes back without data, the call
+ * is replayed with eth_call to recover it.
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {Object} transaction - Transaction request (to, value, data, optional from and accessList)
+ * @param {Object} [options] - Simulation options
+ * @param {Object} [options.stateOverrides] - State overrides (any format accepted by normalizeStateOverrides)
+ * @param {Array} [options.abi] - ABI used to decode custom errors
+ * @returns {Promise<bigint>} Gas limit
+ * @throws {RevertError} If the simulation reverts, with the decoded reason and raw data
+ */
+export async function simulateGas(provider, transaction, { stateOverrides, abi = [] } = {}) {
+  const overrides = stateOverrides && Object.keys(stateOverrides).length
+    ? normalizeStateOverrides(stateOverrides)
+    : null;
+  const request = overrides ? provider.getRpcTransaction(transaction) : null;
+
+  try {
+    if (!overrides) {
+      return await provider.estimateGas(transaction);
+    }
+    return BigInt(await provider.send('eth_estimateGas', [request, 'latest', overrides]));
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+
+    let data = error.data;
+    if (!data || data === '0x') {
+      try {
+        const params = [request || provider.getRpcTransaction(transaction), 'latest'];
+        await provider.send('eth_call', overrides ? [...params, overrides] : params);
+      } catch (callError) {
+        data = callError.data || data;
+      }
+    }
+
+    const reason = decodeRevertData(data, abi) || error.reason || null;
+    const needsAbi = reason && reason.startsWith('custom error');
+    throw new RevertError(`Transaction would revert: ${reason || error.shortMessage || 'execution reverted'}`, {
+      reason,
+      data: data && data !== '0x' ? data : null,
+      hint: needsAbi ? 'Pass the contract ABI (--abi or --artifact) to decode this custom error' : undefined,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Generate an EIP-2930 access list for a transaction with eth_createAccessList
+ * State overrides, when given, are passed as the third parameter like in simulateGas.
+ *
+ * @param {ethers.JsonRpcProvider} provider - Connected provider
+ * @param {Object} transaction - Transaction request (to, value, data, optional from)
+ * @param {Object} [options] - Simulation options
+ * @param {Object} [options.stateOverrides] - State overrides (any format accepted by normalizeStateOverrides)
+ * @returns {Promise<{accessList: Array<{address: string, storageKeys: Array<string>}>, gasUsed: bigint}>} Access list and the gas the node measured with it
+ * @throws {RevertError} If the transaction reverts while the list is traced
+ *
+ * @example
+ * const { accessList } = await createAccessList(provider, { to, data });
+ */
+export async function createAccessList(provider, transaction, { stateOverrides } = {}) {
+  const overrides = stateOverrides && Object.keys(stateOverrides).length
+    ? normalizeStateOverrides(stateOverrides)
+    : null;
+  const params = [provider.getRpcTransaction(transaction), 'latest'];
+  const result = await provider.send('eth_createAccessList', overrides ? [...params, overrides] : params);
+
+  // Geth reports reverts inside the result instead of as an RPC error
+  if (result.error) {
+    throw new RevertError(`Transaction would revert: ${result.error}`, { reason: result.error });
+  }
+
+  return {
+    accessList: ethers.accessListify(result.accessList || []),
+    gasUsed: BigInt(result.gasUsed || 0)
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Token Registry Module
+ * Bundled ERC-20 token addresses for Base mainnet and Base Sepolia
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, ERROR_CODES } from './errors.js';
+
+/**
+ * Known ERC-20 tokens per network, keyed by upper-case symbol
+ */
+const TOKEN_REGISTRY = {
+  'base': {
+    USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    USDBC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
+    DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+    WETH: '0x4200000000000000000000000000000000000006',
+    CBETH: '0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22'
+  },
+  'base-sepolia': {
+    USDC: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    WETH: '0x4200000000000000000000000000000000000006'
+  }
+};
+
+/**
+ * Resolve a token symbol or raw address to a token address
+ *
+ * @param {string} token - Token symbol (case-insensitive) or contract address
+ * @param {string} network - Network name ('base' or 'base-sepolia')
+ * @returns {{address: string, symbol: (string|null)}} Resolved token
+ * @throws {Error} If the symbol is unknown on the network and is not an address
+ *
+ * @example
+ * resolveToken('usdc', 'base'); // { address: '0x8335...2913', symbol: 'USDC' }
+ * resolveToken('0x4200000000000000000000000000000000000006', 'base'); // { address: '0x4200...0006', symbol: 'WETH' }
+ */
+export function resolveToken(token, network) {
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid token: provide a symbol or contract address');
+  }
+
+  const tokens = TOKEN_REGISTRY[network] || {};
+
+  if (ethers.isAddress(token)) {
+    const address = ethers.getAddress(token);
+    const symbol = Object.keys(tokens).find((key) => tokens[key] === address) || null;
+    return { address, symbol };
+  }
+
+  const symbol = token.toUpperCase();
+  if (!tokens[symbol]) {
+    const known = Object.keys(tokens);
+    throw new ValidationError(ERROR_CODES.UNKNOWN_TOKEN, `Unknown token "${token}" on ${network}. Known tokens: ${known.length ? known.join(', ') : 'none'}`);
+  }
+
+  return { address: tokens[symbol], symbol };
+}
+
+/**
+ * List bundled token symbols for a network
+ *
+ * @param {string} network - Network name
+ * @returns {Array<string>} Token symbols
+ */
+export function listTokens(network) {
+  return Object.keys(TOKEN_REGISTRY[network] || {});
+}
@@ -0,0 +1,217 @@
+/**
+ * Transaction Module
+ * Turns an estimate into an unsigned EIP-1559 transaction that a wallet or signer can pick up
+ *
+ * The transaction carries the chain ID, the selected tier's priority fee, a fee cap that covers
+ * the next block's base fee, the simulated gas limit plus a safety buffer and, when the sender
+ * is known, its pending nonce. It can be written as JSON, as the RLP-encoded unsigned payload
+ * that signers take, or as an EIP-681 payment URI.
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { ethers } from 'ethers';
+import { ValidationError, ERROR_CODES } from './errors.js';
+import { formatJson } from './output.js';
+
+/**
+ * Formats an unsigned transaction can be emitted in
+ */
+export const EMIT_FORMATS = ['json', 'rlp', 'uri'];
+
+/**
+ * Percentage added to the simulated gas limit by default
+ * Covers state that changes between the estimate and inclusion; unused gas is not billed
+ */
+export const DEFAULT_GAS_BUFFER_PERCENT = 20;
+
+/**
+ * Largest accepted gas buffer, in percent
+ */
+const MAX_GAS_BUFFER_PERCENT = 1000;
+
+/**
+ * Validate a gas buffer percentage
+ *
+ * @param {number|string} percent - Percentage added to the gas limit, decimals allowed
+ * @returns {number} Parsed percentage
+ * @throws {ValidationError} If the value is not a number between 0 and 1000
+ */
+export function validateGasBuffer(percent) {
+  const parsed = Number(percent);
+  if (percent === '' || percent === null || !isFinite(parsed) || parsed < 0 || parsed > MAX_GAS_BUFFER_PERCENT) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Invalid gas buffer "${percent}"`, {
+      hint: `Please provide a percentage between 0 and ${MAX_GAS_BUFFER_PERCENT} (e.g., ${DEFAULT_GAS_BUFFER_PERCENT})`
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Build the unsigned EIP-1559 transaction an estimate describes
+ *
+ * An access list the estimate found worth including goes into the transaction, with the gas
+ * limit simulated for it. The nonce is null when the estimate has no sender.
+ *
+ * @param {Object} estimation - Result of estimateEthTransfer, estimateContractCall, estimateTokenTransaction
+ *   or estimateDeployment
+ * @param {Object} [options] - Build options
+ * @param {number|string} [options.gasBufferPercent] - Percentage added to the gas limit, defaults to 20
+ * @returns {Object} type, chainId, nonce, to, value, data, accessList, gasLimit, maxFeePerGas and
+ *   maxPriorityFeePerGas, amounts as bigints
+ * @throws {ValidationError} If the gas buffer is invalid or the estimate has no simulated request
+ *
+ * @example
+ * const estimation = await estimateEthTransfer({ to, valueEth: '0.1', from });
+ * const tx = buildUnsignedTransaction(estimation, { gasBufferPercent: 10 });
+ * tx.gasLimit; // 23100n
+ */
+export function buildUnsignedTransaction(estimation, { gasBufferPercent = DEFAULT_GAS_BUFFER_PERCENT } = {}) {
+  const percent = validateGasBuffer(gasBufferPercent);
+  const { request, accessList, sender } = estimation;
+  if (!request) {
+    throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'The estimate does not describe a transaction that can be emitted');
+  }
+
+  const listed = Boolean(accessList && accessList.worthIt);
+  const simulatedGas = listed ? accessList.gasLimit : request.gasLimit;
+  // Buffer in basis points so fractional percentages work, rounding up
+  const bufferBasisPoints = BigInt(Math.round(percent * 100));
+  const gasLimit = simulatedGas + (simulatedGas * bufferBasisPoints + 9999n) / 10000n;
+
+  // The fee cap must leave room for the priority fee over the next block's base fee
+  const maxPriorityFeePerGas = estimation.priorityFeeWei;
+  const minFeeCap = estimation.nextBaseFeeWei + maxPriorityFeePerGas;
+  const maxFeePerGas = estimation.maxFeePerGasWei > minFeeCap ? estimation.maxFeePerGasWei : minFeeCap;
+
+  return {
+    type: 2,
+    chainId: estimation.chainId,
+    nonce: sender ? sender.nonce : null,
+    to: request.to,
+    value: request.value,
+    data: request.data,
+    accessList: listed ? accessList.entries : request.accessList || [],
+    gasLimit,
+    maxFeePerGas,
+    maxPriorityFeePerGas
+  };
+}
+
+/**
+ * RLP-encode an unsigned transaction, the payload a signer signs
+ * A missing nonce is encoded as 0; set it before signing
+ *
+ * @param {Object} tx - Result of buildUnsignedTransaction
+ * @returns {string} 0x02-prefixed hex
+ */
+export function serializeUnsignedTransaction(tx) {
+  return ethers.Transaction.from({ ...tx, nonce: tx.nonce === null ? 0 : tx.nonce }).unsignedSerialized;
+}
+
+/**
+ * Format a call argument as an EIP-681 parameter value
+ *
+ * @param {ethers.ParamType} param - ABI parameter
+ * @param {*} value - Decoded value
+ * @returns {string|null} URI-encoded value, null for arrays and tuples, which EIP-681 cannot express
+ */
+function formatUriParameter(param, value) {
+  if (param.baseType === 'array' || param.baseType === 'tuple') {
+    return null;
+  }
+  return encodeURIComponent(typeof value === 'string' || typeof value === 'bigint' || typeof value === 'boolean'
+    ? String(value)
+    : ethers.hexlify(value));
+}
+
+/**
+ * Format an unsigned transaction as an EIP-681 payment URI
+ *
+ * Plain ETH transfers need nothing else. Calls need the ABI of the called function to name
+ * it and type its arguments; a deployment, calldata the ABI does not decode, or an array or
+ * tuple argument has no URI form.
+ *
+ * @param {Object} tx - Result of buildUnsignedTransaction
+ * @param {Object} [options] - Format options
+ * @param {Array} [options.abi] - ABI (human-readable or JSON) containing the called function
+ * @returns {string|null} URI, or null when the transaction cannot be expressed as one
+ *
+ * @example
+ * formatEip681Uri(tx, { abi: ['function transfer(address,uint256)'] });
+ * // 'ethereum:0x8335...2913@8453/transfer?address=0x742d...Da5e&uint256=1000000&gasLimit=62000'
+ */
+export function formatEip681Uri(tx, { abi } = {}) {
+  if (!tx.to) {
+    return null;
+  }
+  const target = `ethereum:${tx.to}@${tx.chainId}`;
+  const gas = `gasLimit=${tx.gasLimit}`;
+
+  if (tx.data === '0x') {
+    return `${target}?value=${tx.value}&${gas}`;
+  }
+  if (!abi) {
+    return null;
+  }
+
+  let call;
+  try {
+    call = new ethers.Interface(abi).parseTransaction({ data: tx.data, value: tx.value });
+  } catch (error) {
+    return null;
+  }
+  if (!call) {
+    return null;
+  }
+
+  const params = [];
+  for (const [index, input] of call.fragment.inputs.entries()) {
+    const value = formatUriParameter(input, call.args[index]);
+    if (value === null) {
+      return null;
+    }
+    params.push(`${input.type}=${value}`);
+  }
+  if (tx.value > 0n) {
+    params.push(`value=${tx.value}`);
+  }
+  params.push(gas);
+
+  return `${target}/${call.name}?${params.join('&')}`;
+}
+
+/**
+ * Format an unsigned transaction for output
+ *
+ * @param {Object} tx - Result of buildUnsignedTransaction
+ * @param {string} format - 'json', 'rlp' or 'uri' (see EMIT_FORMATS)
+ * @param {Object} [options] - Format options
+ * @param {Array} [options.abi] - ABI of the called function, for 'uri'
+ * @returns {string} Formatted transaction; JSON amounts are decimal strings
+ * @throws {ValidationError} If the format is unknown or the transaction has no URI form
+ */
+export function formatUnsignedTransaction(tx, format, { abi } = {}) {
+  switch (format) {
+    case 'json':
+      return formatJson(tx);
+    case 'rlp':
+      return serializeUnsignedTransaction(tx);
+    case 'uri': {
+      const uri = formatEip681Uri(tx, { abi });
+      if (uri === null) {
+        throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, 'This transaction cannot be expressed as an EIP-681 URI', {
+          hint: tx.to
+            ? 'Calls need the function signature (--sig or --abi) and no array or tuple arguments; use json or rlp instead'
+            : 'Deployments have no URI form; use json or rlp instead'
+        });
+      }
+      return uri;
+    }
+    default:
+      throw new ValidationError(ERROR_CODES.INVALID_ARGUMENT, `Unknown transaction format "${format}"`, {
+        hint: `Supported formats: ${EMIT_FORMATS.join(', ')}`
+      });
+  }
+}
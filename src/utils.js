@@ -7,6 +7,14 @@
  */
 
 import { ethers } from 'ethers';
+import { ValidationError, ERROR_CODES } from './errors.js';
+
+/**
+ * How a network charges for posting transaction data to Ethereum:
+ * 'op-stack' through the GasPriceOracle predeploy, 'arbitrum' as extra gas units
+ * reported by the NodeInterface, 'none' for L1s and chains without a data fee
+ */
+export const FEE_MODELS = ['op-stack', 'arbitrum', 'none'];
 
 /**
  * Network configuration mapping
@@ -15,12 +23,38 @@ const NETWORK_CONFIG = {
   'base': {
     name: 'Base Mainnet',
     rpcUrl: 'https://mainnet.base.org',
-    chainId: 8453
+    chainId: 8453,
+    feeModel: 'op-stack',
+    // Chainlink ETH/USD price feed
+    ethUsdFeed: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70'
   },
   'base-sepolia': {
     name: 'Base Sepolia Testnet',
     rpcUrl: 'https://sepolia.base.org',
-    chainId: 84532
+    chainId: 84532,
+    feeModel: 'op-stack',
+    ethUsdFeed: '0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1'
+  },
+  'ethereum': {
+    name: 'Ethereum Mainnet',
+    rpcUrl: 'https://ethereum-rpc.publicnode.com',
+    chainId: 1,
+    feeModel: 'none',
+    ethUsdFeed: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419'
+  },
+  'optimism': {
+    name: 'OP Mainnet',
+    rpcUrl: 'https://mainnet.optimism.io',
+    chainId: 10,
+    feeModel: 'op-stack',
+    ethUsdFeed: '0x13e3Ee699D1909E989722E753853AE30b17e08c5'
+  },
+  'arbitrum': {
+    name: 'Arbitrum One',
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    chainId: 42161,
+    feeModel: 'arbitrum',
+    ethUsdFeed: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612'
   }
 };
 
@@ -68,10 +102,30 @@ export function isPositiveNumber(value) {
   return !isNaN(num) && isFinite(num) && num > 0;
 }
 
+/**
+ * Validate if a string represents zero or a positive number
+ * 
+ * @param {string} value - Value to validate
+ * @returns {boolean} True if valid non-negative number
+ * 
+ * @example
+ * isNonNegativeNumber('0.00'); // true
+ * isNonNegativeNumber('0.1'); // true
+ * isNonNegativeNumber('-1'); // false
+ */
+export function isNonNegativeNumber(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return false;
+  }
+  
+  const num = parseFloat(value);
+  return !isNaN(num) && isFinite(num) && num >= 0;
+}
+
 /**
  * Get RPC URL for a given network
  * 
- * @param {string} network - Network name ('base' or 'base-sepolia')
+ * @param {string} network - Network name, e.g. 'base' or 'ethereum'
  * @returns {string} RPC URL for the network
  * @throws {Error} If network is not supported
  * 
@@ -82,11 +136,23 @@ export function isPositiveNumber(value) {
 export function getRpcUrl(network) {
   const config = NETWORK_CONFIG[network];
   if (!config) {
-    throw new Error(`Unsupported network: ${network}. Supported networks: ${Object.keys(NETWORK_CONFIG).join(', ')}`);
+    throw new ValidationError(ERROR_CODES.INVALID_NETWORK, `Unsupported network: ${network}. Supported networks: ${Object.keys(NETWORK_CONFIG).join(', ')}`);
   }
   return config.rpcUrl;
 }
 
+/**
+ * List the built-in network names
+ *
+ * @returns {Array<string>} Network names
+ *
+ * @example
+ * listNetworks(); // ['base', 'base-sepolia', 'ethereum', 'optimism', 'arbitrum']
+ */
+export function listNetworks() {
+  return Object.keys(NETWORK_CONFIG);
+}
+
 /**
  * Get network configuration for a given network
  * 
@@ -97,7 +163,7 @@ export function getRpcUrl(network) {
 export function getNetworkConfig(network) {
   const config = NETWORK_CONFIG[network];
   if (!config) {
-    throw new Error(`Unsupported network: ${network}`);
+    throw new ValidationError(ERROR_CODES.INVALID_NETWORK, `Unsupported network: ${network}`);
   }
   return config;
 }
@@ -126,10 +192,26 @@ export function formatGweiFromWei(weiAmount) {
       return num.toFixed(6).replace(/\.?0+$/, '');
     }
   } catch (error) {
-    throw new Error('Invalid Wei amount for Gwei conversion');
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid Wei amount for Gwei conversion');
   }
 }
 
+/**
+ * Format a gas price in Gwei with its unit, falling back to wei when it rounds to zero
+ * (blob base fees are often a single wei)
+ *
+ * @param {bigint} weiAmount - Gas price in wei
+ * @returns {string} Formatted gas price
+ *
+ * @example
+ * formatGasPrice(1500000000n); // '1.5 Gwei'
+ * formatGasPrice(1n); // '1 wei'
+ */
+export function formatGasPrice(weiAmount) {
+  const gwei = formatGweiFromWei(weiAmount);
+  return gwei === '0' && BigInt(weiAmount) > 0n ? `${weiAmount} wei` : `${gwei} Gwei`;
+}
+
 /**
  * Format Wei amount to ETH with appropriate precision
  * 
@@ -154,7 +236,7 @@ export function formatEthFromWei(weiAmount) {
       return num.toFixed(9).replace(/\.?0+$/, '');
     }
   } catch (error) {
-    throw new Error('Invalid Wei amount for ETH conversion');
+    throw new ValidationError(ERROR_CODES.INVALID_VALUE, 'Invalid Wei amount for ETH conversion');
   }
 }
 
@@ -179,6 +261,47 @@ export function formatUsdc(usdcAmount) {
 // Legacy function name for backward compatibility
 export const formatUsd = formatUsdc;
 
+/**
+ * Format a fiat amount with its currency symbol and precision
+ * Uses the currency's standard decimals (2 for USD/EUR, 0 for JPY), extended so that
+ * sub-cent gas costs keep three significant digits. USDC keeps its six token decimals.
+ *
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - ISO 4217 code (any case) or 'usdc'
+ * @returns {string} Formatted amount
+ *
+ * @example
+ * formatFiat(12.5, 'eur'); // '€12.50'
+ * formatFiat(0.000531, 'usd'); // '$0.000531'
+ * formatFiat(0.000531, 'usdc'); // '0.000531 USDC'
+ */
+export function formatFiat(amount, currency) {
+  const code = currency.toUpperCase();
+  if (code === 'USDC') {
+    return formatUsdc(amount);
+  }
+
+  const value = typeof amount === 'number' && isFinite(amount) ? amount : 0;
+  const { maximumFractionDigits: standardDigits } = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: code
+  }).resolvedOptions();
+
+  let digits = standardDigits;
+  const magnitude = Math.abs(value);
+  if (magnitude > 0 && magnitude < 1) {
+    // Leading zeros after the decimal point plus three significant digits
+    digits = Math.min(Math.max(standardDigits, 2 - Math.floor(Math.log10(magnitude))), 12);
+  }
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: Math.min(standardDigits, digits),
+    maximumFractionDigits: digits
+  }).format(value);
+}
+
 /**
  * Format integer with thousands separators
  * 
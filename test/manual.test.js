@@ -8,15 +8,75 @@
  * @license MIT
  */
 
-import { estimateEthTransfer } from '../src/estimator.js';
-import { getEthUsdPrice } from '../src/price.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { estimateEthTransfer, estimateRawTransaction, getGasDashboard, encodeFunctionCall, encodeDeployData } from '../src/estimator.js';
+import {
+  getEthUsdPrice,
+  fetchEthPrice,
+  normalizeCurrency,
+  createFixedPriceProvider,
+  createPriceProviders,
+  getChainlinkEthUsdPrice
+} from '../src/price.js';
+import { computeL1Fee, flzCompressLen } from '../src/l1fee.js';
+import { resolveToken } from '../src/tokens.js';
+import { loadConfig, resolveNetwork } from '../src/config.js';
+import { createRpcProvider, classifyRpcError, isTransientError } from '../src/rpc.js';
+import { createCache, resolveCacheTtls } from '../src/cache.js';
+import { BUDGET_EXIT_CODE, parseBudget, hasBudget, checkBudget } from '../src/budget.js';
+import { computeFeeTiers, validateSpeed, validateFeeWindow, percentileBigInt } from '../src/fees.js';
+import { resolveBlockRange, fetchBlockFees, summarizeFeeHistory } from '../src/feehistory.js';
+import { priceReferenceTransactions } from '../src/reference.js';
+import { formatDashboard } from '../src/dashboard.js';
+import { parseBatchInput, normalizeBatchRow, estimateBatch, summarizeBatch, formatBatch } from '../src/batch.js';
+import { savingsPercent, compareNetworks, formatComparison } from '../src/compare.js';
+import { monthlyTransactions, projectCost, formatProjection } from '../src/projection.js';
+import { createEstimationServer } from '../src/server.js';
+import { checkSendReadiness } from '../src/readiness.js';
+import {
+  buildUnsignedTransaction,
+  serializeUnsignedTransaction,
+  formatEip681Uri,
+  formatUnsignedTransaction
+} from '../src/transaction.js';
+import {
+  normalizeStateOverrides,
+  parseBalanceOverride,
+  buildStateOverrides,
+  decodeRevertData,
+  simulateGas,
+  createAccessList
+} from '../src/simulation.js';
+import {
+  buildReport,
+  buildDashboardReport,
+  buildHistoryReport,
+  buildHistoryRows,
+  buildBatchReport,
+  buildComparisonReport,
+  buildProjectionReport,
+  formatCsv,
+  formatErrorPayload
+} from '../src/output.js';
+import { EstimatorError, ValidationError, PriceError, NetworkError, RevertError, ERROR_CODES } from '../src/errors.js';
+import { createEstimator } from '../src/index.js';
+import { startMockServer, fixtureKey } from './mock-server.js';
 import { 
   isValidAddress, 
   isPositiveNumber, 
+  isNonNegativeNumber,
   getRpcUrl, 
   formatGweiFromWei, 
   formatEthFromWei,
   formatUsdc,
+  formatFiat,
   formatInteger
 } from '../src/utils.js';
 
@@ -35,9 +95,14 @@ const TEST_CONFIG = {
     '0xGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGG',
     ''
   ],
-  testValues: ['0.01', '0.001', '1.0', '0.0001']
+  testValues: ['0.01', '0.001', '1.0', '0.0001'],
+  // --record forwards the mock servers to the live network and price APIs and saves their answers as fixtures
+  record: process.argv.includes('--record')
 };
 
+// Mock RPC and price servers by network, started by runAllTests
+const mocks = {};
+
 // Test results tracking
 let testResults = {
   passed: 0,
@@ -111,6 +176,11 @@ async function testUtilityFunctions() {
     assert(!isValidAddress(addr), `Invalid address should fail: ${addr}`);
   });
 
+  // Test amount validation
+  assert(isPositiveNumber('0.1') && !isPositiveNumber('0.0'), 'Positive amounts exclude zero');
+  assert(['0', '0.0', '0.00', '0.1'].every(isNonNegativeNumber), 'Non-negative amounts accept any spelling of zero');
+  assert(!isNonNegativeNumber('-0.1') && !isNonNegativeNumber('abc'), 'Non-negative amounts reject negatives and text');
+
   // Test network mapping
   assert(getRpcUrl('base') === 'https://mainnet.base.org', 'Base mainnet RPC URL correct');
   assert(getRpcUrl('base-sepolia') === 'https://sepolia.base.org', 'Base Sepolia RPC URL correct');
@@ -127,6 +197,1293 @@ async function testUtilityFunctions() {
   
   const testGweiWei = BigInt('1000000000'); // 1 Gwei in wei
   assert(formatGweiFromWei(testGweiWei) === '1', 'Wei to Gwei conversion correct');
+
+  // Test fiat formatting
+  assert(formatFiat(12.5, 'eur') === '€12.50', 'Fiat amounts use the currency symbol and standard decimals');
+  assert(formatFiat(0.000531, 'usd') === '$0.000531', 'Sub-cent amounts keep significant digits');
+  assert(formatFiat(1234.5, 'JPY') === '¥1,235', 'Zero-decimal currencies are rounded');
+  assert(formatFiat(0.000531, 'usdc') === formatUsdc(0.000531), 'USDC keeps six token decimals');
+}
+
+async function testL1FeeFormulas() {
+  log('Testing L1 data fee formulas...', 'info');
+
+  const params = {
+    l1BaseFeeWei: 10000000000n, // 10 Gwei
+    blobBaseFeeWei: 1n,
+    baseFeeScalar: 2269n,
+    blobBaseFeeScalar: 1055762n
+  };
+  const tenBytes = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+  // FastLZ compressed length
+  assert(flzCompressLen(new Uint8Array(0)) === 0, 'FastLZ length of empty input is 0');
+  assert(flzCompressLen(new Uint8Array(5)) === 6, 'Short input is emitted as one literal run');
+  assert(flzCompressLen(new Uint8Array(1000)) < 100, 'Repetitive input compresses well');
+
+  // Ecotone: 10 non-zero bytes + 68 signature bytes priced at 16 gas each
+  assert(
+    computeL1Fee(tenBytes, { ...params, upgrade: 'ecotone' }) === 28317120082n,
+    'Ecotone L1 fee formula correct'
+  );
+
+  // Fjord: small transactions are clamped to the minimum estimated size
+  assert(
+    computeL1Fee(tenBytes, { ...params, upgrade: 'fjord' }) === 36304000105n,
+    'Fjord L1 fee formula applies minimum size'
+  );
+
+  // Signed bytes already carry their signature, so no overhead is added
+  assert(
+    computeL1Fee(tenBytes, { ...params, upgrade: 'ecotone' }, { signed: true }) === 3630400010n,
+    'Signed transactions are priced without signature overhead'
+  );
+
+  assertThrows(
+    () => computeL1Fee(tenBytes, { ...params, upgrade: 'bedrock' }),
+    'Unsupported L1 fee formula',
+    'Unknown L1 fee formula should throw error'
+  );
+}
+
+async function testCalldataEncoding() {
+  log('Testing calldata encoding...', 'info');
+
+  const recipient = TEST_CONFIG.validAddresses[0];
+  const transferData = encodeFunctionCall({
+    signature: 'transfer(address,uint256)',
+    args: [recipient, '1000']
+  });
+  assert(transferData.startsWith('0xa9059cbb'), 'Signature encoding uses transfer selector');
+  assert(transferData.length === 2 + 8 + 64 * 2, 'Encoded transfer has two 32-byte arguments');
+
+  const abiData = encodeFunctionCall({
+    abi: ['function transfer(address to, uint256 amount)'],
+    functionName: 'transfer',
+    args: [recipient, '1000']
+  });
+  assert(abiData === transferData, 'ABI encoding matches signature encoding');
+
+  const complexData = encodeFunctionCall({
+    signature: 'function setFlags(bool enabled, uint256[] ids)',
+    args: ['true', '[1, 2, 3]']
+  });
+  assert(complexData.startsWith('0x'), 'Booleans and JSON arrays are encoded');
+
+  assertThrows(
+    () => encodeFunctionCall({ signature: 'transfer(address,uint256)', args: [recipient] }),
+    'expects 2 argument(s)',
+    'Wrong argument count should throw error'
+  );
+
+  assertThrows(
+    () => encodeFunctionCall({ signature: 'setEnabled(bool)', args: ['yes'] }),
+    'must be true or false',
+    'Invalid boolean argument should throw error'
+  );
+
+  // Contract creation calldata
+  const deployData = encodeDeployData({
+    bytecode: '6080',
+    abi: ['constructor(uint256 supply)'],
+    args: ['5']
+  });
+  assert(deployData === '0x6080' + '5'.padStart(64, '0'), 'Constructor arguments are appended to bytecode');
+
+  assert(encodeDeployData({ bytecode: '0x6080' }) === '0x6080', 'Bytecode without constructor is used as-is');
+
+  assertThrows(
+    () => encodeDeployData({ bytecode: '0x6080__$abc$__' }),
+    'unlinked library',
+    'Unlinked bytecode should throw error'
+  );
+
+  assertThrows(
+    () => encodeDeployData({ bytecode: '0x6080', abi: ['constructor(uint256 supply)'] }),
+    'Constructor expects 1 argument(s)',
+    'Missing constructor arguments should throw error'
+  );
+}
+
+async function testTokenRegistry() {
+  log('Testing token registry...', 'info');
+
+  const usdc = resolveToken('usdc', 'base');
+  assert(usdc.address === '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC resolves on Base mainnet');
+  assert(usdc.symbol === 'USDC', 'Symbol lookup is case-insensitive');
+
+  const sepoliaUsdc = resolveToken('USDC', 'base-sepolia');
+  assert(sepoliaUsdc.address !== usdc.address, 'USDC resolves to a different address on Base Sepolia');
+
+  const weth = resolveToken('0x4200000000000000000000000000000000000006', 'base');
+  assert(weth.symbol === 'WETH', 'Known token address resolves to its symbol');
+
+  const unknown = resolveToken(TEST_CONFIG.validAddresses[1], 'base');
+  assert(unknown.symbol === null, 'Unknown token address is accepted without symbol');
+
+  assertThrows(
+    () => resolveToken('NOTATOKEN', 'base'),
+    'Unknown token',
+    'Unknown token symbol should throw error'
+  );
+}
+
+async function testOutputFormats() {
+  log('Testing output formats...', 'info');
+
+  const estimation = {
+    gasUnits: 21000,
+    gasPriceWei: 2000000n,
+    baseFeeWei: 1000000n,
+    priorityFeeWei: 1000000n,
+    l2FeeWei: 42000000000n,
+    l1FeeWei: 100000000000n,
+    l1BaseFeeWei: 5000000000n,
+    blobBaseFeeWei: 1n,
+    totalWei: 142000000000n,
+    chainId: 8453,
+    blockNumber: 123,
+    timestamp: 1700000000
+  };
+
+  const report = buildReport(estimation, { command: 'transfer', network: 'base', ethPrice: 2000, priceSource: 'coingecko' });
+  assert(report.totalWei === '142000000000', 'Report keeps exact wei amounts as strings');
+  assert(report.totalEth === '0.000000142', 'Report converts total to ETH');
+  assert(report.gasPriceGwei === '0.002', 'Report converts gas price to Gwei');
+  assert(report.totalFiat === 0.000284, 'Report computes fiat total');
+  assert(report.timestamp === '2023-11-14T22:13:20.000Z', 'Report timestamp is ISO 8601');
+
+  const noPrice = buildReport(estimation, { command: 'transfer', network: 'base', ethPrice: null, priceSource: null });
+  assert(noPrice.totalFiat === null && noPrice.ethPrice === null, 'Missing price yields null fiat fields');
+
+  const csv = formatCsv([{ a: 1, b: 'x,y' }, { a: 2, c: 'say "hi"' }]);
+  assert(csv === 'a,b,c\n1,"x,y",\n2,,"say ""hi"""', 'CSV output escapes fields and unions columns');
+
+  const payload = formatErrorPayload(new EstimatorError(ERROR_CODES.INVALID_ADDRESS, 'Invalid recipient address'));
+  assert(payload.error.code === 'INVALID_ADDRESS', 'Error payload carries stable code');
+
+  const unknown = formatErrorPayload(new Error('boom'));
+  assert(unknown.error.code === 'UNKNOWN_ERROR' && unknown.error.message === 'boom', 'Unknown errors are wrapped');
+}
+
+async function testLibraryApi() {
+  log('Testing library API...', 'info');
+
+  const estimator = createEstimator({ network: 'base-sepolia' });
+  assert(estimator.rpcUrl === 'https://sepolia.base.org', 'Estimator resolves network RPC URL');
+
+  const custom = createEstimator({ rpcUrl: 'http://127.0.0.1:8545' });
+  assert(custom.network === 'base' && custom.rpcUrl === 'http://127.0.0.1:8545', 'Estimator accepts custom RPC URL');
+
+  assertThrows(
+    () => createEstimator({ network: 'invalid-network' }),
+    'Unsupported network',
+    'Estimator rejects unsupported network'
+  );
+
+  try {
+    await custom.estimateTransfer({ to: 'invalid-address', valueEth: '0.1' });
+    assert(false, 'Invalid address should reject');
+  } catch (error) {
+    assert(error instanceof ValidationError, 'Validation failures are ValidationError instances');
+    assert(error instanceof EstimatorError && error.code === ERROR_CODES.INVALID_ADDRESS, 'Validation errors carry INVALID_ADDRESS code');
+  }
+
+  const priced = createEstimator({ priceProvider: { name: 'fixed', getPrice: async () => 1234.5 } });
+  const quote = await priced.getEthPrice();
+  assert(quote.price === 1234.5 && quote.source === 'fixed', 'Custom price provider is used');
+
+  const failing = createEstimator({ priceProvider: { name: 'broken', getPrice: async () => { throw new Error('down'); } } });
+  try {
+    await failing.getEthPrice();
+    assert(false, 'Failing price provider should reject');
+  } catch (error) {
+    assert(error instanceof PriceError && error.code === ERROR_CODES.PRICE_UNAVAILABLE, 'Price provider failures become PriceError');
+  }
+}
+
+async function testPriceFallback() {
+  log('Testing price provider fallback...', 'info');
+
+  const failing = { name: 'down', getPrice: async () => { throw new Error('unavailable'); } };
+  const invalid = { name: 'bogus', getPrice: async () => -1 };
+  const working = { name: 'up', getPrice: async () => 2500 };
+
+  const quote = await fetchEthPrice([failing, invalid, working]);
+  assert(quote.price === 2500 && quote.source === 'up', 'First working provider answers after failures');
+
+  try {
+    await fetchEthPrice([failing, invalid]);
+    assert(false, 'All failing providers should reject');
+  } catch (error) {
+    assert(error instanceof PriceError, 'All providers failing raises PriceError');
+    assert(error.message.includes('down: unavailable'), 'PriceError lists each provider failure');
+  }
+
+  const manual = await fetchEthPrice([createFixedPriceProvider(1999.99)]);
+  assert(manual.price === 1999.99 && manual.source === 'manual', 'Manual price override is used');
+
+  assertThrows(
+    () => createFixedPriceProvider(0),
+    'Invalid ETH price',
+    'Non-positive manual price should throw error'
+  );
+
+  const quoted = [];
+  const recording = { name: 'rec', getPrice: async (currency) => { quoted.push(currency); return 3000; } };
+  const eurQuote = await fetchEthPrice([recording], { currency: 'EUR' });
+  assert(quoted[0] === 'eur' && eurQuote.currency === 'eur', 'Requested currency is passed to providers');
+
+  const chainlinkFirst = createPriceProviders(['chainlink'], { rpcUrl: getRpcUrl('base'), chainId: 8453 });
+  const fallbackQuote = await fetchEthPrice([...chainlinkFirst, recording], { currency: 'gbp' });
+  assert(fallbackQuote.source === 'rec', 'USD-only Chainlink feed falls through for other currencies');
+
+  // The default currency is USDC, so the Chainlink fallback has to answer it on its own
+  const feedAddress = '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70';
+  const feed = new ethers.Interface([
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)'
+  ]);
+  const feedServer = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      const payload = JSON.parse(body);
+      const reply = (item) => {
+        const now = Math.floor(Date.now() / 1000);
+        const call = item.method === 'eth_call' && feed.parseTransaction({ data: item.params[0].data });
+        const result = call && call.name === 'latestRoundData'
+          ? feed.encodeFunctionResult('latestRoundData', [1n, 345000000000n, now, now, 1n])
+          : feed.encodeFunctionResult('decimals', [8]);
+        return { jsonrpc: '2.0', id: item.id, result };
+      };
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+    });
+  });
+  await new Promise((resolve) => feedServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const chainlinkOnly = createPriceProviders(['chainlink'], {
+      rpcUrl: `http://127.0.0.1:${feedServer.address().port}`,
+      chainId: 8453,
+      feedAddress
+    });
+    const usdcQuote = await fetchEthPrice(chainlinkOnly, { currency: 'usdc' });
+    assert(usdcQuote.source === 'chainlink' && usdcQuote.price === 3450 && usdcQuote.currency === 'usdc', 'Chainlink alone answers USDC quotes');
+  } catch (error) {
+    assert(false, `Chainlink USDC quote failed: ${error.message}`);
+  } finally {
+    feedServer.close();
+  }
+
+  // An unreachable feed endpoint must fail within the RPC timeout and keep stdout clean
+  const logged = [];
+  const consoleLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    await getChainlinkEthUsdPrice({
+      rpcUrls: ['http://127.0.0.1:9/'],
+      chainId: 8453,
+      feedAddress,
+      rpcOptions: { retries: 0, timeoutMs: 2000 }
+    });
+    logged.push('unexpected price');
+  } catch (error) {
+    logged.push(error instanceof PriceError ? null : error.message);
+  } finally {
+    console.log = consoleLog;
+  }
+  assert(logged.length === 1 && logged[0] === null, 'An unreachable Chainlink endpoint fails with a PriceError and prints nothing');
+
+  assert(normalizeCurrency('USDC') === 'usdc', 'USDC is accepted as a quote currency');
+  assertThrows(
+    () => normalizeCurrency('euro'),
+    'Invalid currency',
+    'Malformed currency code should throw error'
+  );
+
+  const providers = createPriceProviders(['coinbase', 'chainlink'], { rpcUrl: getRpcUrl('base'), chainId: 8453 });
+  assert(providers.map((provider) => provider.name).join(',') === 'coinbase,chainlink', 'Providers are built in requested order');
+
+  assertThrows(
+    () => createPriceProviders(['nope']),
+    'Unknown price source',
+    'Unknown price source should throw error'
+  );
+}
+
+async function testNetworkConfig() {
+  log('Testing network config and RPC overrides...', 'info');
+
+  const root = mkdtempSync(join(tmpdir(), 'base-gas-config-'));
+  const homeDir = join(root, 'home');
+  const cwd = join(root, 'project');
+  mkdirSync(join(homeDir, '.base-gas'), { recursive: true });
+  mkdirSync(cwd);
+
+  try {
+    const empty = loadConfig({ cwd, homeDir });
+    assert(empty.files.length === 0 && Object.keys(empty.networks).length === 0, 'Missing config files are skipped');
+
+    writeFileSync(join(homeDir, '.base-gas', 'config.json'), JSON.stringify({
+      networks: {
+        'op-mainnet': { name: 'OP Mainnet', chainId: 10, rpcUrls: ['https://op.example.com'] },
+        base: { rpcUrls: ['https://base.example.com'] }
+      }
+    }));
+    writeFileSync(join(cwd, '.basegasrc'), JSON.stringify({
+      networks: { 'op-mainnet': { rpcUrls: ['https://op-project.example.com'] } }
+    }));
+
+    const config = loadConfig({ cwd, homeDir });
+    assert(config.files.length === 2, 'User and project config files are both read');
+
+    const op = resolveNetwork('op-mainnet', { config, env: {} });
+    assert(op.chainId === 10 && op.rpcUrl === 'https://op-project.example.com', 'Project config overrides user config');
+    assert(op.gasPriceOracle === '0x420000000000000000000000000000000000000F', 'Custom networks default to the GasPriceOracle predeploy');
+    assert(op.feeModel === 'op-stack', 'Custom networks default to the OP Stack fee model');
+    assert(resolveNetwork('arbitrum', { env: {} }).feeModel === 'arbitrum' && resolveNetwork('ethereum', { env: {} }).feeModel === 'none', 'Built-in networks carry their fee model');
+
+    const base = resolveNetwork('base', { config, env: {} });
+    assert(base.chainId === 8453 && base.rpcUrl === 'https://base.example.com', 'Config can override a built-in RPC URL');
+
+    const fromEnv = resolveNetwork('base', { config, env: { BASE_GAS_RPC_URL: 'https://env.example.com' } });
+    assert(fromEnv.rpcUrl === 'https://env.example.com', 'BASE_GAS_RPC_URL overrides the config file');
+
+    const fromFlag = resolveNetwork('base', { config, rpcUrl: 'https://flag.example.com', env: { BASE_GAS_RPC_URL: 'https://env.example.com' } });
+    assert(fromFlag.rpcUrl === 'https://flag.example.com', '--rpc-url overrides BASE_GAS_RPC_URL');
+
+    assertThrows(
+      () => resolveNetwork('unknown-chain', { config, env: {} }),
+      'Unsupported network',
+      'Unknown network should throw error'
+    );
+
+    assertThrows(
+      () => resolveNetwork('base', { rpcUrl: 'not-a-url', env: {} }),
+      'Invalid RPC URL',
+      'Malformed RPC URL should throw error'
+    );
+
+    writeFileSync(join(cwd, '.basegasrc'), JSON.stringify({ networks: { devnet: { rpcUrls: ['http://127.0.0.1:8545'] } } }));
+    assertThrows(
+      () => loadConfig({ cwd, homeDir }),
+      'chainId required',
+      'Custom network without chainId should throw error'
+    );
+
+    writeFileSync(join(cwd, '.basegasrc'), JSON.stringify({ networks: { zksync: { chainId: 324, rpcUrls: ['https://zk.example.com'], feeModel: 'zk' } } }));
+    assertThrows(
+      () => loadConfig({ cwd, homeDir }),
+      'feeModel must be one of',
+      'Unknown fee model should throw error'
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+async function testCache() {
+  log('Testing the price and fee cache...', 'info');
+
+  const root = mkdtempSync(join(tmpdir(), 'base-gas-cache-'));
+  const file = join(root, 'cache', 'cache.json');
+  let clock = 1700000000000;
+  const cache = createCache({ file, ttls: { price: 60, fees: 0 }, now: () => clock });
+
+  try {
+    assert(resolveCacheTtls({ price: 300 }).chainId === 86400, 'Unset TTLs keep their defaults');
+    assertThrows(() => resolveCacheTtls({ gas: 5 }), 'Unknown cache kind', 'Unknown cache kinds should throw');
+    assertThrows(() => resolveCacheTtls({ price: -1 }), 'non-negative', 'Negative TTLs should throw');
+
+    assert(cache.get('price', 'coingecko:usd') === null, 'A missing cache file is empty');
+    cache.set('price', 'coingecko:usd', { price: 3000, source: 'coingecko' });
+    clock += 30000;
+    const fresh = cache.get('price', 'coingecko:usd');
+    assert(fresh.fresh && fresh.ageSeconds === 30 && fresh.value.price === 3000, 'Entries are fresh within their TTL');
+    clock += 60000;
+    assert(!cache.get('price', 'coingecko:usd').fresh, 'Entries expire after their TTL');
+
+    cache.set('fees', 'eth_gasPrice', '0x1');
+    assert(cache.get('fees', 'eth_gasPrice') === null, 'A TTL of 0 disables a kind');
+
+    const other = createCache({ file, now: () => clock });
+    assert(other.get('price', 'coingecko:usd').value.source === 'coingecko', 'Entries are shared through the cache file');
+
+    // Fresh prices skip the providers; expired ones are only used when every provider fails
+    let requests = 0;
+    const counting = { name: 'coingecko', getPrice: async () => { requests++; return 3100; } };
+    const broken = { name: 'coingecko', getPrice: async () => { throw new Error('429'); } };
+    clock += 8 * 24 * 3600 * 1000;
+    const fetched = await fetchEthPrice([counting], { cache });
+    const reused = await fetchEthPrice([counting], { cache });
+    assert(fetched.price === 3100 && reused.price === 3100 && requests === 1, 'A fresh cached price is reused');
+    clock += 120000;
+    const stale = await fetchEthPrice([broken], { cache });
+    assert(stale.stale && stale.ageSeconds === 120 && stale.price === 3100, 'An expired price is returned as stale when every provider fails');
+    const report = buildReport({ totalWei: 1n, chainId: 8453 }, { command: 'transfer', network: 'base', ethPrice: stale.price, priceSource: stale.source, priceStale: stale.stale });
+    assert(report.priceStale === true, 'Reports flag a stale price');
+
+    writeFileSync(file, 'not json');
+    assert(cache.get('price', 'coingecko:usd') === null, 'A corrupt cache file counts as empty');
+    cache.set('price', 'coingecko:usd', { price: 1, source: 'coingecko' });
+    assert(cache.clear() === 1 && cache.clear() === 0, 'Clearing removes every entry');
+
+    // Chain IDs are answered from the cache; other requests still reach the endpoint
+    const methods = [];
+    const server = createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        const payload = JSON.parse(body);
+        const reply = (item) => {
+          methods.push(item.method);
+          return { jsonrpc: '2.0', id: item.id, result: item.method === 'eth_chainId' ? '0x2105' : '0x10' };
+        };
+        response.setHeader('content-type', 'application/json');
+        response.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      for (let run = 0; run < 2; run++) {
+        const provider = createRpcProvider(url, { chainId: 8453, cache: createCache({ file, now: () => clock }) });
+        assert(await provider.send('eth_chainId', []) === '0x2105', 'Cached chain IDs are returned unchanged');
+        await provider.send('eth_blockNumber', []);
+        provider.destroy();
+      }
+      assert(methods.filter((method) => method === 'eth_chainId').length === 1, 'The chain ID is fetched once across providers');
+      assert(methods.filter((method) => method === 'eth_blockNumber').length === 2, 'Uncached methods always reach the endpoint');
+    } finally {
+      server.close();
+    }
+
+    const configRoot = join(root, 'config');
+    mkdirSync(configRoot);
+    writeFileSync(join(configRoot, '.basegasrc'), JSON.stringify({ cache: { ttl: { price: 300 } } }));
+    assert(loadConfig({ cwd: configRoot, homeDir: configRoot }).cacheTtls.price === 300, 'Config files set cache TTLs');
+    writeFileSync(join(configRoot, '.basegasrc'), JSON.stringify({ cache: { ttl: { price: 'long' } } }));
+    assertThrows(() => loadConfig({ cwd: configRoot, homeDir: configRoot }), 'Invalid cache.ttl', 'Invalid cache TTLs in a config file should throw');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+async function testBudget() {
+  log('Testing budget limits...', 'info');
+
+  const budget = parseBudget({ maxCostEth: '0.001', maxCostFiat: '2.5', maxGwei: '0.05' });
+  assert(budget.maxCostWei === 10n ** 15n && budget.maxCostFiat === 2.5 && budget.maxGasPriceWei === 50000000n, 'Limits are parsed to wei, fiat and wei per gas');
+  assert(!hasBudget(parseBudget()) && hasBudget(parseBudget({ maxGwei: '1' })), 'A budget needs at least one limit');
+  assertThrows(() => parseBudget({ maxCostEth: '-1' }), 'Invalid ETH cost limit', 'Negative limits should throw');
+  assertThrows(() => parseBudget({ maxCostFiat: 'cheap' }), 'Invalid fiat cost limit', 'Non-numeric fiat limits should throw');
+  assertThrows(() => parseBudget({ maxGwei: '0.0000000001' }), 'too many decimals', 'Limits below one wei should throw');
+
+  const cheap = checkBudget({ totalWei: 10n ** 14n, gasPriceWei: 10000000n }, budget, { price: 3000, currency: 'usd' });
+  assert(cheap.withinBudget && cheap.breaches.length === 0, 'Costs under every limit are within budget');
+
+  const expensive = checkBudget({ totalWei: 2n * 10n ** 15n, gasPriceWei: 60000000n }, budget, { price: 3000, currency: 'usd' });
+  assert(!expensive.withinBudget && expensive.breaches.map((breach) => breach.limit).join(',') === 'maxCostEth,maxCostFiat,maxGwei', 'Every breached limit is reported');
+  assert(expensive.breaches[0].message === 'Total cost 0.002 ETH is above the limit of 0.001 ETH', 'Breaches explain the cost and the limit');
+  assert(expensive.breaches[2].message.includes('0.06 Gwei') && expensive.breaches[2].message.includes('0.05 Gwei'), 'Gas price breaches are shown in Gwei');
+
+  const exact = checkBudget({ totalWei: 10n ** 15n, gasPriceWei: 50000000n }, budget, { price: 2500, currency: 'usd' });
+  assert(exact.withinBudget, 'Costs equal to a limit are within budget');
+  assertThrows(() => checkBudget({ totalWei: 1n, gasPriceWei: 1n }, budget, { price: null }), 'needs an ETH price', 'A fiat limit without a price should throw');
+  assert(checkBudget({ totalWei: 1n, gasPriceWei: 1n }, parseBudget({ maxCostEth: '1' })).withinBudget, 'ETH limits need no price');
+  assert(BUDGET_EXIT_CODE !== 0 && BUDGET_EXIT_CODE !== 1, 'Over budget has its own exit code');
+}
+
+async function testRpcFailover() {
+  log('Testing RPC failover and error classification...', 'info');
+
+  // Minimal local endpoint that answers eth_chainId for Base
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      const payload = JSON.parse(body);
+      const reply = (item) => ({ jsonrpc: '2.0', id: item.id, result: '0x2105' });
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const liveUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const messages = [];
+    const provider = createRpcProvider(['http://127.0.0.1:9', liveUrl], {
+      chainId: 8453,
+      retries: 1,
+      backoffMs: 1,
+      timeoutMs: 2000,
+      log: (message) => messages.push(message)
+    });
+    const chainId = await provider.send('eth_chainId', []);
+    assert(chainId === '0x2105' && provider.endpoint === liveUrl, 'Requests fail over to the next endpoint');
+    assert(messages.some((message) => message.includes('retrying')), 'Transient failures are retried before failing over');
+    provider.destroy();
+
+    const dead = createRpcProvider(['http://127.0.0.1:9', 'http://127.0.0.1:19'], { chainId: 8453, retries: 0 });
+    try {
+      await dead.send('eth_chainId', []);
+      assert(false, 'All endpoints failing should reject');
+    } catch (error) {
+      assert(error instanceof NetworkError && error.message.includes('All RPC endpoints failed'), 'Exhausted failover raises NetworkError');
+    }
+    dead.destroy();
+  } finally {
+    server.close();
+  }
+
+  // Estimators own their provider and destroy it whether they succeed or fail
+  const destroy = ethers.JsonRpcProvider.prototype.destroy;
+  let destroyed = 0;
+  ethers.JsonRpcProvider.prototype.destroy = function () {
+    destroyed++;
+    return destroy.call(this);
+  };
+  try {
+    await estimateEthTransfer({ to: TEST_CONFIG.validAddresses[0], valueEth: '0.01', rpcUrl: mocks.base.rpcUrl, chainId: 8453 });
+    assert(destroyed === 1, 'A successful estimate destroys its provider');
+    try {
+      await estimateEthTransfer({ to: TEST_CONFIG.validAddresses[0], valueEth: '0.01', rpcUrl: mocks.base.rpcUrl, chainId: 10 });
+      assert(false, 'A chain ID mismatch should reject');
+    } catch (error) {
+      assert(error.code === ERROR_CODES.CHAIN_ID_MISMATCH, 'The wrong chain is reported');
+    }
+    assert(destroyed === 2, 'A failed estimate destroys its provider exactly once');
+  } finally {
+    ethers.JsonRpcProvider.prototype.destroy = destroy;
+  }
+
+  assertThrows(
+    () => createRpcProvider(['http://127.0.0.1:8545'], { retries: -1 }),
+    'retries',
+    'Negative retry count should throw error'
+  );
+
+  assert(isTransientError({ code: 'TIMEOUT' }), 'Timeouts are transient');
+  assert(isTransientError({ code: 'SERVER_ERROR', response: { statusCode: 503 } }), 'HTTP 503 is transient');
+  assert(!isTransientError({ code: 'SERVER_ERROR', response: { statusCode: 401 } }), 'HTTP 401 is not transient');
+
+  assert(classifyRpcError({ code: 'INSUFFICIENT_FUNDS', message: 'x' }).code === ERROR_CODES.INSUFFICIENT_FUNDS, 'Insufficient funds is classified by code');
+  assert(classifyRpcError({ code: 'CALL_EXCEPTION', reason: 'nope', message: 'x' }) instanceof RevertError, 'Call exceptions become RevertError');
+  assert(classifyRpcError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' }).code === ERROR_CODES.NETWORK_ERROR, 'Socket errors become NETWORK_ERROR');
+  assert(classifyRpcError(new Error('network is great')).code === ERROR_CODES.RPC_ERROR, 'Messages are not sniffed for keywords');
+}
+
+async function testFeeTiers() {
+  log('Testing fee tiers...', 'info');
+
+  const history = {
+    oldestBlock: '0x64',
+    baseFeePerGas: ['0x3e8', '0x3e8', '0x3e8', '0x3e8', '0x4b0'],
+    gasUsedRatio: [0.5, 0, 0.4, 0.6],
+    reward: [
+      ['0x1', '0xa', '0x64'],
+      ['0x0', '0x0', '0x0'],
+      ['0x3', '0x14', '0xc8'],
+      ['0x2', '0x1e', '0x12c']
+    ]
+  };
+  const fees = computeFeeTiers(history);
+  assert(fees.nextBaseFeeWei === 1200n && fees.blocks === 4 && fees.oldestBlock === 100, 'Fee history window is read correctly');
+  assert(fees.tiers.slow.priorityFeeWei === 2n, 'Slow tier uses the median 10th percentile reward, skipping empty blocks');
+  assert(fees.tiers.standard.gasPriceWei === 1220n, 'Tier gas price is next base fee plus priority fee');
+  assert(fees.tiers.fast.priorityFeeWei === 200n && fees.tiers.fast.percentile === 90, 'Fast tier uses the 90th percentile');
+  assert(fees.baseFeeTrend.direction === 'rising' && fees.baseFeeTrend.changePercent === 20, 'Base fee trend compares next block to the window average');
+
+  const flat = computeFeeTiers({ ...history, baseFeePerGas: ['0x3e8', '0x3e8', '0x3e8', '0x3e8', '0x3e8'] });
+  assert(flat.baseFeeTrend.direction === 'stable', 'Unchanged base fee is reported as stable');
+
+  assertThrows(() => computeFeeTiers({ baseFeePerGas: [] }), 'invalid fee history', 'Malformed fee history should throw');
+  assertThrows(() => validateSpeed('turbo'), 'Invalid speed', 'Unknown speed should throw');
+  assertThrows(() => validateFeeWindow(0), 'Invalid fee window', 'Zero block window should throw');
+  assertThrows(() => validateFeeWindow(2000), 'Invalid fee window', 'Oversized block window should throw');
+}
+
+async function testGasDashboard() {
+  log('Testing gas dashboard...', 'info');
+
+  const l1Params = {
+    l1BaseFeeWei: 5000000000n,
+    blobBaseFeeWei: 1n,
+    baseFeeScalar: 2269n,
+    blobBaseFeeScalar: 1055762n,
+    upgrade: 'fjord'
+  };
+  const references = priceReferenceTransactions({
+    gasPriceWei: 1002000n,
+    maxFeePerGasWei: 2002000n,
+    priorityFeeWei: 2000n,
+    chainId: 8453
+  }, l1Params);
+  assert(references.transfer.gasUnits === 21000 && references.transfer.l2FeeWei === 21042000000n, 'Reference transfer uses 21,000 gas');
+  assert(references.swap.l1FeeWei > references.transfer.l1FeeWei, 'Swap calldata costs more L1 data fee than a transfer');
+  assert(references.swap.totalWei === references.swap.l2FeeWei + references.swap.l1FeeWei, 'Reference total is L2 plus L1 fee');
+
+  const tier = (percentile, priorityFeeWei) => ({ percentile, priorityFeeWei, gasPriceWei: 1000000n + priorityFeeWei });
+  const dashboard = {
+    chainId: 8453,
+    blockNumber: 1000,
+    timestamp: 1760000000,
+    baseFeeWei: 1000000n,
+    nextBaseFeeWei: 1000000n,
+    baseFeeTrend: { changePercent: 0, direction: 'stable' },
+    feeWindow: 20,
+    feeTiers: { slow: tier(10, 1000n), standard: tier(50, 2000n), fast: tier(90, 3000n) },
+    l1BaseFeeWei: 5000000000n,
+    blobBaseFeeWei: 1n,
+    l1FeeFormula: 'fjord',
+    speed: 'standard',
+    references
+  };
+
+  const first = formatDashboard(dashboard, { network: 'Base Mainnet', quote: { price: 3500, currency: 'usd' } });
+  assert(first[0].startsWith('Base Mainnet · Block 1,000'), 'Dashboard header shows network and block');
+  assert(first.some((line) => line.startsWith('Blob Base Fee: 1 wei')), 'Sub-Gwei fees fall back to wei');
+  assert(first.some((line) => line.includes('ETH Transfer:') && line.includes('$')), 'Reference costs include fiat');
+  assert(!first.some((line) => /[▲▼]/.test(line)), 'First refresh has no change markers');
+
+  const next = { ...dashboard, blockNumber: 1001, baseFeeWei: 900000n };
+  const lines = formatDashboard(next, { previous: dashboard, color: true });
+  const baseFeeLine = lines.find((line) => line.startsWith('Base Fee:'));
+  assert(baseFeeLine.includes('▼') && baseFeeLine.includes('\u001b[32m'), 'Falling values are marked and colored');
+  assert(lines[0].includes('▲'), 'Rising block number is marked');
+  assert(!lines.find((line) => line.startsWith('L1 Base Fee:')).includes('▲'), 'Unchanged values are not marked');
+
+  const report = buildDashboardReport(dashboard, { network: 'base', ethPrice: null, priceSource: null });
+  assert(report.command === 'gas' && report.standardPriorityFeeWei === '2000', 'Dashboard report flattens priority fees');
+  assert(report.swapGasUnits === 130000 && report.swapTotalFiat === null, 'Dashboard report includes reference costs');
+}
+
+async function testFeeHistory() {
+  log('Testing fee history analysis...', 'info');
+
+  assert(percentileBigInt([4n, 1n, 3n, 2n], 50) === 2n && percentileBigInt([4n, 1n, 3n, 2n], 90) === 4n, 'Nearest-rank percentiles are correct');
+
+  const latest = resolveBlockRange({ blocks: 100 }, 5000);
+  assert(latest.fromBlock === 4901 && latest.toBlock === 5000, '--blocks selects the most recent blocks');
+  const explicit = resolveBlockRange({ fromBlock: 10 }, 5000);
+  assert(explicit.fromBlock === 10 && explicit.toBlock === 5000, '--to-block defaults to the latest block');
+  assertThrows(() => resolveBlockRange({}, 5000), 'No block range given', 'Missing range should throw');
+  assertThrows(() => resolveBlockRange({ blocks: 10, fromBlock: 1 }, 5000), 'not both', 'Ambiguous range should throw');
+  assertThrows(() => resolveBlockRange({ fromBlock: 20, toBlock: 10 }, 5000), 'is after', 'Inverted range should throw');
+  assertThrows(() => resolveBlockRange({ fromBlock: 1, toBlock: 6000 }, 5000), 'beyond the latest block', 'Future block should throw');
+  assertThrows(() => resolveBlockRange({ fromBlock: 0, toBlock: 300000 }, 400000), 'too large', 'Oversized range should throw');
+
+  // Fake provider answering eth_feeHistory; base fee equals the block number
+  const requests = [];
+  const provider = {
+    send: async (method, [count, newest]) => {
+      requests.push({ count: Number(count), newest: Number(newest) });
+      const blocks = Array.from({ length: Number(count) }, (_, index) => Number(newest) - Number(count) + 1 + index);
+      return {
+        oldestBlock: `0x${blocks[0].toString(16)}`,
+        baseFeePerGas: [...blocks, Number(newest) + 1].map((block) => `0x${block.toString(16)}`),
+        gasUsedRatio: blocks.map((block) => (block % 2 ? 0.5 : 0)),
+        reward: blocks.map(() => ['0x1', '0x2', '0x3'])
+      };
+    }
+  };
+  const records = await fetchBlockFees(provider, 1000, 3499);
+  assert(requests.length === 3 && requests.every((request) => request.count <= 1024), 'Ranges are split into eth_feeHistory windows');
+  assert(records.length === 2500 && records[0].blockNumber === 1000 && records[2499].baseFeeWei === 3499n, 'Every block in the range is recorded in order');
+
+  // Two hours of blocks; the second hour is more expensive
+  for (const record of records) {
+    record.timestamp = 1760000400 + (record.blockNumber - 1000) * 2;
+  }
+  const summary = summarizeFeeHistory(records, {
+    speed: 'fast',
+    l1Samples: [{ blockNumber: 1000, timestamp: 1760000400, l1BaseFeeWei: 5n, blobBaseFeeWei: 1n }]
+  });
+  assert(summary.stats.baseFee.min === 1000n && summary.stats.baseFee.max === 3499n, 'Base fee min and max span the range');
+  assert(summary.stats.fastPriorityFee.count === 1250, 'Empty blocks are left out of priority fee statistics');
+  assert(summary.stats.gasPrice.min === 1004n, 'Gas price adds the selected tier to the base fee');
+  assert(summary.hourly.length === 2 && summary.cheapestHour === summary.hourly[0].hour, 'Hourly breakdown finds the cheapest hour');
+  assert(summary.stats.l1BaseFee.median === 5n, 'L1 samples are summarized');
+
+  const history = {
+    chainId: 8453,
+    fromBlock: 1000,
+    toBlock: 3499,
+    blocks: records.length,
+    fromTimestamp: records[0].timestamp,
+    toTimestamp: records[2499].timestamp,
+    ...summary,
+    l1Unavailable: null,
+    l1Samples: [{ blockNumber: 1000, timestamp: 1760000400, l1BaseFeeWei: 5n, blobBaseFeeWei: 1n }],
+    records
+  };
+  const report = buildHistoryReport(history, { network: 'base' });
+  assert(report.baseFeeMedianWei === '2249' && report.cheapestHourUtc === summary.cheapestHour, 'History report flattens statistics');
+  const rows = buildHistoryRows(history);
+  assert(rows.length === 2500 && rows[0].l1BaseFeeWei === '5' && rows[1].l1BaseFeeWei === null, 'Per-block rows carry sampled L1 fees');
+  assert(formatCsv(rows.slice(0, 1)).startsWith('blockNumber,timestamp,baseFeeWei'), 'Per-block CSV has a header row');
+}
+
+async function testBatch() {
+  log('Testing batch estimation...', 'info');
+
+  const recipient = '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e';
+  const csvRows = parseBatchInput(`to,value,data\r\n${recipient},0.1,\r\n\r\n"${recipient}","1,5",0xa9059cbb\r\n`, 'csv');
+  assert(csvRows.length === 2 && csvRows[1].fields.value === '1,5', 'CSV rows parse with quoted fields, CRLF and blank lines');
+  assert(csvRows[0].fields.data === undefined, 'Empty CSV cells are left out');
+  const jsonRows = parseBatchInput(JSON.stringify({ transactions: [{ to: recipient, value: '0.1' }] }), 'json');
+  assert(jsonRows.length === 1 && jsonRows[0].line === 1, 'JSON batches accept a transactions array');
+  assertThrows(() => parseBatchInput('to,amount,memo\n0x1,1,hi', 'csv'), 'Unknown CSV column', 'Unknown CSV column should throw');
+  assertThrows(() => parseBatchInput('{"to": 1}', 'json'), 'must be an array', 'JSON without a transaction list should throw');
+  assertThrows(() => parseBatchInput('to,value\n', 'csv'), 'no transactions', 'Empty batch should throw');
+  assertThrows(() => parseBatchInput('', 'xlsx'), 'Unsupported batch format', 'Unknown file type should throw');
+
+  assert(normalizeBatchRow({ to: recipient, value: '1' }).type === 'transfer', 'Rows default to ETH transfers');
+  assert(normalizeBatchRow({ to: recipient, data: '0x' }).type === 'call', 'Rows with data are contract calls');
+  const tokenRow = normalizeBatchRow({ token: 'USDC', to: recipient, amount: '5' }, { from: recipient });
+  assert(tokenRow.type === 'token-transfer' && tokenRow.from === recipient, 'Rows with a token are token transfers using the default sender');
+  assertThrows(() => normalizeBatchRow({ token: 'USDC', to: recipient, amount: '5' }), 'Missing from', 'Token transfer without a sender should throw');
+  assertThrows(() => normalizeBatchRow({ type: 'swap', to: recipient }), 'Unknown transaction type', 'Unknown row type should throw');
+
+  // Rows that fail validation never reach the RPC endpoint and don't stop the batch
+  const failed = await estimateBatch(
+    parseBatchInput(JSON.stringify([{ type: 'swap', to: recipient }, { to: '0x123', value: '1' }, { to: recipient }]), 'json'),
+    { network: 'base', rpcUrl: 'http://127.0.0.1:1', concurrency: 2 }
+  );
+  assert(failed.length === 3 && failed.every((result) => result.estimation === null), 'Every failed row is reported');
+  assert(failed[0].fields.type === 'swap' && failed[0].row === null, 'Rows that fail validation keep their raw fields');
+  assert(failed[1].error.code === ERROR_CODES.INVALID_ADDRESS && failed[2].error.message.includes('Missing value'), 'Each row carries its own error');
+
+  try {
+    await estimateBatch(csvRows, { network: 'base', concurrency: 0 });
+    assert(false, 'Zero concurrency should throw');
+  } catch (error) {
+    assert(error.message.includes('Invalid concurrency'), 'Zero concurrency should throw');
+  }
+
+  const estimation = { gasUnits: 21000, l2FeeWei: 100n, l1FeeWei: 20n, totalWei: 120n, totalText: '0.00000000000000012', chainId: 8453 };
+  const results = [
+    { line: 1, fields: {}, row: { type: 'transfer', to: recipient }, estimation, error: null },
+    { line: 2, fields: {}, row: { type: 'transfer', to: recipient }, estimation, error: null },
+    failed[1]
+  ];
+  const summary = summarizeBatch(results);
+  assert(summary.totalWei === 240n && summary.gasUnits === 42000 && summary.succeeded === 2 && summary.failed === 1, 'Batch totals cover the rows that succeeded');
+
+  const { rows, total } = buildBatchReport(results, summary, { network: 'base', ethPrice: 3000, priceSource: 'manual' });
+  assert(rows[0].status === 'ok' && rows[0].totalWei === '120' && rows[2].errorCode === ERROR_CODES.INVALID_ADDRESS, 'Batch report has one record per row');
+  assert(total.row === 'total' && total.totalWei === '240' && total.failed === 1, 'Batch report includes the total');
+  const lines = formatBatch(results, { quote: { price: 3000, currency: 'usd' } });
+  assert(lines[2].includes('FAILED [INVALID_ADDRESS]') && lines[lines.length - 1].includes('1 of 3 failed'), 'Table output marks failed rows and the failure count');
+}
+
+async function testRawTransaction() {
+  log('Testing raw transaction decoding...', 'info');
+
+  // EIP-1559 transfer of 0.1 ETH on Base, nonce 3, signed by 0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A
+  const signed = '0x02f871822105038203e88398968082520894742d35cc6634c0532925a3b8d4c9db96c4b5da5e88016345785d8a000080c080a0bb0e13b9a2fb8ec8240ee910af054e14a4e54842c3b460e4ffc0b2e298750606a07ad533c2fc386698bbf64de5aa6a5c2f6475600ba0a21839b694329d9e8a2b04';
+  const offline = { rpcUrl: 'http://127.0.0.1:1', rpcOptions: { retries: 0, timeoutMs: 1000 } };
+  const rejects = async (params, expected, message) => {
+    try {
+      await estimateRawTransaction({ ...offline, ...params });
+      assert(false, message);
+    } catch (error) {
+      assert(error.message.includes(expected), `${message} (got: ${error.message})`);
+    }
+  };
+
+  await rejects({ serialized: 'not hex' }, 'expected a hex string', 'Non-hex input should be rejected');
+  await rejects({ serialized: '0x02abcd' }, 'Invalid serialized transaction', 'Malformed RLP should be rejected');
+  await rejects({ serialized: signed.slice(2), from: TEST_CONFIG.validAddresses[0] }, 'does not match the transaction signer', 'A sender that differs from the signer should be rejected');
+  await rejects({ serialized: signed, from: '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A' }, 'Network connection failed', 'A valid signed transaction reaches the RPC endpoint');
+}
+
+async function testBedrockOracle() {
+  log('Testing L1 fees on a Bedrock oracle...', 'info');
+
+  // A Bedrock oracle reverts on the Ecotone and Fjord getters, so the formula cannot be computed locally
+  const upgradeGetters = ['0x4ef6e224', '0x960e3a23'];
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', async () => {
+      const payload = JSON.parse(body);
+      const reply = async (item) => {
+        if (item.method === 'eth_call' && upgradeGetters.includes(String(item.params[0].data).slice(0, 10))) {
+          return { jsonrpc: '2.0', id: item.id, error: { code: 3, message: 'execution reverted', data: '0x' } };
+        }
+        const upstream = await fetch(mocks.base.rpcUrl, { method: 'POST', body: JSON.stringify(item) });
+        return upstream.json();
+      };
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify(Array.isArray(payload) ? await Promise.all(payload.map(reply)) : await reply(payload)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+  // getL1Fee answer recorded in the base fixture
+  const oracleFeeWei = 0x59581d91n;
+
+  try {
+    const dashboard = await getGasDashboard({ rpcUrl, chainId: 8453 });
+    assert(dashboard.l1FeeFormula === 'bedrock', 'Oracles without upgrade getters are Bedrock');
+    assert(dashboard.references.swap.l1FeeWei === oracleFeeWei && dashboard.references.transfer.l1FeeWei === oracleFeeWei, 'Bedrock reference L1 fees come from the oracle');
+
+    // EIP-1559 transfer of 0.1 ETH on Base, as in testRawTransaction
+    const signed = '0x02f871822105038203e88398968082520894742d35cc6634c0532925a3b8d4c9db96c4b5da5e88016345785d8a000080c080a0bb0e13b9a2fb8ec8240ee910af054e14a4e54842c3b460e4ffc0b2e298750606a07ad533c2fc386698bbf64de5aa6a5c2f6475600ba0a21839b694329d9e8a2b04';
+    const estimation = await estimateRawTransaction({ serialized: signed, rpcUrl, chainId: 8453 });
+    assert(estimation.l1FeeWei === oracleFeeWei, 'Signed transactions on Bedrock are priced by the oracle');
+  } catch (error) {
+    assert(false, `Bedrock L1 fee failed: ${error.message}`);
+  } finally {
+    server.close();
+  }
+}
+
+async function testSimulation() {
+  log('Testing state overrides and revert decoding...', 'info');
+
+  const account = '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e';
+  const normalized = normalizeStateOverrides({
+    [account.toLowerCase()]: { balance: '1000000000000000000', nonce: 5, stateDiff: { '0x01': '0x02' } }
+  });
+  assert(normalized[account].balance === '0xde0b6b3a7640000' && normalized[account].nonce === '0x5', 'Balances and nonces become hex quantities');
+  assert(normalized[account].stateDiff['0x' + '0'.repeat(63) + '1'] === '0x' + '0'.repeat(63) + '2', 'Storage slots are padded to 32 bytes');
+  assertThrows(() => normalizeStateOverrides({ '0x12': {} }), 'Invalid address', 'Invalid override address should throw');
+  assertThrows(() => normalizeStateOverrides({ [account]: { balanse: '1' } }), 'Unknown state override field', 'Misspelled override field should throw');
+  assertThrows(() => normalizeStateOverrides({ [account]: { balance: '-1' } }), 'Invalid balance', 'Negative balance should throw');
+  assertThrows(() => normalizeStateOverrides({ [account]: { state: {}, stateDiff: {} } }), 'both state and stateDiff', 'state with stateDiff should throw');
+
+  assert(parseBalanceOverride(`${account}=10`).balanceWei === 10n * 10n ** 18n, 'Balance overrides parse an ETH amount');
+  assert(parseBalanceOverride(account).balanceWei === 10n ** 24n, 'Balance overrides default to 1,000,000 ETH');
+  assertThrows(() => parseBalanceOverride('0x123=1'), 'Invalid balance override', 'Invalid balance override address should throw');
+  assertThrows(() => parseBalanceOverride(`${account}=lots`), 'Invalid ETH amount', 'Invalid balance override amount should throw');
+  const merged = buildStateOverrides({ [account]: { balance: '1', nonce: '2' } }, [parseBalanceOverride(`${account}=1`)]);
+  assert(merged[account].balance === '0xde0b6b3a7640000' && merged[account].nonce === '0x2', 'Balance flags take precedence over the overrides file');
+  assert(buildStateOverrides() === undefined, 'No overrides gives undefined');
+
+  const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+  const errorString = '0x08c379a0' + word(32) + word(9) + Buffer.from('not owner').toString('hex').padEnd(64, '0');
+  const customError = '0xe450d38c' + word(account) + word(0) + word(5);
+  const abi = ['error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)'];
+  assert(decodeRevertData(errorString) === 'not owner', 'Error(string) reverts decode to their message');
+  assert(decodeRevertData('0x4e487b71' + word(0x11)) === 'Panic(0x11): arithmetic overflow or underflow', 'Panics decode to their meaning');
+  assert(decodeRevertData(customError, abi) === `ERC20InsufficientBalance(sender=${account}, balance=0, needed=5)`, 'Custom errors decode against the ABI');
+  assert(decodeRevertData(customError) === 'custom error 0xe450d38c', 'Unknown custom errors fall back to the selector');
+  assert(decodeRevertData('0x') === null, 'Empty revert data decodes to null');
+
+  // Fake provider: estimateGas reverts without data, eth_call returns it
+  const calls = [];
+  const provider = {
+    estimateGas: async () => { throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: null }); },
+    getRpcTransaction: (transaction) => ({ to: transaction.to, from: transaction.from }),
+    send: async (method, params) => {
+      calls.push({ method, params });
+      if (method === 'eth_estimateGas') {
+        return '0xcb20';
+      }
+      throw Object.assign(new Error('execution reverted'), { data: customError });
+    }
+  };
+  const transaction = { to: account, from: account };
+  try {
+    await simulateGas(provider, transaction);
+    assert(false, 'Reverting simulation should throw');
+  } catch (error) {
+    assert(error instanceof RevertError && error.data === customError, 'Revert data is recovered with eth_call');
+    assert(error.hint && error.hint.includes('ABI'), 'Undecoded custom errors suggest passing an ABI');
+  }
+  try {
+    await simulateGas(provider, transaction, { abi });
+    assert(false, 'Reverting simulation should throw');
+  } catch (error) {
+    assert(error.reason.startsWith('ERC20InsufficientBalance(') && !error.hint, 'Reverts decode against the supplied ABI');
+  }
+
+  const gas = await simulateGas(provider, transaction, { stateOverrides: { [account]: { balance: 1n } } });
+  const estimateCall = calls.find((call) => call.method === 'eth_estimateGas');
+  assert(gas === 52000n && estimateCall.params[2][account].balance === '0x1', 'State overrides are sent as the third eth_estimateGas parameter');
+}
+
+async function testCompare() {
+  log('Testing network comparison...', 'info');
+
+  assert(savingsPercent(25n, 100n) === 75 && savingsPercent(150n, 100n) === -50, 'Savings are relative to the baseline cost');
+  assert(savingsPercent(1n, 3n) === 66.66 && savingsPercent(1n, 0n) === null, 'Savings keep two decimals and need a non-zero baseline');
+
+  const recipient = '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e';
+  const offline = (key) => ({ ...resolveNetwork(key, { env: {} }), rpcUrl: 'http://127.0.0.1:1', rpcUrls: ['http://127.0.0.1:1'] });
+  const rejects = async (chains, params, expected, message) => {
+    try {
+      await compareNetworks({ to: recipient, valueEth: '0.1' }, chains, params);
+      assert(false, message);
+    } catch (error) {
+      assert(error.message.includes(expected), `${message} (got: ${error.message})`);
+    }
+  };
+  await rejects([], {}, 'No networks', 'An empty network list should throw');
+  await rejects([offline('base'), offline('base')], {}, 'more than once', 'A repeated network should throw');
+  await rejects([offline('base')], { baseline: 'ethereum' }, 'is not being compared', 'A baseline outside the comparison should throw');
+
+  // Unreachable endpoints fail per network without stopping the comparison
+  const failed = await compareNetworks({ to: recipient, valueEth: '0.1' }, [offline('base'), offline('ethereum')], { rpcOptions: { retries: 0, timeoutMs: 1000 } });
+  assert(failed.length === 2 && failed.every((result) => result.error && result.error.code === ERROR_CODES.NETWORK_ERROR), 'Each network carries its own error');
+  assert(failed[1].baseline && !failed[0].baseline, 'Ethereum is the default baseline');
+
+  const estimation = (totalWei, l1FeeWei) => ({
+    gasUnits: 21000, l1GasUnits: 0, speed: 'standard', totalWei, l1FeeWei, l2FeeWei: totalWei - l1FeeWei, chainId: 8453,
+    totalText: String(totalWei), l1FeeText: String(l1FeeWei)
+  });
+  const results = [
+    { network: 'base', name: 'Base Mainnet', feeModel: 'op-stack', baseline: false, estimation: estimation(2100n, 100n), effectiveGasPriceWei: 1n, savingsPercent: 99.5, error: null },
+    { network: 'ethereum', name: 'Ethereum Mainnet', feeModel: 'none', baseline: true, estimation: estimation(420000n, 0n), effectiveGasPriceWei: 20n, savingsPercent: 0, error: null },
+    { ...failed[0], network: 'arbitrum', name: 'Arbitrum One', baseline: false }
+  ];
+  const lines = formatComparison(results);
+  assert(lines[0].includes('against Ethereum Mainnet'), 'The table names the baseline');
+  assert(lines[3].includes('99.5% cheaper') && lines[4].includes('baseline') && lines[4].includes('—'), 'Rows show savings, and no L1 fee on Ethereum');
+  assert(lines[5].includes('FAILED [NETWORK_ERROR]'), 'Failed networks are marked');
+
+  const rows = buildComparisonReport(results, { ethPrice: 3000, priceSource: 'manual' });
+  assert(rows[0].savingsPercent === 99.5 && rows[0].effectiveGasPriceWei === '1' && rows[1].baseline === true, 'Comparison report has one record per network');
+  assert(rows[2].status === 'error' && rows[2].errorCode === ERROR_CODES.NETWORK_ERROR, 'Failed networks report their error');
+}
+
+async function testProjection() {
+  log('Testing cost projections...', 'info');
+
+  assert(monthlyTransactions(50000) === 50000 && monthlyTransactions(1000, 'day') === 30438 && monthlyTransactions('7', 'week') === 30, 'Volumes are scaled to an average month');
+  assertThrows(() => monthlyTransactions(0), 'Invalid volume', 'A zero volume should throw');
+  assertThrows(() => monthlyTransactions('50,000'), 'Invalid volume', 'A formatted volume should throw');
+  assertThrows(() => monthlyTransactions(2.5), 'Invalid volume', 'A fractional volume should throw');
+  assertThrows(() => monthlyTransactions(10, 'year'), 'Invalid period', 'An unknown period should throw');
+
+  // Base fees 1..100 wei with a 1 wei tip, plus an empty block that must not drag the low band down
+  const records = Array.from({ length: 100 }, (_, index) => ({
+    blockNumber: 1000 + index,
+    baseFeeWei: BigInt(index + 1),
+    gasUsedRatio: 0.5,
+    priorityFeesWei: { slow: 0n, standard: 1n, fast: 5n }
+  }));
+  records.push({ blockNumber: 1100, baseFeeWei: 0n, gasUsedRatio: 0, priorityFeesWei: { slow: 0n, standard: 0n, fast: 0n } });
+  const history = { speed: 'standard', records, fromBlock: 1000, toBlock: 1100, blocks: 101, fromTimestamp: 1760000000, toTimestamp: 1760000202 };
+  const estimation = { chainId: 8453, gasUnits: 21000, l1FeeWei: 1000n, totalWei: 21000n * 40n + 1000n };
+
+  const projection = projectCost(estimation, history, { volume: 1000, period: 'day' });
+  const { low, typical, high } = projection.bands;
+  assert(low.gasPriceWei === 11n && typical.gasPriceWei === 51n && high.gasPriceWei === 91n, 'Bands are the p10, median and p90 gas prices of used blocks');
+  assert(low.perTransactionWei === 21000n * 11n + 1000n, 'Each band prices the execution gas and keeps the L1 data fee');
+  assert(high.monthlyWei === high.perTransactionWei * 30438n && projection.transactionsPerMonth === 30438, 'Monthly costs multiply by the monthly volume');
+  assert(projection.currentMonthlyWei === estimation.totalWei * 30438n, 'The current estimate is projected too');
+
+  const report = buildProjectionReport({ ...projection, estimation, history }, { network: 'base', ethPrice: 3000, priceSource: 'manual' });
+  assert(report.typicalMonthlyWei === typical.monthlyWei.toString() && report.lowPercentile === 10, 'Projection reports flatten the bands');
+  assert(report.highMonthlyFiat === Number((parseFloat(report.highMonthlyEth) * 3000).toFixed(6)), 'Projection reports price every band');
+  assert(formatCsv([report]).split('\n').length === 2, 'Projection reports are a single CSV row');
+
+  const lines = formatProjection(projection, { quote: { price: 3000, currency: 'usd' }, network: 'Base Mainnet' });
+  assert(lines[0].includes('1,000 transactions per day → 30,438 per month') && lines.some((line) => line.startsWith('Typical')), 'Projection tables show the volume and every band');
+  assert(lines.some((line) => line.startsWith('L1 data fee held at the current')), 'Projection tables say the L1 fee is not banded');
+}
+
+async function testAccessList() {
+  log('Testing access list generation...', 'info');
+
+  const token = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+  const account = '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e';
+  const slot = '0x' + '0'.repeat(63) + '1';
+  const calls = [];
+  const provider = {
+    getRpcTransaction: (transaction) => ({ to: transaction.to, from: transaction.from, data: transaction.data }),
+    send: async (method, params) => {
+      calls.push({ method, params });
+      if (params[0].data === '0xdeadbeef') {
+        return { accessList: [], gasUsed: '0x5208', error: 'execution reverted: not owner' };
+      }
+      return { accessList: [{ address: token.toLowerCase(), storageKeys: [slot] }], gasUsed: '0xbb80' };
+    }
+  };
+
+  const { accessList, gasUsed } = await createAccessList(provider, { to: token, data: '0xa9059cbb' });
+  assert(calls[0].method === 'eth_createAccessList' && calls[0].params.length === 2, 'Access lists come from eth_createAccessList at the latest block');
+  assert(accessList[0].address === token && accessList[0].storageKeys[0] === slot && gasUsed === 48000n, 'Access list entries are checksummed');
+
+  await createAccessList(provider, { to: token, from: account }, { stateOverrides: { [account]: { balance: 1n } } });
+  assert(calls[1].params[2][account].balance === '0x1', 'State overrides are sent as the third eth_createAccessList parameter');
+
+  try {
+    await createAccessList(provider, { to: token, data: '0xdeadbeef' });
+    assert(false, 'A reverting transaction should throw');
+  } catch (error) {
+    assert(error instanceof RevertError && error.reason === 'execution reverted: not owner', 'Reverts reported inside the result become RevertError');
+  }
+
+  const estimation = {
+    gasUnits: 50000,
+    gasPriceWei: 2000000n,
+    priorityFeeWei: 1000000n,
+    l2FeeWei: 100000000000n,
+    l1FeeWei: 100000000000n,
+    totalWei: 200000000000n,
+    chainId: 8453,
+    accessList: {
+      entries: accessList,
+      addresses: 1,
+      storageKeys: 1,
+      gasUnits: 47900,
+      gasSavedUnits: 2100,
+      l2FeeWei: 95800000000n,
+      l1FeeWei: 108000000000n,
+      extraL1FeeWei: 8000000000n,
+      totalWei: 203800000000n,
+      savingsWei: -3800000000n,
+      worthIt: false
+    }
+  };
+  const report = buildReport(estimation, { command: 'call', network: 'base', ethPrice: null, priceSource: null });
+  assert(report.accessListGasSaved === 2100 && report.accessListExtraL1FeeWei === '8000000000', 'Report shows the gas saved and the extra L1 fee');
+  assert(report.accessListSavingsWei === '-3800000000' && report.accessListWorthIt === false, 'Report says whether the list is worth including');
+  assert(JSON.parse(report.accessList)[0].storageKeys.length === 1, 'Report carries the list as JSON');
+  assert(!('accessListGasUnits' in buildReport({ ...estimation, accessList: undefined }, { command: 'call', network: 'base', ethPrice: null, priceSource: null })), 'Reports without an access list have no access-list fields');
+}
+
+async function testServer() {
+  log('Testing the estimation server...', 'info');
+
+  const server = createEstimationServer({
+    connection: { ...resolveNetwork('base', { env: {} }), rpcUrl: 'http://127.0.0.1:1', rpcUrls: ['http://127.0.0.1:1'], rpcOptions: { retries: 0, timeoutMs: 1000 } },
+    network: 'base',
+    priceProviders: [createFixedPriceProvider(3000)]
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body) => fetch(`${url}${path}`, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+  const recipient = '0x742D35cC6634c0532925a3b8D4c9Db96C4B5Da5e';
+
+  try {
+    const health = await fetch(`${url}/health`);
+    const status = await health.json();
+    assert(health.status === 200 && status.status === 'ok' && status.chainId === 8453, 'The health endpoint reports the network');
+
+    const invalidAddress = await post('/estimate/transfer', { to: '0x123', valueEth: '0.1' });
+    assert(invalidAddress.status === 400 && (await invalidAddress.json()).error.code === ERROR_CODES.INVALID_ADDRESS, 'Invalid addresses are rejected with 400');
+    const invalidValue = await post('/estimate/transfer', { to: recipient, valueEth: '-1' });
+    assert(invalidValue.status === 400 && (await invalidValue.json()).error.code === ERROR_CODES.INVALID_VALUE, 'Invalid values are rejected with 400');
+    const ambiguous = await post('/estimate/call', { to: recipient, signature: 'ping()', data: '0x5c36b186' });
+    assert(ambiguous.status === 400 && (await ambiguous.json()).error.message.includes('exactly one'), 'Calls need exactly one of signature, abi or data');
+    assert((await post('/estimate/transfer', '{not json')).status === 400, 'Malformed JSON is rejected with 400');
+    assert((await post('/estimate/transfer', 'x'.repeat(70000))).status === 413, 'Oversized bodies are rejected with 413');
+
+    const destroy = ethers.JsonRpcProvider.prototype.destroy;
+    let destroyed = 0;
+    ethers.JsonRpcProvider.prototype.destroy = function () {
+      destroyed++;
+      return destroy.call(this);
+    };
+    try {
+      const unreachable = await post('/estimate/transfer', { to: recipient, valueEth: '0.1' });
+      assert(unreachable.status === 502 && (await unreachable.json()).error.code === ERROR_CODES.NETWORK_ERROR, 'RPC failures answer 502 with the error payload');
+      assert(destroyed === 1, 'Each request closes the RPC provider it opened');
+    } finally {
+      ethers.JsonRpcProvider.prototype.destroy = destroy;
+    }
+
+    const wrongMethod = await fetch(`${url}/estimate/transfer`);
+    assert(wrongMethod.status === 405 && wrongMethod.headers.get('allow') === 'POST', 'Wrong methods answer 405 with the allowed method');
+    assert((await fetch(`${url}/nope`)).status === 404, 'Unknown endpoints answer 404');
+  } finally {
+    server.close();
+  }
+}
+
+async function testMockServer() {
+  log('Testing the mock RPC and price server...', 'info');
+
+  const oracle = '0x420000000000000000000000000000000000000F';
+  assert(fixtureKey('eth_call', [{ to: oracle, data: '0x49948e0e0000' }, 'latest']) === 'eth_call:0x420000000000000000000000000000000000000f:0x49948e0e', 'eth_call fixtures are keyed by contract and selector');
+  assert(fixtureKey('eth_feeHistory', ['0x14', 'latest', [10, 50, 90]]) === 'eth_feeHistory:20:10,50,90', 'Fee history fixtures ignore the newest block');
+  assert(fixtureKey('eth_estimateGas', [{ to: oracle, value: '0x1' }]) === 'eth_estimateGas:0x', 'Plain transfers share one gas fixture');
+
+  const rpc = async (method, params = []) => {
+    const response = await fetch(mocks.base.rpcUrl, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) });
+    return response.json();
+  };
+  assert((await rpc('eth_chainId')).result === '0x2105', 'The base fixture answers eth_chainId for Base');
+  if (!TEST_CONFIG.record) {
+    const missing = await rpc('eth_getTransactionReceipt', ['0x00']);
+    assert(missing.error && missing.error.message.includes('No fixture for eth_getTransactionReceipt'), 'Requests without a fixture are JSON-RPC errors');
+    assert((await fetch(`${mocks.base.url}/coingecko/simple/price?ids=ethereum&vs_currencies=xyz`)).status === 404, 'Prices without a fixture answer 404');
+  }
+}
+
+async function testCli() {
+  log('Testing the CLI against the mock server...', 'info');
+
+  const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+  const run = (args) => promisify(execFile)(process.execPath, [cli, '--no-cache', '--rpc-url', mocks.base.rpcUrl, ...args], {
+    env: { ...process.env, ...mocks.base.env },
+    timeout: 20000
+  });
+
+  try {
+    const { stdout } = await run(['--output', 'json', 'transfer', '--to', TEST_CONFIG.validAddresses[2], '--value', '0.01']);
+    const report = JSON.parse(stdout);
+    assert(report.gasUnits === 21000 && report.chainId === 8453, 'CLI transfers are estimated from the fixtures');
+    assert(BigInt(report.totalWei) === BigInt(report.l2FeeWei) + BigInt(report.l1FeeWei), 'CLI totals add the L2 and L1 fees');
+    assert(report.priceSource === 'coingecko' && report.ethPrice > 0 && report.fiatCurrency === 'USDC', 'CLI prices come from the mock price server');
+
+    const { stdout: table } = await run(['--currency', 'eur', 'transfer', '--to', TEST_CONFIG.validAddresses[2], '--value', '0.01', '--from', TEST_CONFIG.validAddresses[0]]);
+    assert(table.includes('EUR') || table.includes('€'), 'CLI table output quotes the requested currency');
+    assert(table.includes('Next Nonce: 42') && table.includes('Ready to Send: ✓'), 'CLI table output shows whether the sender can send');
+
+    const { stdout: uri } = await run(['transfer', '--to', TEST_CONFIG.validAddresses[2], '--value', '0.01', '--emit-tx', 'uri', '--gas-buffer', '10']);
+    assert(uri.trim() === `ethereum:${TEST_CONFIG.validAddresses[2]}@8453?value=10000000000000000&gasLimit=23100`, 'CLI --emit-tx prints only the transaction');
+
+    // Sending the most the estimate allows leaves no room for the buffered gas limit
+    const sender = ['transfer', '--to', TEST_CONFIG.validAddresses[2], '--from', TEST_CONFIG.validAddresses[0]];
+    const { stdout: ready } = await run(['--output', 'json', ...sender, '--value', '0.01']);
+    const sendAll = ['--value', ethers.formatEther(JSON.parse(ready).maxSendableWei), '--emit-tx', 'json'];
+    const { stderr: unbuffered } = await run([...sender, ...sendAll, '--gas-buffer', '0']);
+    const { stdout: emitted, stderr: buffered } = await run([...sender, ...sendAll]);
+    assert(!unbuffered.includes('Warning') && buffered.includes('does not cover') && JSON.parse(emitted).gasLimit === '25200', 'CLI --emit-tx checks the balance against the buffered transaction');
+
+    const project = ['project', '--to', TEST_CONFIG.validAddresses[2], '--value', '0.0', '--volume', '1000', '--per', 'day', '--blocks', '10'];
+    const requestsBefore = mocks.base.requests.length;
+    const { stdout: projected } = await run(['--output', 'json', ...project]);
+    const projection = JSON.parse(projected);
+    assert(projection.transactionsPerMonth === 30438 && projection.blocks === 10, 'CLI projections sample the requested blocks');
+    const l1BaseFeeReads = mocks.base.requests.slice(requestsBefore).filter((key) => key.endsWith(':0x519b4bd3'));
+    assert(l1BaseFeeReads.length === 1, 'CLI projections read the oracle for the estimate only, not at historical blocks');
+    assert(BigInt(projection.typicalMonthlyWei) === BigInt(projection.typicalPerTransactionWei) * 30438n && BigInt(projection.typicalMonthlyWei) > 0n, 'CLI projections price the typical month');
+
+    const overBudget = await run(['--output', 'json', '--max-cost-eth', '0.000001', ...project]).catch((error) => error);
+    assert(overBudget.code === BUDGET_EXIT_CODE && JSON.parse(overBudget.stdout).budgetBreaches === 'maxCostEth', 'CLI projections over budget exit with the budget code');
+
+    // Ethereum has no GasPriceOracle: history must not read one, even through an endpoint that answers eth_call
+    const oracleCalls = [];
+    const server = createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', async () => {
+        const payload = JSON.parse(body);
+        const reply = async (item) => {
+          if (item.method === 'eth_chainId') {
+            return { jsonrpc: '2.0', id: item.id, result: '0x1' };
+          }
+          if (item.method === 'eth_call') {
+            oracleCalls.push(item.params[0].to);
+          }
+          const upstream = await fetch(mocks.base.rpcUrl, { method: 'POST', body: JSON.stringify(item) });
+          return upstream.json();
+        };
+        response.setHeader('content-type', 'application/json');
+        response.end(JSON.stringify(Array.isArray(payload) ? await Promise.all(payload.map(reply)) : await reply(payload)));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { stdout: ethereum } = await run(['--output', 'json', '--rpc-url', `http://127.0.0.1:${server.address().port}`, 'history', '--network', 'ethereum', '--blocks', '10']);
+      const history = JSON.parse(ethereum);
+      assert(history.l1Unavailable === 'this network has no GasPriceOracle to sample' && oracleCalls.length === 0, 'CLI history skips L1 sampling on networks without a GasPriceOracle');
+    } finally {
+      server.close();
+    }
+  } catch (error) {
+    assert(false, `CLI run failed: ${error.stderr || error.message}`);
+  }
+}
+
+async function testSendReadiness() {
+  log('Testing send readiness...', 'info');
+
+  const sender = TEST_CONFIG.validAddresses[2];
+  const short = checkSendReadiness(
+    { address: sender, balanceWei: 10n ** 16n, nonce: 7 },
+    { valueWei: 10n ** 16n, gasLimit: 21000n, maxFeePerGas: 10000000n, l1FeeWei: 2000000000n }
+  );
+  assert(short.worstCaseFeeWei === 212000000000n && short.requiredWei === 10n ** 16n + 212000000000n, 'The worst case is the gas limit at the fee cap plus the L1 fee');
+  assert(!short.canSend && short.missingWei === 212000000000n && short.missingText === '0.000000212', 'A short balance reports the missing ETH');
+  assert(short.maxSendableWei === 10n ** 16n - 212000000000n && short.maxSendableText === '0.009999788', 'Send-all leaves the worst-case fee behind');
+
+  const dust = checkSendReadiness({ address: sender, balanceWei: 100n, nonce: 0 }, { valueWei: 0n, gasLimit: 21000n, maxFeePerGas: 1n });
+  assert(!dust.canSend && dust.maxSendableWei === 0n, 'A balance below the fee cannot send anything');
+
+  // The node refuses to estimate for an underfunded sender unless its balance is overridden
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', async () => {
+      const payload = JSON.parse(body);
+      const reply = async (item) => {
+        if (item.method === 'eth_estimateGas' && !item.params[2]) {
+          return { jsonrpc: '2.0', id: item.id, error: { code: -32000, message: 'insufficient funds for gas * price + value' } };
+        }
+        const upstream = await fetch(mocks.base.rpcUrl, { method: 'POST', body: JSON.stringify(item) });
+        return upstream.json();
+      };
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify(Array.isArray(payload) ? await Promise.all(payload.map(reply)) : await reply(payload)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const estimation = await estimateEthTransfer({
+      to: TEST_CONFIG.validAddresses[0],
+      valueEth: '1',
+      from: sender,
+      rpcUrl: `http://127.0.0.1:${server.address().port}`
+    });
+    assert(estimation.gasUnits === 21000, 'Underfunded senders are still estimated');
+    assert(estimation.sender.nonce === 42 && estimation.sender.balanceWei === 5n * 10n ** 16n, 'The balance and pending nonce come from the RPC');
+    assert(!estimation.sender.canSend && estimation.sender.missingWei === estimation.sender.requiredWei - estimation.sender.balanceWei, 'Underfunded senders cannot send');
+    assert(estimation.sender.worstCaseFeeWei === 21000n * estimation.maxFeePerGasWei + estimation.l1FeeWei, 'Readiness uses the fee cap, not the expected price');
+
+    const report = buildReport(estimation, { command: 'transfer', network: 'base', ethPrice: null, priceSource: null });
+    assert(report.canSend === false && report.senderNonce === 42 && report.missingWei === estimation.sender.missingWei.toString(), 'Reports include the readiness check');
+  } catch (error) {
+    assert(false, `Send readiness estimate failed: ${error.message}`);
+  } finally {
+    server.close();
+  }
+
+  const anonymous = await estimateEthTransfer({ to: TEST_CONFIG.validAddresses[0], valueEth: '0.01', rpcUrl: mocks.base.rpcUrl });
+  assert(anonymous.sender === null, 'Estimates without a sender skip the readiness check');
+}
+
+async function testEmitTransaction() {
+  log('Testing unsigned transaction output...', 'info');
+
+  const [recipient, , sender] = TEST_CONFIG.validAddresses;
+  const estimation = await estimateEthTransfer({ to: recipient, valueEth: '0.01', from: sender, rpcUrl: mocks.base.rpcUrl });
+  assert(estimation.request.gasLimit === 21000n && estimation.request.to === recipient, 'Estimates keep the simulated request');
+
+  const tx = buildUnsignedTransaction(estimation);
+  assert(tx.type === 2 && tx.chainId === 8453 && tx.nonce === 42, 'The transaction carries the chain ID and the pending nonce');
+  assert(tx.gasLimit === 25200n && buildUnsignedTransaction(estimation, { gasBufferPercent: 0 }).gasLimit === 21000n, 'The gas limit gets the safety buffer');
+  assert(buildUnsignedTransaction(estimation, { gasBufferPercent: 12.5 }).gasLimit === 23625n, 'Fractional buffers are supported');
+  assert(tx.maxPriorityFeePerGas === estimation.priorityFeeWei && tx.maxFeePerGas >= estimation.nextBaseFeeWei + tx.maxPriorityFeePerGas, 'The fee cap covers the next base fee plus the tip');
+  assertThrows(() => buildUnsignedTransaction(estimation, { gasBufferPercent: -1 }), 'Invalid gas buffer', 'Negative buffers are rejected');
+
+  const parsed = ethers.Transaction.from(serializeUnsignedTransaction(tx));
+  assert(parsed.nonce === 42 && parsed.gasLimit === tx.gasLimit && parsed.maxFeePerGas === tx.maxFeePerGas && parsed.value === 10n ** 16n, 'RLP output decodes to the same transaction');
+  const json = JSON.parse(formatUnsignedTransaction(tx, 'json'));
+  assert(json.gasLimit === '25200' && ethers.Transaction.from(json).unsignedSerialized === parsed.unsignedSerialized, 'JSON output can be loaded by a signer');
+
+  const anonymous = buildUnsignedTransaction({ ...estimation, sender: null });
+  assert(anonymous.nonce === null && ethers.Transaction.from(serializeUnsignedTransaction(anonymous)).nonce === 0, 'Without a sender the nonce is left out');
+
+  assert(formatEip681Uri(tx) === `ethereum:${recipient}@8453?value=10000000000000000&gasLimit=25200`, 'Transfers become payment URIs');
+  const call = {
+    ...tx,
+    value: 0n,
+    data: encodeFunctionCall({ signature: 'transfer(address,uint256)', args: [recipient, '1000000'] })
+  };
+  assert(formatEip681Uri(call, { abi: ['function transfer(address,uint256)'] }) === `ethereum:${recipient}@8453/transfer?address=${recipient}&uint256=1000000&gasLimit=25200`, 'Calls name the function and type its arguments');
+  assert(formatEip681Uri(call) === null && formatEip681Uri({ ...tx, to: null }) === null, 'Calls without an ABI and deployments have no URI');
+  assertThrows(() => formatUnsignedTransaction(call, 'uri'), 'cannot be expressed as an EIP-681 URI', 'Asking for a missing URI is an error');
 }
 
 async function testPriceFetching() {
@@ -143,11 +1500,11 @@ async function testPriceFetching() {
     assert(price > 0, 'Price should be positive');
     assert(price < 100000, 'Price should be reasonable (< 100k USDC)');
     assert(price > 100, 'Price should be reasonable (> 100 USDC)');
+    assert(mocks.base.requests.includes('coingecko:ethereum:usd'), 'Prices are fetched from the mock price server');
     
     log(`Current ETH price: ${price} USDC`, 'info');
   } catch (error) {
-    log(`Price fetch failed (acceptable in offline mode): ${error.message}`, 'warn');
-    // Don't fail the test for network issues
+    assert(false, `Price fetch failed: ${error.message}`);
   }
 }
 
@@ -162,7 +1519,7 @@ async function testGasEstimation() {
         estimateEthTransfer({
           to: TEST_CONFIG.validAddresses[0],
           valueEth: TEST_CONFIG.testValues[0],
-          rpcUrl: getRpcUrl(network)
+          rpcUrl: mocks[network].rpcUrl
         }),
         TEST_CONFIG.timeout,
         `Gas estimation on ${network}`
@@ -205,7 +1562,7 @@ async function testErrorHandling() {
       await estimateEthTransfer({
          to: invalidAddr,
          valueEth: '0.01',
-         rpcUrl: getRpcUrl('base')
+         rpcUrl: mocks.base.rpcUrl
        });
       assert(false, `Should throw error for invalid address: ${invalidAddr}`);
     } catch (error) {
@@ -223,7 +1580,7 @@ async function testErrorHandling() {
       await estimateEthTransfer({
          to: TEST_CONFIG.validAddresses[0],
          valueEth: invalidValue,
-         rpcUrl: getRpcUrl('base')
+         rpcUrl: mocks.base.rpcUrl
        });
       assert(false, `Should throw error for invalid value: ${invalidValue}`);
     } catch (error) {
@@ -244,7 +1601,7 @@ async function testEdgeCases() {
        estimateEthTransfer({
          to: TEST_CONFIG.validAddresses[0],
          valueEth: '0',
-         rpcUrl: getRpcUrl('base')
+         rpcUrl: mocks.base.rpcUrl
        }),
       TEST_CONFIG.timeout,
       'Zero value transfer'
@@ -257,7 +1614,7 @@ async function testEdgeCases() {
        estimateEthTransfer({
          to: TEST_CONFIG.validAddresses[0],
          valueEth: '0.000000001',
-         rpcUrl: getRpcUrl('base')
+         rpcUrl: mocks.base.rpcUrl
        }),
       TEST_CONFIG.timeout,
       'Very small value transfer'
@@ -280,15 +1637,48 @@ async function runAllTests() {
   const startTime = Date.now();
   
   try {
+    for (const network of TEST_CONFIG.networks) {
+      mocks[network] = await startMockServer({ network, record: TEST_CONFIG.record });
+    }
+    // Point the CoinGecko and Coinbase providers at the mock price server
+    Object.assign(process.env, mocks.base.env);
+
     await testUtilityFunctions();
+    await testL1FeeFormulas();
+    await testCalldataEncoding();
+    await testTokenRegistry();
+    await testOutputFormats();
+    await testLibraryApi();
+    await testPriceFallback();
+    await testNetworkConfig();
+    await testCache();
+    await testBudget();
+    await testRpcFailover();
+    await testFeeTiers();
+    await testGasDashboard();
+    await testFeeHistory();
+    await testBatch();
+    await testRawTransaction();
+    await testBedrockOracle();
+    await testSimulation();
+    await testCompare();
+    await testProjection();
+    await testAccessList();
+    await testServer();
+    await testMockServer();
+    await testSendReadiness();
+    await testEmitTransaction();
     await testPriceFetching();
     await testGasEstimation();
     await testErrorHandling();
     await testEdgeCases();
+    await testCli();
   } catch (error) {
     log(`Unexpected test suite error: ${error.message}`, 'fail');
     testResults.failed++;
     testResults.total++;
+  } finally {
+    await Promise.all(Object.values(mocks).map((mock) => mock.close()));
   }
   
   const endTime = Date.now();
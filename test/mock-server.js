@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Mock RPC and Price Server for the test suite
+ * Answers JSON-RPC and CoinGecko / Coinbase price requests from fixture files, so estimates
+ * can be tested offline with the same numbers on every run
+ *
+ * In record mode every request is forwarded to the live network and price APIs instead, and
+ * the responses are written back to the fixture file when the server closes.
+ *
+ * Usage: node test/mock-server.js [--record] [network...]
+ *
+ * @author Base Gas Estimator Team
+ * @license MIT
+ */
+
+import { createServer } from 'http';
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { resolveNetwork } from '../src/config.js';
+import { PRICE_API_URLS, PRICE_API_URL_ENV_VARS } from '../src/price.js';
+
+/**
+ * Directory holding one fixture file per network, e.g. fixtures/base.json
+ */
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+/**
+ * Fixture key of a JSON-RPC request
+ * Parameters that change from run to run (block tags, serialized transactions in calldata)
+ * are left out, so one recorded answer serves every equivalent request
+ *
+ * @param {string} method - JSON-RPC method
+ * @param {Array} [params] - JSON-RPC parameters
+ * @returns {string} Key such as 'eth_call:0x420000000000000000000000000000000000000f:0x519b4bd3'
+ */
+export function fixtureKey(method, params = []) {
+  const selector = (call) => (call.data || call.input || '0x').slice(0, 10).toLowerCase();
+
+  switch (method) {
+    case 'eth_call':
+      return `${method}:${String(params[0].to).toLowerCase()}:${selector(params[0])}`;
+    case 'eth_estimateGas':
+    case 'eth_createAccessList':
+      return `${method}:${selector(params[0])}`;
+    case 'eth_feeHistory':
+      return `${method}:${Number(params[0])}:${(params[2] || []).join(',')}`;
+    case 'eth_getBlockByNumber':
+      return `${method}:${params[0]}`;
+    default:
+      return method;
+  }
+}
+
+/**
+ * Fixture key of a price API request
+ *
+ * @param {URL} url - Request URL on the mock server
+ * @returns {string|null} Key such as 'coingecko:ethereum:usd' or 'coinbase:ETH-USD', null for other paths
+ */
+function priceKey(url) {
+  if (url.pathname === '/coingecko/simple/price') {
+    return `coingecko:${url.searchParams.get('ids')}:${url.searchParams.get('vs_currencies')}`;
+  }
+  const pair = url.pathname.match(/^\/coinbase\/prices\/([A-Z]+-[A-Z]+)\/spot$/);
+  return pair ? `coinbase:${pair[1]}` : null;
+}
+
+/**
+ * Read a fixture file
+ *
+ * @param {string} file - Fixture path
+ * @param {string} network - Network key, used when the file does not exist yet
+ * @returns {{network: string, rpc: Object, prices: Object}} Fixture
+ */
+function readFixture(file, network) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { network, rpc: {}, prices: {} };
+  }
+}
+
+/**
+ * Write a fixture file with sorted keys, so re-recording produces small diffs
+ *
+ * @param {string} file - Fixture path
+ * @param {Object} fixture - Fixture to write
+ */
+function writeFixture(file, fixture) {
+  const sorted = (entries) => Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+  writeFileSync(file, `${JSON.stringify({
+    network: fixture.network,
+    recordedAt: fixture.recordedAt,
+    rpc: sorted(fixture.rpc),
+    prices: sorted(fixture.prices)
+  }, null, 2)}\n`);
+}
+
+/**
+ * Start a mock server for one network
+ *
+ * RPC requests are answered on /rpc: a fixture entry is { "result": ... } or { "error": ... },
+ * looked up by fixtureKey and then by the bare method name. Price requests are answered on
+ * /coingecko and /coinbase with the recorded response bodies.
+ *
+ * @param {Object} options - Server options
+ * @param {string} options.network - Network key; its fixture is fixtures/<network>.json
+ * @param {boolean} [options.record] - Forward requests upstream and save the responses
+ * @param {string} [options.file] - Fixture path, defaults to fixtures/<network>.json
+ * @returns {Promise<{url: string, rpcUrl: string, env: Object<string, string>, requests: Array<string>, close: function(): Promise<void>}>}
+ *   Server; env points the price APIs at it and requests lists every fixture key asked for
+ *
+ * @example
+ * const mock = await startMockServer({ network: 'base' });
+ * Object.assign(process.env, mock.env);
+ * await estimateEthTransfer({ to, valueEth: '0.1', rpcUrl: mock.rpcUrl });
+ * await mock.close();
+ */
+export async function startMockServer({ network, record = false, file = `${FIXTURES_DIR}${network}.json` }) {
+  const fixture = readFixture(file, network);
+  const upstreamRpcUrl = resolveNetwork(network, { env: {} }).rpcUrl;
+  const requests = [];
+
+  const answerRpc = async (request) => {
+    const key = fixtureKey(request.method, request.params);
+    requests.push(key);
+
+    if (record) {
+      const response = await fetch(upstreamRpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: request.method, params: request.params })
+      });
+      const { result, error } = await response.json();
+      fixture.rpc[key] = error ? { error } : { result };
+    }
+
+    const entry = fixture.rpc[key] || fixture.rpc[request.method];
+    if (!entry) {
+      return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `No fixture for ${key}` } };
+    }
+    return { jsonrpc: '2.0', id: request.id, ...entry };
+  };
+
+  const answerPrice = async (url) => {
+    const key = priceKey(url);
+    requests.push(key);
+
+    if (record && key) {
+      const [source, ...rest] = url.pathname.slice(1).split('/');
+      const response = await fetch(`${PRICE_API_URLS[source]}/${rest.join('/')}${url.search}`, {
+        headers: { Accept: 'application/json' }
+      });
+      if (response.ok) {
+        fixture.prices[key] = await response.json();
+      }
+    }
+
+    return key ? fixture.prices[key] : undefined;
+  };
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let status = 200;
+    let payload;
+
+    try {
+      if (request.method === 'POST' && url.pathname === '/rpc') {
+        let body = '';
+        for await (const chunk of request) {
+          body += chunk;
+        }
+        const parsed = JSON.parse(body);
+        payload = Array.isArray(parsed) ? await Promise.all(parsed.map(answerRpc)) : await answerRpc(parsed);
+      } else {
+        payload = await answerPrice(url);
+        if (payload === undefined) {
+          status = 404;
+          payload = { error: `No fixture for ${request.method} ${url.pathname}${url.search}` };
+        }
+      }
+    } catch (error) {
+      status = 500;
+      payload = { error: error.message };
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(payload));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    rpcUrl: `${url}/rpc`,
+    env: {
+      [PRICE_API_URL_ENV_VARS.coingecko]: `${url}/coingecko`,
+      [PRICE_API_URL_ENV_VARS.coinbase]: `${url}/coinbase`
+    },
+    requests,
+
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      if (record) {
+        fixture.recordedAt = new Date().toISOString();
+        writeFixture(file, fixture);
+      }
+    }
+  };
+}
+
+// Run standalone to point the CLI at fixtures by hand; Ctrl+C stops (and saves recordings)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const record = args.includes('--record');
+  const networks = args.filter((arg) => arg !== '--record');
+  const mocks = await Promise.all((networks.length ? networks : ['base']).map((network) => startMockServer({ network, record })));
+
+  mocks.forEach((mock, index) => {
+    const env = Object.entries(mock.env).map(([name, value]) => `${name}=${value}`).join(' ');
+    console.log(`${networks[index] || 'base'}: ${env} base-gas --rpc-url ${mock.rpcUrl} ...`);
+  });
+
+  process.once('SIGINT', async () => {
+    await Promise.all(mocks.map((mock) => mock.close()));
+    process.exit(0);
+  });
+}